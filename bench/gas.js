@@ -0,0 +1,165 @@
+// Gas used by BActions through a DSProxy, by number of pool tokens. Compares against
+// bench/gas-snapshot.json and fails on regressions over the snapshot threshold:
+//
+//   yarn bench            # compare
+//   yarn bench:update     # write the snapshot
+
+const { createClient } = require('../lib/client');
+const bmath = require('../lib/bmath');
+const {
+    readSnapshot, writeSnapshot, compareSnapshot, formatReport, updateSnapshot,
+} = require('../lib/gas');
+
+const TToken = artifacts.require('TToken');
+const TTokenFactory = artifacts.require('TTokenFactory');
+const BFactory = artifacts.require('BFactory');
+const CRPFactory = artifacts.require('CRPFactory');
+const BActions = artifacts.require('BActions');
+const DSProxyFactory = artifacts.require('DSProxyFactory');
+const BPool = artifacts.require('BPool');
+const ConfigurableRightsPool = artifacts.require('ConfigurableRightsPool');
+
+const TOKEN_COUNTS = [2, 3, 4, 5, 6, 7, 8];
+
+// Creating a smart pool of 8 tokens takes more than the 12M block gas limit of `yarn testrpc`
+const MAX_SMART_POOL_TOKENS = 7;
+
+contract('Gas benchmarks', async (accounts) => {
+    const admin = accounts[0];
+    const { toHex, toWei } = web3.utils;
+
+    const MAX = web3.utils.toTwosComplement(-1);
+
+    const results = {};
+    let USER_PROXY;
+    let userActions;
+    let TOKENS;
+
+    function record(action, count, { receipt }) {
+        results[action] = { ...results[action], [count]: receipt.gasUsed };
+    }
+
+    before(async () => {
+        const tokenFactory = await TTokenFactory.deployed();
+        const symbols = [...Array(Math.max(...TOKEN_COUNTS)).keys()].map((i) => toHex(`T${i}`));
+        await symbols.reduce(async (previous, symbol) => {
+            await previous;
+            await tokenFactory.build(symbol, symbol, 18);
+        }, Promise.resolve());
+        TOKENS = await Promise.all(symbols.map((symbol) => tokenFactory.get.call(symbol)));
+
+        const proxyFactory = await DSProxyFactory.deployed();
+        USER_PROXY = await proxyFactory.build.call();
+        await proxyFactory.build();
+        userActions = createClient(web3, {
+            proxy: USER_PROXY, target: BActions.address, abi: BActions.abi, from: admin,
+        });
+
+        await Promise.all(TOKENS.map(async (address) => {
+            const token = await TToken.at(address);
+            await token.mint(admin, toWei('1000000'));
+            await token.approve(USER_PROXY, MAX);
+        }));
+    });
+
+    TOKEN_COUNTS.forEach((count) => {
+        describe(`${count} tokens`, () => {
+            const tokens = () => TOKENS.slice(0, count);
+            const amounts = (amount) => tokens().map(() => toWei(amount));
+
+            it('creates and joins a shared pool', async () => {
+                const create = await userActions.create(
+                    BFactory.address, tokens(), amounts('10'), amounts('2'), toWei('0.003'), true,
+                );
+                record('create', count, create);
+
+                record('joinPool', count, await userActions.joinPool(create.result, toWei('10'), amounts('2')));
+            });
+
+            // Every token of the pool changes, starting from an empty private pool
+            it('sets the tokens of a private pool', async () => {
+                const { result: POOL } = await userActions.create(
+                    BFactory.address, [], [], [], toWei('0.003'), false,
+                );
+
+                const add = await userActions.setTokens(POOL, tokens(), amounts('10'), amounts('2'));
+                record('setTokens (add)', count, add);
+                const rebind = await userActions.setTokens(POOL, tokens(), amounts('20'), amounts('3'));
+                record('setTokens (rebind)', count, rebind);
+                const unbind = await userActions.setTokens(POOL, tokens(), amounts('0'), amounts('0'));
+                record('setTokens (unbind)', count, unbind);
+            });
+
+            const smartPoolIt = count <= MAX_SMART_POOL_TOKENS ? it : it.skip;
+            smartPoolIt('creates, joins and reweighs a smart pool', async () => {
+                const create = await userActions.createSmartPool(
+                    CRPFactory.address,
+                    BFactory.address,
+                    {
+                        poolTokenSymbol: 'GAS',
+                        poolTokenName: 'Gas Pool',
+                        constituentTokens: tokens(),
+                        tokenBalances: amounts('10'),
+                        tokenWeights: amounts('2'),
+                        swapFee: toWei('0.003'),
+                    },
+                    { initialSupply: toWei('100'), minimumWeightChangeBlockPeriod: 10, addTokenTimeLockInBlocks: 10 },
+                    {
+                        canPauseSwapping: false,
+                        canChangeSwapFee: false,
+                        canChangeWeights: true,
+                        canAddRemoveTokens: false,
+                        canWhitelistLPs: false,
+                        canChangeCap: false,
+                    },
+                );
+                record('createSmartPool', count, create);
+
+                const CRP = create.result;
+                const crp = await ConfigurableRightsPool.at(CRP);
+                const bpool = await BPool.at(await crp.bPool());
+                await crp.approve(USER_PROXY, MAX);
+                record('joinSmartPool', count, await userActions.joinSmartPool(CRP, toWei('10'), amounts('2')));
+
+                // Doubling a weight takes the whole token balance
+                const [TOKEN] = tokens();
+                const balance = (await bpool.getBalance(TOKEN)).toString();
+                record('increaseWeight', count, await userActions.increaseWeight(CRP, TOKEN, toWei('4'), balance));
+
+                const poolAmountIn = bmath.bmul(
+                    (await crp.totalSupply()).toString(),
+                    bmath.bdiv(toWei('2'), (await bpool.getTotalDenormalizedWeight()).toString()),
+                );
+                record('decreaseWeight', count, await userActions.decreaseWeight(CRP, TOKEN, toWei('2'), poolAmountIn));
+
+                const block = await web3.eth.getBlockNumber();
+                const weights = [toWei('3'), ...amounts('2').slice(1)];
+                const update = await userActions.updateWeightsGradually(CRP, weights, block, block + 10);
+                record('updateWeightsGradually', count, update);
+            });
+        });
+    });
+
+    describe('Snapshot', () => {
+        it('stays within the threshold', async () => {
+            const snapshot = readSnapshot();
+            const comparison = compareSnapshot(snapshot, results);
+            formatReport(comparison).forEach((line) => console.log(`      ${line}`));
+
+            if (process.env.GAS_SNAPSHOT === 'update') {
+                writeSnapshot(updateSnapshot(snapshot, results));
+                return;
+            }
+            assert.deepEqual(
+                comparison.missing.map((row) => `${row.action} (${row.tokens} tokens)`),
+                [],
+                'Benchmarks missing from the snapshot, run yarn bench:update',
+            );
+            assert.deepEqual(
+                comparison.regressions.map((row) => `${row.action} (${row.tokens} tokens)`),
+                [],
+                `Gas regressions over ${comparison.threshold * 100}%`,
+            );
+        });
+    });
+});
@@ -20,6 +20,18 @@ abstract contract ERC20 {
     function transferFrom(address sender, address recipient, uint amount) external virtual returns (bool);
     function balanceOf(address whom) external view virtual returns (uint);
     function allowance(address, address) external view virtual returns (uint);
+    function totalSupply() external view virtual returns (uint);
+}
+
+abstract contract WETH is ERC20 {
+    function deposit() external virtual payable;
+    function withdraw(uint amount) external virtual;
+}
+
+abstract contract ERC20Permit is ERC20 {
+    function permit(
+        address owner, address spender, uint value, uint deadline, uint8 v, bytes32 r, bytes32 s
+    ) external virtual;
 }
 
 abstract contract BalancerOwnable {
@@ -31,9 +43,19 @@ abstract contract AbstractPool is ERC20, BalancerOwnable {
     function setPublicSwap(bool public_) external virtual;
     
     function joinPool(uint poolAmountOut, uint[] calldata maxAmountsIn) external virtual;
+    function exitPool(uint poolAmountIn, uint[] calldata minAmountsOut) external virtual;
     function joinswapExternAmountIn(
         address tokenIn, uint tokenAmountIn, uint minPoolAmountOut
     ) external virtual returns (uint poolAmountOut);
+    function joinswapPoolAmountOut(
+        address tokenIn, uint poolAmountOut, uint maxAmountIn
+    ) external virtual returns (uint tokenAmountIn);
+    function exitswapPoolAmountIn(
+        address tokenOut, uint poolAmountIn, uint minAmountOut
+    ) external virtual returns (uint tokenAmountOut);
+    function exitswapExternAmountOut(
+        address tokenOut, uint tokenAmountOut, uint maxPoolAmountIn
+    ) external virtual returns (uint poolAmountIn);
 }
 
 abstract contract BPool is AbstractPool {
@@ -41,14 +63,40 @@ abstract contract BPool is AbstractPool {
     function bind(address token, uint balance, uint denorm) external virtual;
     function rebind(address token, uint balance, uint denorm) external virtual;
     function unbind(address token) external virtual;
+    function swapExactAmountIn(
+        address tokenIn, uint tokenAmountIn, address tokenOut, uint minAmountOut, uint maxPrice
+    ) external virtual returns (uint tokenAmountOut, uint spotPriceAfter);
+    function swapExactAmountOut(
+        address tokenIn, uint maxAmountIn, address tokenOut, uint tokenAmountOut, uint maxPrice
+    ) external virtual returns (uint tokenAmountIn, uint spotPriceAfter);
     function isBound(address t) external view virtual returns (bool);
     function getCurrentTokens() external view virtual returns (address[] memory);
     function getFinalTokens() external view virtual returns(address[] memory);
     function getBalance(address token) external view virtual returns (uint);
+    function getDenormalizedWeight(address token) external view virtual returns (uint);
+    function getTotalDenormalizedWeight() external view virtual returns (uint);
+    function getSwapFee() external view virtual returns (uint);
+    function calcInGivenOut(
+        uint tokenBalanceIn,
+        uint tokenWeightIn,
+        uint tokenBalanceOut,
+        uint tokenWeightOut,
+        uint tokenAmountOut,
+        uint swapFee
+    ) public pure virtual returns (uint tokenAmountIn);
+    function calcPoolOutGivenSingleIn(
+        uint tokenBalanceIn,
+        uint tokenWeightIn,
+        uint poolSupply,
+        uint totalWeight,
+        uint tokenAmountIn,
+        uint swapFee
+    ) public pure virtual returns (uint poolAmountOut);
 }
 
 abstract contract BFactory {
     function newBPool() external virtual returns (BPool);
+    function isBPool(address b) external view virtual returns (bool);
 }
 
 abstract contract ConfigurableRightsPool is AbstractPool {
@@ -73,6 +121,7 @@ abstract contract ConfigurableRightsPool is AbstractPool {
     function createPool(uint initialSupply) external virtual;
     function setCap(uint newCap) external virtual;
     function updateWeight(address token, uint newWeight) external virtual;
+    function pokeWeights() external virtual;
     function updateWeightsGradually(
         uint[] calldata newWeights, uint startBlock, uint endBlock
     ) external virtual;
@@ -82,6 +131,18 @@ abstract contract ConfigurableRightsPool is AbstractPool {
     function whitelistLiquidityProvider(address provider) external virtual;
     function removeWhitelistedLiquidityProvider(address provider) external virtual;
     function bPool() external view virtual returns (BPool);
+    function canProvideLiquidity(address provider) external view virtual returns (bool);
+    function rights() external view virtual returns (
+        bool canPauseSwapping,
+        bool canChangeSwapFee,
+        bool canChangeWeights,
+        bool canAddRemoveTokens,
+        bool canWhitelistLPs,
+        bool canChangeCap
+    );
+    function newToken() external view virtual returns (
+        address addr, bool isCommitted, uint commitBlock, uint denorm, uint balance
+    );
 }
 
 abstract contract CRPFactory {
@@ -90,6 +151,7 @@ abstract contract CRPFactory {
         ConfigurableRightsPool.PoolParams calldata params,
         RightsManager.Rights calldata rights
     ) external virtual returns (ConfigurableRightsPool);
+    function isCrp(address addr) external view virtual returns (bool);
 }
 
 /********************************** WARNING **********************************/
@@ -99,38 +161,226 @@ abstract contract CRPFactory {
 //                                                                           //
 /********************************** WARNING **********************************/
 
-contract BActions {
+// Immutables, events and token plumbing shared by the action contracts.
+// Action contracts are delegatecalled by a DSProxy, so they must not rely on storage
+abstract contract BActionsBase {
+
+    WETH public immutable weth;
+    // Only pools built by these factories are accepted
+    BFactory public immutable trustedBFactory;
+    CRPFactory public immutable trustedCrpFactory;
+
+    // BPool limits from BConst
+    uint internal constant _BONE = 10**18;
+    uint internal constant _MIN_BALANCE = _BONE / 10**12;
+    uint internal constant _MIN_WEIGHT = _BONE;
+    uint internal constant _MAX_WEIGHT = _BONE * 50;
+
+    // Emitted in the context of the DSProxy, so logs carry the proxy address
+
+    event LogPoolCreated(
+        address indexed caller,
+        address indexed pool,
+        bool            finalized
+    );
+
+    event LogSmartPoolCreated(
+        address indexed caller,
+        address indexed pool,
+        address indexed bPool
+    );
+
+    event LogPoolJoined(
+        address indexed caller,
+        address indexed pool,
+        uint256         poolAmountOut
+    );
+
+    event LogPoolExited(
+        address indexed caller,
+        address indexed pool,
+        uint256         poolAmountIn
+    );
+
+    event LogTokenSet(
+        address indexed caller,
+        address indexed pool,
+        address indexed token,
+        uint256         balance,
+        uint256         denorm
+    );
+
+    event LogWeightUpdated(
+        address indexed caller,
+        address indexed pool,
+        address indexed token,
+        uint256         newWeight
+    );
+
+    event LogWeightsUpdateScheduled(
+        address indexed caller,
+        address indexed pool,
+        uint256[]       newWeights,
+        uint256         startBlock,
+        uint256         endBlock
+    );
+
+    event LogTokenCommitted(
+        address indexed caller,
+        address indexed pool,
+        address indexed token,
+        uint256         balance,
+        uint256         denorm
+    );
+
+    event LogTokenAdded(
+        address indexed caller,
+        address indexed pool,
+        address indexed token,
+        uint256         tokenAmountIn
+    );
+
+    event LogTokenRemoved(
+        address indexed caller,
+        address indexed pool,
+        address indexed token
+    );
+
+    event LogControllerSet(
+        address indexed caller,
+        address indexed pool,
+        address indexed controller
+    );
+
+    constructor(WETH weth_, BFactory bFactory_, CRPFactory crpFactory_) public {
+        weth = weth_;
+        trustedBFactory = bFactory_;
+        trustedCrpFactory = crpFactory_;
+    }
 
-    // --- Pool Creation ---
+    // --- Internals ---
 
-    function create(
-        BFactory factory,
-        address[] calldata tokens,
-        uint[] calldata balances,
-        uint[] calldata weights,
-        uint swapFee,
-        bool finalize
-    ) external returns (BPool pool) {
-        require(tokens.length == balances.length, "ERR_LENGTH_MISMATCH");
-        require(tokens.length == weights.length, "ERR_LENGTH_MISMATCH");
+    function _checkBPool(BPool pool) internal view {
+        require(trustedBFactory.isBPool(address(pool)), "ERR_UNKNOWN_POOL");
+    }
 
-        pool = factory.newBPool();
-        pool.setSwapFee(swapFee);
+    function _checkCrp(ConfigurableRightsPool crp) internal view {
+        require(trustedCrpFactory.isCrp(address(crp)), "ERR_UNKNOWN_CRP");
+    }
 
-        for (uint i = 0; i < tokens.length; i++) {
-            ERC20 token = ERC20(tokens[i]);
-            require(token.transferFrom(msg.sender, address(this), balances[i]), "ERR_TRANSFER_FAILED");
-            _safeApprove(token, address(pool), balances[i]);
-            pool.bind(tokens[i], balances[i], weights[i]);
+    function _checkPool(AbstractPool pool) internal view {
+        require(
+            trustedBFactory.isBPool(address(pool)) || trustedCrpFactory.isCrp(address(pool)),
+            "ERR_UNKNOWN_POOL"
+        );
+    }
+
+    function _checkBounds(uint balance, uint denorm) internal pure {
+        require(balance >= _MIN_BALANCE, "ERR_MIN_BALANCE");
+        require(denorm >= _MIN_WEIGHT, "ERR_MIN_WEIGHT");
+        require(denorm <= _MAX_WEIGHT, "ERR_MAX_WEIGHT");
+    }
+
+    function _safeApprove(ERC20 token, address spender, uint amount) internal {
+        if (token.allowance(address(this), spender) > 0) {
+            token.approve(spender, 0);
+        }
+        token.approve(spender, amount);
+    }
+
+    function _pullToken(ERC20 token, uint amount) internal {
+        if (msg.value > 0 && address(token) == address(weth)) {
+            require(msg.value >= amount, "ERR_INSUFFICIENT_VALUE");
+            weth.deposit{value: amount}();
+        } else {
+            require(token.transferFrom(msg.sender, address(this), amount), "ERR_TRANSFER_FAILED");
         }
+    }
 
-        if (finalize) {
-            pool.finalize();
-            require(pool.transfer(msg.sender, pool.balanceOf(address(this))), "ERR_TRANSFER_FAILED");
+    function _pushToken(ERC20 token, uint amount) internal {
+        if (address(token) == address(weth)) {
+            weth.withdraw(amount);
+            _pushEth(amount);
         } else {
-            pool.setPublicSwap(true);
+            require(token.transfer(msg.sender, amount), "ERR_TRANSFER_FAILED");
+        }
+    }
+
+    function _pushEth(uint amount) internal {
+        // solhint-disable-next-line avoid-low-level-calls
+        (bool success, ) = msg.sender.call{value: amount}("");
+        require(success, "ERR_ETH_FAILED");
+    }
+
+    function _refundEth() internal {
+        if (address(this).balance > 0) {
+            _pushEth(address(this).balance);
         }
     }
+
+    function _refundTokens(address[] memory tokens) internal {
+        for (uint i = 0; i < tokens.length; i++) {
+            ERC20 token = ERC20(tokens[i]);
+            if (token.balanceOf(address(this)) > 0) {
+                _pushToken(token, token.balanceOf(address(this)));
+            }
+        }
+    }
+    // Bubbles up the revert data of a failed call. Lives here rather than in BActions, where the
+    // `create` action shadows the assembly instruction of the same name
+    function _revertWith(bytes memory result) internal pure {
+        // solhint-disable-next-line no-inline-assembly
+        assembly {
+            revert(add(result, 32), mload(result))
+        }
+    }
+}
+
+contract BActions is BActionsBase {
+
+    // Signed EIP-2612 approval of the proxy, a zero deadline skips the permit
+    struct Permit {
+        uint value;
+        uint deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
+    // Weight schedule and launch settings of a liquidity bootstrapping pool, the cap only
+    // applies to pools with canChangeCap
+    struct LaunchParams {
+        uint[] endWeights;
+        uint startBlock;
+        uint endBlock;
+        uint cap;
+        address[] whitelist;
+        bool publicSwap;
+    }
+
+    // Own address, needed to delegatecall back into BActions from the proxy context
+    address private immutable _self;
+
+    constructor(
+        WETH weth_,
+        BFactory bFactory_,
+        CRPFactory crpFactory_
+    ) public BActionsBase(weth_, bFactory_, crpFactory_) {
+        _self = address(this);
+    }
+
+    // --- Pool Creation ---
+
+    function create(
+        BFactory factory,
+        address[] memory tokens,
+        uint[] memory balances,
+        uint[] memory weights,
+        uint swapFee,
+        bool finalize
+    ) external payable returns (BPool pool) {
+        return _create(factory, tokens, balances, weights, swapFee, finalize);
+    }
     
     function createSmartPool(
         CRPFactory factory,
@@ -138,38 +388,34 @@ contract BActions {
         ConfigurableRightsPool.PoolParams calldata poolParams,
         ConfigurableRightsPool.CrpParams calldata crpParams,
         RightsManager.Rights calldata rights
-    ) external returns (ConfigurableRightsPool crp) {
-        require(
-            poolParams.constituentTokens.length == poolParams.tokenBalances.length,
-            "ERR_LENGTH_MISMATCH"
-        );
-        require(
-            poolParams.constituentTokens.length == poolParams.tokenWeights.length,
-            "ERR_LENGTH_MISMATCH"
-        );
+    ) external payable returns (ConfigurableRightsPool crp) {
+        return _createSmartPool(factory, bFactory, poolParams, crpParams, rights);
+    }
 
-        crp = factory.newCrp(
-            address(bFactory),
-            poolParams,
-            rights
-        );
-        
-        for (uint i = 0; i < poolParams.constituentTokens.length; i++) {
-            ERC20 token = ERC20(poolParams.constituentTokens[i]);
-            require(
-                token.transferFrom(msg.sender, address(this), poolParams.tokenBalances[i]),
-                "ERR_TRANSFER_FAILED"
-            );
-            _safeApprove(token, address(crp), poolParams.tokenBalances[i]);
+    // Creates a smart pool and starts its weight schedule in the same call, so nobody can trade
+    // the pool at its initial weights. Needs canChangeWeights, and canChangeCap, canWhitelistLPs
+    // or canPauseSwapping for a cap, a whitelist or a paused launch respectively
+    function createLiquidityBootstrappingPool(
+        CRPFactory factory,
+        BFactory bFactory,
+        ConfigurableRightsPool.PoolParams calldata poolParams,
+        ConfigurableRightsPool.CrpParams calldata crpParams,
+        RightsManager.Rights calldata rights,
+        LaunchParams calldata launch
+    ) external payable returns (ConfigurableRightsPool crp) {
+        crp = _createSmartPool(factory, bFactory, poolParams, crpParams, rights);
+        crp.updateWeightsGradually(launch.endWeights, launch.startBlock, launch.endBlock);
+        emit LogWeightsUpdateScheduled(msg.sender, address(crp), launch.endWeights, launch.startBlock, launch.endBlock);
+
+        if (rights.canChangeCap) {
+            crp.setCap(launch.cap);
+        }
+        for (uint i = 0; i < launch.whitelist.length; i++) {
+            crp.whitelistLiquidityProvider(launch.whitelist[i]);
+        }
+        if (!launch.publicSwap) {
+            crp.setPublicSwap(false);
         }
-        
-        crp.createPool(
-            crpParams.initialSupply,
-            crpParams.minimumWeightChangeBlockPeriod,
-            crpParams.addTokenTimeLockInBlocks
-        );
-        require(crp.transfer(msg.sender, crpParams.initialSupply), "ERR_TRANSFER_FAILED");
-        // DSProxy instance keeps pool ownership to enable management
     }
     
     // --- Joins ---
@@ -178,7 +424,8 @@ contract BActions {
         BPool pool,
         uint poolAmountOut,
         uint[] calldata maxAmountsIn
-    ) external {
+    ) external payable {
+        _checkBPool(pool);
         address[] memory tokens = pool.getFinalTokens();
         _join(pool, tokens, poolAmountOut, maxAmountsIn);
     }
@@ -187,7 +434,8 @@ contract BActions {
         ConfigurableRightsPool pool,
         uint poolAmountOut,
         uint[] calldata maxAmountsIn
-    ) external {
+    ) external payable {
+        _checkCrp(pool);
         address[] memory tokens = pool.bPool().getCurrentTokens();
         _join(pool, tokens, poolAmountOut, maxAmountsIn);
     }
@@ -197,41 +445,169 @@ contract BActions {
         ERC20 token,
         uint tokenAmountIn,
         uint minPoolAmountOut
-    ) external {
-        require(token.transferFrom(msg.sender, address(this), tokenAmountIn), "ERR_TRANSFER_FAILED");
-        _safeApprove(token, address(pool), tokenAmountIn);
-        uint poolAmountOut = pool.joinswapExternAmountIn(address(token), tokenAmountIn, minPoolAmountOut);
+    ) external payable {
+        _joinswapExternAmountIn(pool, token, tokenAmountIn, minPoolAmountOut);
+    }
+
+    function joinswapPoolAmountOut(
+        AbstractPool pool,
+        ERC20 token,
+        uint poolAmountOut,
+        uint maxAmountIn
+    ) external payable {
+        _checkPool(pool);
+        _pullToken(token, maxAmountIn);
+        _safeApprove(token, address(pool), maxAmountIn);
+        pool.joinswapPoolAmountOut(address(token), poolAmountOut, maxAmountIn);
+        if (token.balanceOf(address(this)) > 0) {
+            _pushToken(token, token.balanceOf(address(this)));
+        }
         require(pool.transfer(msg.sender, poolAmountOut), "ERR_TRANSFER_FAILED");
+        _refundEth();
+        emit LogPoolJoined(msg.sender, address(pool), poolAmountOut);
+    }
+
+    // --- Permit variants ---
+    // Same as the actions above, but approve the proxy with signed permits instead of
+    // standing allowances. Permits are given in the same order as the pool tokens
+
+    function createWithPermit(
+        BFactory factory,
+        address[] memory tokens,
+        uint[] memory balances,
+        uint[] memory weights,
+        Permit[] memory permits,
+        uint swapFee,
+        bool finalize
+    ) external payable returns (BPool pool) {
+        _permitAll(tokens, permits);
+        return _create(factory, tokens, balances, weights, swapFee, finalize);
+    }
+
+    function joinPoolWithPermit(
+        BPool pool,
+        uint poolAmountOut,
+        uint[] calldata maxAmountsIn,
+        Permit[] memory permits
+    ) external payable {
+        _checkBPool(pool);
+        address[] memory tokens = pool.getFinalTokens();
+        _permitAll(tokens, permits);
+        _join(pool, tokens, poolAmountOut, maxAmountsIn);
+    }
+
+    function joinSmartPoolWithPermit(
+        ConfigurableRightsPool pool,
+        uint poolAmountOut,
+        uint[] calldata maxAmountsIn,
+        Permit[] memory permits
+    ) external payable {
+        _checkCrp(pool);
+        address[] memory tokens = pool.bPool().getCurrentTokens();
+        _permitAll(tokens, permits);
+        _join(pool, tokens, poolAmountOut, maxAmountsIn);
+    }
+
+    function joinswapExternAmountInWithPermit(
+        AbstractPool pool,
+        ERC20Permit token,
+        uint tokenAmountIn,
+        uint minPoolAmountOut,
+        Permit memory permit
+    ) external payable {
+        _permit(token, permit);
+        _joinswapExternAmountIn(pool, token, tokenAmountIn, minPoolAmountOut);
+    }
+
+    // --- Exits ---
+    // WETH coming out of a pool is unwrapped and sent back as ETH
+
+    function exitPool(
+        BPool pool,
+        uint poolAmountIn,
+        uint[] calldata minAmountsOut
+    ) external {
+        _checkBPool(pool);
+        address[] memory tokens = pool.getFinalTokens();
+        _exit(pool, tokens, poolAmountIn, minAmountsOut);
+    }
+
+    function exitSmartPool(
+        ConfigurableRightsPool pool,
+        uint poolAmountIn,
+        uint[] calldata minAmountsOut
+    ) external {
+        _checkCrp(pool);
+        address[] memory tokens = pool.bPool().getCurrentTokens();
+        _exit(pool, tokens, poolAmountIn, minAmountsOut);
+    }
+
+    function exitswapPoolAmountIn(
+        AbstractPool pool,
+        ERC20 token,
+        uint poolAmountIn,
+        uint minAmountOut
+    ) external {
+        _checkPool(pool);
+        require(pool.transferFrom(msg.sender, address(this), poolAmountIn), "ERR_TRANSFER_FAILED");
+        uint tokenAmountOut = pool.exitswapPoolAmountIn(address(token), poolAmountIn, minAmountOut);
+        _pushToken(token, tokenAmountOut);
+        emit LogPoolExited(msg.sender, address(pool), poolAmountIn);
+    }
+
+    function exitswapExternAmountOut(
+        AbstractPool pool,
+        ERC20 token,
+        uint tokenAmountOut,
+        uint maxPoolAmountIn
+    ) external {
+        _checkPool(pool);
+        require(pool.transferFrom(msg.sender, address(this), maxPoolAmountIn), "ERR_TRANSFER_FAILED");
+        uint poolAmountIn = pool.exitswapExternAmountOut(address(token), tokenAmountOut, maxPoolAmountIn);
+        _pushToken(token, tokenAmountOut);
+        if (pool.balanceOf(address(this)) > 0) {
+            require(pool.transfer(msg.sender, pool.balanceOf(address(this))), "ERR_TRANSFER_FAILED");
+        }
+        emit LogPoolExited(msg.sender, address(pool), poolAmountIn);
     }
     
     // --- Pool management (common) ---
     
     function setPublicSwap(AbstractPool pool, bool publicSwap) external {
+        _checkPool(pool);
         pool.setPublicSwap(publicSwap);
     }
 
     function setSwapFee(AbstractPool pool, uint newFee) external {
+        _checkPool(pool);
         pool.setSwapFee(newFee);
     }
 
     function setController(AbstractPool pool, address newController) external {
+        _checkPool(pool);
         pool.setController(newController);
+        emit LogControllerSet(msg.sender, address(pool), newController);
     }
     
     // --- Private pool management ---
 
+    // A zero balance unbinds the token, any other balance and weight must be within BPool bounds
     function setTokens(
         BPool pool,
         address[] calldata tokens,
         uint[] calldata balances,
         uint[] calldata denorms
     ) external {
+        _checkBPool(pool);
         require(tokens.length == balances.length, "ERR_LENGTH_MISMATCH");
         require(tokens.length == denorms.length, "ERR_LENGTH_MISMATCH");
 
         for (uint i = 0; i < tokens.length; i++) {
             ERC20 token = ERC20(tokens[i]);
-            if (pool.isBound(tokens[i])) {
+            if (balances[i] == 0) {
+                pool.unbind(tokens[i]);
+            } else if (pool.isBound(tokens[i])) {
+                _checkBounds(balances[i], denorms[i]);
                 if (balances[i] > pool.getBalance(tokens[i])) {
                     require(
                         token.transferFrom(msg.sender, address(this), balances[i] - pool.getBalance(tokens[i])),
@@ -239,13 +615,9 @@ contract BActions {
                     );
                     _safeApprove(token, address(pool), balances[i] - pool.getBalance(tokens[i]));
                 }
-                if (balances[i] > 10**6) {
-                    pool.rebind(tokens[i], balances[i], denorms[i]);
-                } else {
-                    pool.unbind(tokens[i]);
-                }
-
+                pool.rebind(tokens[i], balances[i], denorms[i]);
             } else {
+                _checkBounds(balances[i], denorms[i]);
                 require(token.transferFrom(msg.sender, address(this), balances[i]), "ERR_TRANSFER_FAILED");
                 _safeApprove(token, address(pool), balances[i]);
                 pool.bind(tokens[i], balances[i], denorms[i]);
@@ -255,10 +627,12 @@ contract BActions {
                 require(token.transfer(msg.sender, token.balanceOf(address(this))), "ERR_TRANSFER_FAILED");
             }
 
+            emit LogTokenSet(msg.sender, address(pool), tokens[i], balances[i], denorms[i]);
         }
     }
 
     function finalize(BPool pool) external {
+        _checkBPool(pool);
         pool.finalize();
         require(pool.transfer(msg.sender, pool.balanceOf(address(this))), "ERR_TRANSFER_FAILED");
     }
@@ -271,10 +645,12 @@ contract BActions {
         uint newWeight,
         uint tokenAmountIn
     ) external {
+        _checkCrp(crp);
         require(token.transferFrom(msg.sender, address(this), tokenAmountIn), "ERR_TRANSFER_FAILED");
         _safeApprove(token, address(crp), tokenAmountIn);
         crp.updateWeight(address(token), newWeight);
         require(crp.transfer(msg.sender, crp.balanceOf(address(this))), "ERR_TRANSFER_FAILED");
+        emit LogWeightUpdated(msg.sender, address(crp), address(token), newWeight);
     }
     
     function decreaseWeight(
@@ -283,9 +659,11 @@ contract BActions {
         uint newWeight,
         uint poolAmountIn
     ) external {
+        _checkCrp(crp);
         require(crp.transferFrom(msg.sender, address(this), poolAmountIn), "ERR_TRANSFER_FAILED");
         crp.updateWeight(address(token), newWeight);
         require(token.transfer(msg.sender, token.balanceOf(address(this))), "ERR_TRANSFER_FAILED");
+        emit LogWeightUpdated(msg.sender, address(crp), address(token), newWeight);
     }
     
     function updateWeightsGradually(
@@ -294,13 +672,22 @@ contract BActions {
         uint startBlock,
         uint endBlock
     ) external {
+        _checkCrp(crp);
         crp.updateWeightsGradually(newWeights, startBlock, endBlock);
+        emit LogWeightsUpdateScheduled(msg.sender, address(crp), newWeights, startBlock, endBlock);
+    }
+
+    // Moves the weights along their gradual update, anybody can poke a pool directly as well
+    function pokeWeights(ConfigurableRightsPool crp) external {
+        _checkCrp(crp);
+        crp.pokeWeights();
     }
 
     function setCap(
         ConfigurableRightsPool crp,
         uint newCap
     ) external {
+        _checkCrp(crp);
         crp.setCap(newCap);
     }
 
@@ -310,18 +697,30 @@ contract BActions {
         uint balance,
         uint denormalizedWeight
     ) external {
+        _checkCrp(crp);
         crp.commitAddToken(address(token), balance, denormalizedWeight);
+        emit LogTokenCommitted(msg.sender, address(crp), address(token), balance, denormalizedWeight);
     }
 
+    // `tokenAmountIn` is the most to pull, it has to cover the committed balance and the rest is refunded
     function applyAddToken(
         ConfigurableRightsPool crp,
         ERC20 token,
         uint tokenAmountIn
     ) external {
+        _checkCrp(crp);
+        (address committed, , , , uint balance) = crp.newToken();
+        require(address(token) == committed, "ERR_NOT_COMMITTED");
+        require(tokenAmountIn >= balance, "ERR_LIMIT_IN");
+
         require(token.transferFrom(msg.sender, address(this), tokenAmountIn), "ERR_TRANSFER_FAILED");
-        _safeApprove(token, address(crp), tokenAmountIn);
+        _safeApprove(token, address(crp), balance);
         crp.applyAddToken();
         require(crp.transfer(msg.sender, crp.balanceOf(address(this))), "ERR_TRANSFER_FAILED");
+        if (token.balanceOf(address(this)) > 0) {
+            require(token.transfer(msg.sender, token.balanceOf(address(this))), "ERR_TRANSFER_FAILED");
+        }
+        emit LogTokenAdded(msg.sender, address(crp), address(token), balance);
     }
 
     function removeToken(
@@ -329,15 +728,18 @@ contract BActions {
         ERC20 token,
         uint poolAmountIn
     ) external {
+        _checkCrp(crp);
         require(crp.transferFrom(msg.sender, address(this), poolAmountIn), "ERR_TRANSFER_FAILED");
         crp.removeToken(address(token));
         require(token.transfer(msg.sender, token.balanceOf(address(this))), "ERR_TRANSFER_FAILED");
+        emit LogTokenRemoved(msg.sender, address(crp), address(token));
     }
 
     function whitelistLiquidityProvider(
         ConfigurableRightsPool crp,
         address provider
     ) external {
+        _checkCrp(crp);
         crp.whitelistLiquidityProvider(provider);
     }
 
@@ -345,18 +747,146 @@ contract BActions {
         ConfigurableRightsPool crp,
         address provider
     ) external {
+        _checkCrp(crp);
         crp.removeWhitelistedLiquidityProvider(provider);
     }
+
+    // Bulk variants, providers already in the wanted state are skipped
+    function whitelistLiquidityProviders(
+        ConfigurableRightsPool crp,
+        address[] calldata providers
+    ) external {
+        _checkCrp(crp);
+        (, , , , bool canWhitelistLPs, ) = crp.rights();
+        require(canWhitelistLPs, "ERR_CANNOT_WHITELIST_LPS");
+        for (uint i = 0; i < providers.length; i++) {
+            if (!crp.canProvideLiquidity(providers[i])) {
+                crp.whitelistLiquidityProvider(providers[i]);
+            }
+        }
+    }
+
+    function removeWhitelistedLiquidityProviders(
+        ConfigurableRightsPool crp,
+        address[] calldata providers
+    ) external {
+        _checkCrp(crp);
+        (, , , , bool canWhitelistLPs, ) = crp.rights();
+        require(canWhitelistLPs, "ERR_CANNOT_WHITELIST_LPS");
+        for (uint i = 0; i < providers.length; i++) {
+            if (crp.canProvideLiquidity(providers[i])) {
+                crp.removeWhitelistedLiquidityProvider(providers[i]);
+            }
+        }
+    }
+
+    // --- Batching ---
+
+    // Runs each call against BActions in the proxy context and reverts all of them if one fails.
+    // Not payable: every call would see the same msg.value. Only BActions calls can be batched,
+    // the BSwaps, BZaps and BMigrator actions revert here
+    function multicall(bytes[] calldata calls) external returns (bytes[] memory results) {
+        results = new bytes[](calls.length);
+        for (uint i = 0; i < calls.length; i++) {
+            // solhint-disable-next-line avoid-low-level-calls
+            (bool success, bytes memory result) = _self.delegatecall(calls[i]);
+            if (!success) {
+                _revertWith(result);
+            }
+            results[i] = result;
+        }
+    }
     
     // --- Internals ---
     
-    function _safeApprove(ERC20 token, address spender, uint amount) internal {
-        if (token.allowance(address(this), spender) > 0) {
-            token.approve(spender, 0);
+    // Skips permits the allowance already covers, such as one submitted by someone who saw it in the mempool
+    function _permit(ERC20Permit token, Permit memory permit) internal {
+        if (permit.deadline == 0 || token.allowance(msg.sender, address(this)) >= permit.value) {
+            return;
         }
-        token.approve(spender, amount);
+        token.permit(msg.sender, address(this), permit.value, permit.deadline, permit.v, permit.r, permit.s);
     }
-    
+
+    function _permitAll(address[] memory tokens, Permit[] memory permits) internal {
+        require(permits.length == tokens.length, "ERR_LENGTH_MISMATCH");
+        for (uint i = 0; i < tokens.length; i++) {
+            _permit(ERC20Permit(tokens[i]), permits[i]);
+        }
+    }
+
+    function _create(
+        BFactory factory,
+        address[] memory tokens,
+        uint[] memory balances,
+        uint[] memory weights,
+        uint swapFee,
+        bool finalizePool
+    ) internal returns (BPool pool) {
+        require(factory == trustedBFactory, "ERR_UNKNOWN_BFACTORY");
+        require(tokens.length == balances.length, "ERR_LENGTH_MISMATCH");
+        require(tokens.length == weights.length, "ERR_LENGTH_MISMATCH");
+
+        pool = factory.newBPool();
+        pool.setSwapFee(swapFee);
+
+        for (uint i = 0; i < tokens.length; i++) {
+            ERC20 token = ERC20(tokens[i]);
+            _pullToken(token, balances[i]);
+            _safeApprove(token, address(pool), balances[i]);
+            pool.bind(tokens[i], balances[i], weights[i]);
+        }
+
+        if (finalizePool) {
+            pool.finalize();
+            require(pool.transfer(msg.sender, pool.balanceOf(address(this))), "ERR_TRANSFER_FAILED");
+        } else {
+            pool.setPublicSwap(true);
+        }
+        _refundEth();
+        emit LogPoolCreated(msg.sender, address(pool), finalizePool);
+    }
+
+    function _createSmartPool(
+        CRPFactory factory,
+        BFactory bFactory,
+        ConfigurableRightsPool.PoolParams calldata poolParams,
+        ConfigurableRightsPool.CrpParams calldata crpParams,
+        RightsManager.Rights calldata rights
+    ) internal returns (ConfigurableRightsPool crp) {
+        require(factory == trustedCrpFactory, "ERR_UNKNOWN_CRP_FACTORY");
+        require(bFactory == trustedBFactory, "ERR_UNKNOWN_BFACTORY");
+        require(
+            poolParams.constituentTokens.length == poolParams.tokenBalances.length,
+            "ERR_LENGTH_MISMATCH"
+        );
+        require(
+            poolParams.constituentTokens.length == poolParams.tokenWeights.length,
+            "ERR_LENGTH_MISMATCH"
+        );
+
+        crp = factory.newCrp(
+            address(bFactory),
+            poolParams,
+            rights
+        );
+        
+        for (uint i = 0; i < poolParams.constituentTokens.length; i++) {
+            ERC20 token = ERC20(poolParams.constituentTokens[i]);
+            _pullToken(token, poolParams.tokenBalances[i]);
+            _safeApprove(token, address(crp), poolParams.tokenBalances[i]);
+        }
+        
+        crp.createPool(
+            crpParams.initialSupply,
+            crpParams.minimumWeightChangeBlockPeriod,
+            crpParams.addTokenTimeLockInBlocks
+        );
+        require(crp.transfer(msg.sender, crpParams.initialSupply), "ERR_TRANSFER_FAILED");
+        _refundEth();
+        emit LogSmartPoolCreated(msg.sender, address(crp), address(crp.bPool()));
+        // DSProxy instance keeps pool ownership to enable management
+    }
+
     function _join(
         AbstractPool pool,
         address[] memory tokens,
@@ -367,16 +897,55 @@ contract BActions {
 
         for (uint i = 0; i < tokens.length; i++) {
             ERC20 token = ERC20(tokens[i]);
-            require(token.transferFrom(msg.sender, address(this), maxAmountsIn[i]), "ERR_TRANSFER_FAILED");
+            _pullToken(token, maxAmountsIn[i]);
             _safeApprove(token, address(pool), maxAmountsIn[i]);
         }
         pool.joinPool(poolAmountOut, maxAmountsIn);
         for (uint i = 0; i < tokens.length; i++) {
             ERC20 token = ERC20(tokens[i]);
             if (token.balanceOf(address(this)) > 0) {
-                require(token.transfer(msg.sender, token.balanceOf(address(this))), "ERR_TRANSFER_FAILED");
+                _pushToken(token, token.balanceOf(address(this)));
             }
         }
         require(pool.transfer(msg.sender, pool.balanceOf(address(this))), "ERR_TRANSFER_FAILED");
+        _refundEth();
+        emit LogPoolJoined(msg.sender, address(pool), poolAmountOut);
+    }
+
+    function _joinswapExternAmountIn(
+        AbstractPool pool,
+        ERC20 token,
+        uint tokenAmountIn,
+        uint minPoolAmountOut
+    ) internal {
+        _checkPool(pool);
+        _pullToken(token, tokenAmountIn);
+        _safeApprove(token, address(pool), tokenAmountIn);
+        uint poolAmountOut = pool.joinswapExternAmountIn(address(token), tokenAmountIn, minPoolAmountOut);
+        require(pool.transfer(msg.sender, poolAmountOut), "ERR_TRANSFER_FAILED");
+        _refundEth();
+        emit LogPoolJoined(msg.sender, address(pool), poolAmountOut);
+    }
+
+    function _exit(
+        AbstractPool pool,
+        address[] memory tokens,
+        uint poolAmountIn,
+        uint[] memory minAmountsOut
+    ) internal {
+        require(minAmountsOut.length == tokens.length, "ERR_LENGTH_MISMATCH");
+
+        require(pool.transferFrom(msg.sender, address(this), poolAmountIn), "ERR_TRANSFER_FAILED");
+        pool.exitPool(poolAmountIn, minAmountsOut);
+        for (uint i = 0; i < tokens.length; i++) {
+            ERC20 token = ERC20(tokens[i]);
+            if (token.balanceOf(address(this)) > 0) {
+                _pushToken(token, token.balanceOf(address(this)));
+            }
+        }
+        if (pool.balanceOf(address(this)) > 0) {
+            require(pool.transfer(msg.sender, pool.balanceOf(address(this))), "ERR_TRANSFER_FAILED");
+        }
+        emit LogPoolExited(msg.sender, address(pool), poolAmountIn);
     }
 }
@@ -0,0 +1,152 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+pragma solidity 0.6.12;
+
+import "./DSProxyFactory.sol";
+
+// Lets the owner of a DSProxy delegate single actions on single pools to operators.
+// DSAuthority only sees the proxy function being called, not the action it runs, so operators
+// call `execute` on the guard instead: it checks the action target, the action selector and its
+// first argument, the pool, against what the proxy owner permitted and runs the action through
+// the proxy. With the guard as its authority, the proxy takes `execute` calls from the guard on
+// top of its owner. Actions run with the guard as msg.sender, so only pool settings that move no
+// funds and leave the pool with the proxy can be permitted
+contract BActionsGuard is DSAuthority {
+
+    bytes4 private constant _EXECUTE = bytes4(keccak256("execute(address,bytes)"));
+
+    // The pool settings operators can be permitted
+    bytes4 private constant _SET_PUBLIC_SWAP = bytes4(keccak256("setPublicSwap(address,bool)"));
+    bytes4 private constant _SET_SWAP_FEE = bytes4(keccak256("setSwapFee(address,uint256)"));
+    bytes4 private constant _UPDATE_WEIGHTS_GRADUALLY = bytes4(
+        keccak256("updateWeightsGradually(address,uint256[],uint256,uint256)")
+    );
+    bytes4 private constant _POKE_WEIGHTS = bytes4(keccak256("pokeWeights(address)"));
+    bytes4 private constant _SET_CAP = bytes4(keccak256("setCap(address,uint256)"));
+    bytes4 private constant _WHITELIST_LP = bytes4(keccak256("whitelistLiquidityProvider(address,address)"));
+    bytes4 private constant _REMOVE_LP = bytes4(keccak256("removeWhitelistedLiquidityProvider(address,address)"));
+    bytes4 private constant _WHITELIST_LPS = bytes4(keccak256("whitelistLiquidityProviders(address,address[])"));
+    bytes4 private constant _REMOVE_LPS = bytes4(
+        keccak256("removeWhitelistedLiquidityProviders(address,address[])")
+    );
+
+    // Keyed by the proxy owner as well, so that permissions lapse when the proxy changes hands
+    mapping(bytes32 => bool) private _permitted;
+
+    event LogPermit(
+        address indexed proxy,
+        address indexed operator,
+        address indexed pool,
+        address         target,
+        bytes4          sig
+    );
+
+    event LogForbid(
+        address indexed proxy,
+        address indexed operator,
+        address indexed pool,
+        address         target,
+        bytes4          sig
+    );
+
+    modifier onlyProxyOwner(DSProxy proxy) {
+        require(proxy.owner() == msg.sender, "ERR_NOT_PROXY_OWNER");
+        _;
+    }
+
+    // --- Permissions ---
+
+    // Permits `operator` every selector in `sigs` on `target`, for every pool in `pools`
+    function permit(
+        DSProxy proxy,
+        address operator,
+        address target,
+        bytes4[] calldata sigs,
+        address[] calldata pools
+    ) external onlyProxyOwner(proxy) {
+        for (uint i = 0; i < sigs.length; i++) {
+            require(isPoolSetting(sigs[i]), "ERR_NOT_POOL_SETTING");
+            for (uint j = 0; j < pools.length; j++) {
+                _permitted[_key(proxy, operator, target, sigs[i], pools[j])] = true;
+                emit LogPermit(address(proxy), operator, pools[j], target, sigs[i]);
+            }
+        }
+    }
+
+    function forbid(
+        DSProxy proxy,
+        address operator,
+        address target,
+        bytes4[] calldata sigs,
+        address[] calldata pools
+    ) external onlyProxyOwner(proxy) {
+        for (uint i = 0; i < sigs.length; i++) {
+            for (uint j = 0; j < pools.length; j++) {
+                _permitted[_key(proxy, operator, target, sigs[i], pools[j])] = false;
+                emit LogForbid(address(proxy), operator, pools[j], target, sigs[i]);
+            }
+        }
+    }
+
+    // --- Execution ---
+
+    // Runs `data` on `target` through `proxy`, if the caller may call its selector on its pool
+    function execute(
+        DSProxy proxy,
+        address target,
+        bytes calldata data
+    ) external returns (bytes memory response) {
+        (bytes4 sig, address pool) = _decodeAction(data);
+        require(isPermitted(proxy, msg.sender, target, sig, pool), "ERR_NOT_PERMITTED");
+        return proxy.execute(target, data);
+    }
+
+    function isPermitted(
+        DSProxy proxy,
+        address operator,
+        address target,
+        bytes4 sig,
+        address pool
+    ) public view returns (bool) {
+        return _permitted[_key(proxy, operator, target, sig, pool)];
+    }
+
+    function isPoolSetting(bytes4 sig) public pure returns (bool) {
+        return sig == _SET_PUBLIC_SWAP
+            || sig == _SET_SWAP_FEE
+            || sig == _UPDATE_WEIGHTS_GRADUALLY
+            || sig == _POKE_WEIGHTS
+            || sig == _SET_CAP
+            || sig == _WHITELIST_LP
+            || sig == _REMOVE_LP
+            || sig == _WHITELIST_LPS
+            || sig == _REMOVE_LPS;
+    }
+
+    // --- DSAuthority ---
+
+    function canCall(address src, address, bytes4 sig) external view override returns (bool) {
+        return src == address(this) && sig == _EXECUTE;
+    }
+
+    // --- Internals ---
+
+    function _key(
+        DSProxy proxy,
+        address operator,
+        address target,
+        bytes4 sig,
+        address pool
+    ) internal view returns (bytes32) {
+        return keccak256(abi.encode(proxy, proxy.owner(), operator, target, sig, pool));
+    }
+
+    // Selector and first argument of an action call
+    function _decodeAction(bytes memory data) internal pure returns (bytes4 sig, address pool) {
+        require(data.length >= 36, "ERR_NO_POOL_ARGUMENT");
+        // solhint-disable-next-line no-inline-assembly
+        assembly {
+            sig := and(mload(add(data, 32)), not(sub(shl(224, 1), 1)))
+            pool := and(mload(add(data, 36)), sub(shl(160, 1), 1))
+        }
+    }
+}
@@ -0,0 +1,142 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+pragma solidity 0.6.12;
+
+pragma experimental ABIEncoderV2;
+
+import "./BActions.sol";
+
+// Moves the liquidity of shared and private BPools into new smart pools, in a single DSProxy call
+contract BMigrator is BActionsBase {
+
+    constructor(
+        WETH weth_,
+        BFactory bFactory_,
+        CRPFactory crpFactory_
+    ) public BActionsBase(weth_, bFactory_, crpFactory_) {
+        // solhint-disable-previous-line no-empty-blocks
+    }
+
+    // --- Shared pool to smart pool ---
+
+    // Exits poolAmountIn shares of a shared BPool, with minAmountsOut in pool token order, and seeds
+    // a new smart pool with poolParams.tokenBalances out of what the exit returned. poolParams lists
+    // the shared pool tokens in pool token order, the rest of the exit is refunded
+    function migrateToSmartPool(
+        BPool pool,
+        uint poolAmountIn,
+        uint[] calldata minAmountsOut,
+        CRPFactory factory,
+        ConfigurableRightsPool.PoolParams calldata poolParams,
+        ConfigurableRightsPool.CrpParams calldata crpParams,
+        RightsManager.Rights calldata rights,
+        uint minPoolAmountOut
+    ) external returns (ConfigurableRightsPool crp) {
+        _checkBPool(pool);
+        require(factory == trustedCrpFactory, "ERR_UNKNOWN_CRP_FACTORY");
+
+        address[] memory tokens = pool.getFinalTokens();
+        require(poolParams.constituentTokens.length == tokens.length, "ERR_LENGTH_MISMATCH");
+        require(poolParams.tokenBalances.length == tokens.length, "ERR_LENGTH_MISMATCH");
+        for (uint i = 0; i < tokens.length; i++) {
+            require(poolParams.constituentTokens[i] == tokens[i], "ERR_NOT_BOUND");
+        }
+
+        uint[] memory amountsOut = _exitShared(pool, poolAmountIn, minAmountsOut, tokens);
+
+        crp = factory.newCrp(address(trustedBFactory), poolParams, rights);
+        for (uint i = 0; i < tokens.length; i++) {
+            require(poolParams.tokenBalances[i] <= amountsOut[i], "ERR_BALANCE_ABOVE_EXIT");
+            _safeApprove(ERC20(tokens[i]), address(crp), poolParams.tokenBalances[i]);
+        }
+        crp.createPool(
+            crpParams.initialSupply,
+            crpParams.minimumWeightChangeBlockPeriod,
+            crpParams.addTokenTimeLockInBlocks
+        );
+
+        uint poolAmountOut = crp.balanceOf(address(this));
+        require(poolAmountOut >= minPoolAmountOut, "ERR_LIMIT_OUT");
+        require(crp.transfer(msg.sender, poolAmountOut), "ERR_TRANSFER_FAILED");
+        for (uint i = 0; i < tokens.length; i++) {
+            if (amountsOut[i] > poolParams.tokenBalances[i]) {
+                _pushToken(ERC20(tokens[i]), amountsOut[i] - poolParams.tokenBalances[i]);
+            }
+        }
+
+        emit LogPoolExited(msg.sender, address(pool), poolAmountIn);
+        emit LogSmartPoolCreated(msg.sender, address(crp), address(crp.bPool()));
+        // DSProxy instance keeps pool ownership to enable management
+    }
+
+    // --- Private pool to smart pool ---
+
+    // Drains a private BPool controlled by the proxy into a new smart pool with the same tokens,
+    // balances and swap fee. Weights are kept unless tokenWeights overrides them, in pool token order
+    function convertToSmartPool(
+        BPool pool,
+        CRPFactory factory,
+        string calldata poolTokenSymbol,
+        string calldata poolTokenName,
+        uint[] calldata tokenWeights,
+        ConfigurableRightsPool.CrpParams calldata crpParams,
+        RightsManager.Rights calldata rights
+    ) external returns (ConfigurableRightsPool crp) {
+        _checkBPool(pool);
+        require(factory == trustedCrpFactory, "ERR_UNKNOWN_CRP_FACTORY");
+
+        address[] memory tokens = pool.getCurrentTokens();
+        require(tokenWeights.length == 0 || tokenWeights.length == tokens.length, "ERR_LENGTH_MISMATCH");
+
+        ConfigurableRightsPool.PoolParams memory poolParams = ConfigurableRightsPool.PoolParams(
+            poolTokenSymbol,
+            poolTokenName,
+            tokens,
+            new uint[](tokens.length),
+            tokenWeights.length == 0 ? new uint[](tokens.length) : tokenWeights,
+            pool.getSwapFee()
+        );
+        for (uint i = 0; i < tokens.length; i++) {
+            poolParams.tokenBalances[i] = pool.getBalance(tokens[i]);
+            if (tokenWeights.length == 0) {
+                poolParams.tokenWeights[i] = pool.getDenormalizedWeight(tokens[i]);
+            }
+            pool.unbind(tokens[i]);
+        }
+
+        crp = factory.newCrp(address(trustedBFactory), poolParams, rights);
+        for (uint i = 0; i < tokens.length; i++) {
+            _safeApprove(ERC20(tokens[i]), address(crp), poolParams.tokenBalances[i]);
+        }
+        crp.createPool(
+            crpParams.initialSupply,
+            crpParams.minimumWeightChangeBlockPeriod,
+            crpParams.addTokenTimeLockInBlocks
+        );
+        require(crp.transfer(msg.sender, crpParams.initialSupply), "ERR_TRANSFER_FAILED");
+
+        emit LogSmartPoolCreated(msg.sender, address(crp), address(crp.bPool()));
+        // DSProxy instance keeps pool ownership to enable management
+    }
+
+    // --- Internals ---
+
+    // Exits the caller's shares and returns what the exit paid out, leaving tokens the proxy
+    // already held out of it
+    function _exitShared(
+        BPool pool,
+        uint poolAmountIn,
+        uint[] calldata minAmountsOut,
+        address[] memory tokens
+    ) internal returns (uint[] memory amountsOut) {
+        require(minAmountsOut.length == tokens.length, "ERR_LENGTH_MISMATCH");
+        amountsOut = new uint[](tokens.length);
+        for (uint i = 0; i < tokens.length; i++) {
+            amountsOut[i] = ERC20(tokens[i]).balanceOf(address(this));
+        }
+        require(pool.transferFrom(msg.sender, address(this), poolAmountIn), "ERR_TRANSFER_FAILED");
+        pool.exitPool(poolAmountIn, minAmountsOut);
+        for (uint i = 0; i < tokens.length; i++) {
+            amountsOut[i] = ERC20(tokens[i]).balanceOf(address(this)) - amountsOut[i];
+        }
+    }
+}
@@ -0,0 +1,151 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+pragma solidity 0.6.12;
+
+pragma experimental ABIEncoderV2;
+
+import "./BActions.sol";
+
+// Single pool and multihop swaps through the DSProxy, pulling from and paying out to the proxy owner
+contract BSwaps is BActionsBase {
+
+    constructor(
+        WETH weth_,
+        BFactory bFactory_,
+        CRPFactory crpFactory_
+    ) public BActionsBase(weth_, bFactory_, crpFactory_) {
+        // solhint-disable-previous-line no-empty-blocks
+    }
+
+    function swapExactAmountIn(
+        BPool pool,
+        ERC20 tokenIn,
+        uint tokenAmountIn,
+        ERC20 tokenOut,
+        uint minAmountOut,
+        uint maxPrice
+    ) external payable returns (uint tokenAmountOut) {
+        _checkBPool(pool);
+        _pullToken(tokenIn, tokenAmountIn);
+        _safeApprove(tokenIn, address(pool), tokenAmountIn);
+        (tokenAmountOut, ) = pool.swapExactAmountIn(
+            address(tokenIn), tokenAmountIn, address(tokenOut), minAmountOut, maxPrice
+        );
+        _pushToken(tokenOut, tokenAmountOut);
+        _refundEth();
+    }
+
+    function swapExactAmountOut(
+        BPool pool,
+        ERC20 tokenIn,
+        uint maxAmountIn,
+        ERC20 tokenOut,
+        uint tokenAmountOut,
+        uint maxPrice
+    ) external payable returns (uint tokenAmountIn) {
+        _checkBPool(pool);
+        _pullToken(tokenIn, maxAmountIn);
+        _safeApprove(tokenIn, address(pool), maxAmountIn);
+        (tokenAmountIn, ) = pool.swapExactAmountOut(
+            address(tokenIn), maxAmountIn, address(tokenOut), tokenAmountOut, maxPrice
+        );
+        _pushToken(tokenOut, tokenAmountOut);
+        if (tokenAmountIn < maxAmountIn) {
+            _pushToken(tokenIn, maxAmountIn - tokenAmountIn);
+        }
+        _refundEth();
+    }
+
+    // path[i] is swapped for path[i + 1] in pools[i], with spot price limited by maxPrices[i]
+    function multihopSwapExactAmountIn(
+        BPool[] calldata pools,
+        address[] calldata path,
+        uint[] calldata maxPrices,
+        uint tokenAmountIn,
+        uint minAmountOut
+    ) external payable returns (uint tokenAmountOut) {
+        _checkPath(pools, path, maxPrices);
+
+        _pullToken(ERC20(path[0]), tokenAmountIn);
+        tokenAmountOut = tokenAmountIn;
+        for (uint i = 0; i < pools.length; i++) {
+            _safeApprove(ERC20(path[i]), address(pools[i]), tokenAmountOut);
+            (tokenAmountOut, ) = pools[i].swapExactAmountIn(
+                path[i], tokenAmountOut, path[i + 1], 0, maxPrices[i]
+            );
+        }
+        require(tokenAmountOut >= minAmountOut, "ERR_LIMIT_OUT");
+        _pushToken(ERC20(path[pools.length]), tokenAmountOut);
+        _refundEth();
+    }
+
+    // Same path layout, each pool can only appear once in it
+    function multihopSwapExactAmountOut(
+        BPool[] calldata pools,
+        address[] calldata path,
+        uint[] calldata maxPrices,
+        uint maxAmountIn,
+        uint tokenAmountOut
+    ) external payable returns (uint tokenAmountIn) {
+        _checkPath(pools, path, maxPrices);
+        _checkDistinctPools(pools);
+
+        uint[] memory amounts = _getAmountsIn(pools, path, tokenAmountOut);
+        tokenAmountIn = amounts[0];
+        require(tokenAmountIn <= maxAmountIn, "ERR_LIMIT_IN");
+
+        _pullToken(ERC20(path[0]), tokenAmountIn);
+        for (uint i = 0; i < pools.length; i++) {
+            _safeApprove(ERC20(path[i]), address(pools[i]), amounts[i]);
+            pools[i].swapExactAmountOut(
+                path[i], amounts[i], path[i + 1], amounts[i + 1], maxPrices[i]
+            );
+        }
+        _pushToken(ERC20(path[pools.length]), tokenAmountOut);
+        _refundEth();
+    }
+
+    // --- Internals ---
+
+    function _checkPath(
+        BPool[] memory pools,
+        address[] memory path,
+        uint[] memory maxPrices
+    ) internal view {
+        require(path.length == pools.length + 1, "ERR_LENGTH_MISMATCH");
+        require(maxPrices.length == pools.length, "ERR_LENGTH_MISMATCH");
+        for (uint i = 0; i < pools.length; i++) {
+            _checkBPool(pools[i]);
+        }
+    }
+
+    // The hop amounts are all computed up front from the current balances, a pool used twice would
+    // have moved by the time its second hop runs
+    function _checkDistinctPools(BPool[] memory pools) internal pure {
+        for (uint i = 1; i < pools.length; i++) {
+            for (uint j = 0; j < i; j++) {
+                require(pools[i] != pools[j], "ERR_REPEATED_POOL");
+            }
+        }
+    }
+
+    // amounts[i] is the amount of path[i] needed to get amounts[i + 1] of path[i + 1] out of pools[i]
+    function _getAmountsIn(
+        BPool[] memory pools,
+        address[] memory path,
+        uint tokenAmountOut
+    ) internal view returns (uint[] memory amounts) {
+        amounts = new uint[](path.length);
+        amounts[pools.length] = tokenAmountOut;
+        for (uint i = pools.length; i > 0; i--) {
+            BPool pool = pools[i - 1];
+            amounts[i - 1] = pool.calcInGivenOut(
+                pool.getBalance(path[i - 1]),
+                pool.getDenormalizedWeight(path[i - 1]),
+                pool.getBalance(path[i]),
+                pool.getDenormalizedWeight(path[i]),
+                amounts[i],
+                pool.getSwapFee()
+            );
+        }
+    }
+}
@@ -0,0 +1,231 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+pragma solidity 0.6.12;
+
+pragma experimental ABIEncoderV2;
+
+import "./BActions.sol";
+
+// Joins and exits that work out pool amounts from what the caller holds, swapping into or out of
+// a single token where needed
+contract BZaps is BActionsBase {
+
+    constructor(
+        WETH weth_,
+        BFactory bFactory_,
+        CRPFactory crpFactory_
+    ) public BActionsBase(weth_, bFactory_, crpFactory_) {
+        // solhint-disable-previous-line no-empty-blocks
+    }
+
+    // --- Zap in ---
+
+    // Joins with any amounts of the pool tokens, in any order. The largest proportional join is
+    // done first, leftovers are joined single sided where they mint shares and the rest is refunded
+    function zapJoin(
+        AbstractPool pool,
+        ERC20[] calldata tokens,
+        uint[] calldata amounts,
+        uint minPoolAmountOut
+    ) external payable returns (uint poolAmountOut) {
+        _checkPool(pool);
+        require(tokens.length == amounts.length, "ERR_LENGTH_MISMATCH");
+
+        BPool bPool = _getBPool(pool);
+        for (uint i = 0; i < tokens.length; i++) {
+            require(bPool.isBound(address(tokens[i])), "ERR_NOT_BOUND");
+            _pullToken(tokens[i], amounts[i]);
+        }
+        return _joinHeld(pool, bPool, minPoolAmountOut);
+    }
+
+    // Swaps part of tokenIn for every other pool token, in proportion to the pool weights, and
+    // joins with the proceeds. swapPools[i] swaps for the i-th pool token, an empty list or a
+    // zero address swaps through the pool itself
+    function zapIn(
+        AbstractPool pool,
+        ERC20 tokenIn,
+        uint tokenAmountIn,
+        BPool[] calldata swapPools,
+        uint minPoolAmountOut
+    ) external payable returns (uint poolAmountOut) {
+        _checkPool(pool);
+
+        BPool bPool = _getBPool(pool);
+        address[] memory tokens = bPool.getCurrentTokens();
+        require(swapPools.length == 0 || swapPools.length == tokens.length, "ERR_LENGTH_MISMATCH");
+
+        _pullToken(tokenIn, tokenAmountIn);
+        uint totalWeight = bPool.getTotalDenormalizedWeight();
+        for (uint i = 0; i < tokens.length; i++) {
+            if (tokens[i] != address(tokenIn)) {
+                uint amount = tokenAmountIn * bPool.getDenormalizedWeight(tokens[i]) / totalWeight;
+                _swap(_getSwapPool(bPool, swapPools, i), tokenIn, amount, ERC20(tokens[i]));
+            }
+        }
+        poolAmountOut = _joinHeld(pool, bPool, minPoolAmountOut);
+
+        if (!bPool.isBound(address(tokenIn))) {
+            address[] memory rest = new address[](1);
+            rest[0] = address(tokenIn);
+            _refundTokens(rest);
+        }
+    }
+
+    // --- Zap out ---
+
+    // Exits poolAmountIn shares proportionally and swaps every other pool token for tokenOut,
+    // through the pool itself or swapPools[i] as in zapIn
+    function zapOut(
+        AbstractPool pool,
+        uint poolAmountIn,
+        ERC20 tokenOut,
+        BPool[] calldata swapPools,
+        uint minAmountOut
+    ) external returns (uint tokenAmountOut) {
+        _checkPool(pool);
+
+        BPool bPool = _getBPool(pool);
+        address[] memory tokens = bPool.getCurrentTokens();
+        require(swapPools.length == 0 || swapPools.length == tokens.length, "ERR_LENGTH_MISMATCH");
+
+        require(pool.transferFrom(msg.sender, address(this), poolAmountIn), "ERR_TRANSFER_FAILED");
+        pool.exitPool(poolAmountIn, new uint[](tokens.length));
+        for (uint i = 0; i < tokens.length; i++) {
+            if (tokens[i] != address(tokenOut)) {
+                ERC20 token = ERC20(tokens[i]);
+                _swap(_getSwapPool(bPool, swapPools, i), token, token.balanceOf(address(this)), tokenOut);
+            }
+        }
+
+        tokenAmountOut = tokenOut.balanceOf(address(this));
+        require(tokenAmountOut >= minAmountOut, "ERR_LIMIT_OUT");
+        _pushToken(tokenOut, tokenAmountOut);
+        emit LogPoolExited(msg.sender, address(pool), poolAmountIn);
+    }
+
+    // --- Internals ---
+
+    function _getBPool(AbstractPool pool) internal view returns (BPool) {
+        if (trustedCrpFactory.isCrp(address(pool))) {
+            return ConfigurableRightsPool(address(pool)).bPool();
+        }
+        return BPool(address(pool));
+    }
+
+    function _getSwapPool(
+        BPool bPool,
+        BPool[] memory swapPools,
+        uint i
+    ) internal view returns (BPool) {
+        if (swapPools.length == 0 || address(swapPools[i]) == address(0)) {
+            return bPool;
+        }
+        _checkBPool(swapPools[i]);
+        return swapPools[i];
+    }
+
+    function _swap(
+        BPool pool,
+        ERC20 tokenIn,
+        uint tokenAmountIn,
+        ERC20 tokenOut
+    ) internal {
+        if (tokenAmountIn == 0) {
+            return;
+        }
+        _safeApprove(tokenIn, address(pool), tokenAmountIn);
+        // Slippage is bounded by the caller's minimum on the final amount
+        pool.swapExactAmountIn(address(tokenIn), tokenAmountIn, address(tokenOut), 0, uint(-1));
+    }
+
+    // Joins with every pool token the proxy holds and hands the shares to the caller
+    function _joinHeld(
+        AbstractPool pool,
+        BPool bPool,
+        uint minPoolAmountOut
+    ) internal returns (uint poolAmountOut) {
+        address[] memory tokens = bPool.getCurrentTokens();
+
+        poolAmountOut = _joinProportional(pool, bPool, tokens);
+        for (uint i = 0; i < tokens.length; i++) {
+            poolAmountOut += _joinswapRemainder(pool, bPool, ERC20(tokens[i]));
+        }
+        require(poolAmountOut >= minPoolAmountOut, "ERR_LIMIT_OUT");
+
+        require(pool.transfer(msg.sender, poolAmountOut), "ERR_TRANSFER_FAILED");
+        _refundTokens(tokens);
+        _refundEth();
+        emit LogPoolJoined(msg.sender, address(pool), poolAmountOut);
+    }
+
+    // Joins with the largest poolAmountOut whose amounts fit in the held balances.
+    // Smart pools round in their own favor (SmartPoolManager.joinPool), so supply and balances are adjusted
+    function _joinProportional(
+        AbstractPool pool,
+        BPool bPool,
+        address[] memory tokens
+    ) internal returns (uint poolAmountOut) {
+        bool smart = address(bPool) != address(pool);
+        uint supply = smart ? pool.totalSupply() - 1 : pool.totalSupply();
+        uint minBalance = uint(-1);
+        uint[] memory maxAmountsIn = new uint[](tokens.length);
+
+        poolAmountOut = uint(-1);
+        for (uint i = 0; i < tokens.length; i++) {
+            uint balance = smart ? bPool.getBalance(tokens[i]) + 1 : bPool.getBalance(tokens[i]);
+            maxAmountsIn[i] = ERC20(tokens[i]).balanceOf(address(this));
+
+            // bdiv and bmul in joinPool add less than balance / BONE + 1 to the exact amount
+            uint margin = balance / _BONE + 1;
+            uint limit = maxAmountsIn[i] > margin ? (maxAmountsIn[i] - margin) * supply / balance : 0;
+            if (limit < poolAmountOut) {
+                poolAmountOut = limit;
+            }
+            if (balance < minBalance) {
+                minBalance = balance;
+            }
+        }
+
+        // joinPool fails on a ratio or token amount rounding to zero
+        uint ratio = (poolAmountOut * _BONE + supply / 2) / supply;
+        if (ratio * minBalance < _BONE / 2) {
+            return 0;
+        }
+        for (uint i = 0; i < tokens.length; i++) {
+            _safeApprove(ERC20(tokens[i]), address(pool), maxAmountsIn[i]);
+        }
+        pool.joinPool(poolAmountOut, maxAmountsIn);
+    }
+
+    // Joins what is left of a token single sided, up to the BPool MAX_IN_RATIO
+    function _joinswapRemainder(
+        AbstractPool pool,
+        BPool bPool,
+        ERC20 token
+    ) internal returns (uint poolAmountOut) {
+        uint balance = bPool.getBalance(address(token));
+        uint tokenAmountIn = token.balanceOf(address(this));
+        // bmul(balance, MAX_IN_RATIO)
+        uint maxAmountIn = (balance + 1) / 2;
+        if (tokenAmountIn > maxAmountIn) {
+            tokenAmountIn = maxAmountIn;
+        }
+        if (tokenAmountIn == 0) {
+            return 0;
+        }
+
+        poolAmountOut = bPool.calcPoolOutGivenSingleIn(
+            balance,
+            bPool.getDenormalizedWeight(address(token)),
+            pool.totalSupply(),
+            bPool.getTotalDenormalizedWeight(),
+            tokenAmountIn,
+            bPool.getSwapFee()
+        );
+        if (poolAmountOut == 0) {
+            return 0;
+        }
+        _safeApprove(token, address(pool), tokenAmountIn);
+        return pool.joinswapExternAmountIn(address(token), tokenAmountIn, poolAmountOut);
+    }
+}
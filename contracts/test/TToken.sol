@@ -13,7 +13,7 @@ contract TToken {
     uint internal _totalSupply;
 
     mapping(address => uint)                   private _balance;
-    mapping(address => mapping(address=>uint)) private _allowance;
+    mapping(address => mapping(address=>uint)) internal _allowance;
 
     event Approval(address indexed src, address indexed dst, uint amt);
     event Transfer(address indexed src, address indexed dst, uint amt);
@@ -0,0 +1,56 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+pragma solidity 0.6.12;
+
+import "./TToken.sol";
+
+// Test Token with EIP-2612 permit
+
+contract TTokenPermit is TToken {
+
+    bytes32 public constant PERMIT_TYPEHASH = keccak256(
+        "Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)"
+    );
+
+    bytes32 public DOMAIN_SEPARATOR;
+
+    mapping(address => uint) public nonces;
+
+    constructor(
+        bytes32 name,
+        bytes32 symbol,
+        uint8 decimals
+    ) public TToken(name, symbol, decimals) {
+        DOMAIN_SEPARATOR = keccak256(abi.encode(
+            keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+            keccak256(bytes("Test Token")),
+            keccak256(bytes("1")),
+            getChainId(),
+            address(this)
+        ));
+    }
+
+    function getChainId() public pure returns (uint id) {
+        assembly { id := chainid() }
+    }
+
+    function permit(
+        address owner,
+        address spender,
+        uint value,
+        uint deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        require(deadline >= block.timestamp, "ERR_PERMIT_EXPIRED");
+        bytes32 digest = keccak256(abi.encodePacked(
+            "\x19\x01",
+            DOMAIN_SEPARATOR,
+            keccak256(abi.encode(PERMIT_TYPEHASH, owner, spender, value, nonces[owner]++, deadline))
+        ));
+        address signer = ecrecover(digest, v, r, s);
+        require(signer != address(0) && signer == owner, "ERR_INVALID_SIGNATURE");
+        _allowance[owner][spender] = value;
+        emit Approval(owner, spender, value);
+    }
+}
@@ -0,0 +1,115 @@
+// Adding a token to a smart pool takes a `commitAddToken`, then `applyAddToken` once the pool's
+// `addTokenTimeLockInBlocks` passed. This reads the pending commit of a pool and applies it:
+//
+//   const pending = await pendingToken(web3, CRP);
+//   // { token, balance, denorm, commitBlock, readyBlock, blocksLeft, ready }
+//   const { required, missing } = await approval(web3, pending, owner, proxy);
+//   await applyPendingToken(web3, bactions, CRP, { owner, proxy, approve: true });
+//
+// BActions pulls exactly the committed balance from the proxy owner, which has to approve the proxy for it.
+
+const { view } = require('./client');
+
+const CRP_ABI = [
+    view('newToken', [], ['address', 'bool', 'uint256', 'uint256', 'uint256']),
+    view('addTokenTimeLockInBlocks', [], ['uint256']),
+];
+
+const ERC20_ABI = [
+    view('allowance', ['address', 'address'], ['uint256']),
+    view('balanceOf', ['address'], ['uint256']),
+    {
+        name: 'approve',
+        type: 'function',
+        inputs: [{ name: 'spender', type: 'address' }, { name: 'amount', type: 'uint256' }],
+        outputs: [{ name: '', type: 'bool' }],
+    },
+];
+
+// The token committed to `crp`, undefined without a commit. `ready` once the current block
+// is `readyBlock` or later, `blocksLeft` until then
+async function pendingToken(web3, crp) {
+    const { methods } = new web3.eth.Contract(CRP_ABI, crp);
+    const newToken = await methods.newToken().call();
+    if (!newToken[1]) {
+        return undefined;
+    }
+
+    const block = await web3.eth.getBlockNumber();
+    const timeLock = Number(await methods.addTokenTimeLockInBlocks().call());
+    const commitBlock = Number(newToken[2]);
+    const readyBlock = commitBlock + timeLock;
+    return {
+        pool: crp,
+        token: newToken[0],
+        balance: newToken[4],
+        denorm: newToken[3],
+        commitBlock,
+        readyBlock,
+        blocksLeft: Math.max(readyBlock - block, 0),
+        ready: block >= readyBlock,
+    };
+}
+
+// What `owner` has to approve `proxy` for before applying. `missing` is what the current
+// allowance lacks, `shortfall` what the owner lacks of the balance itself
+async function approval(web3, pending, owner, proxy) {
+    const { toBN } = web3.utils;
+    const { methods } = new web3.eth.Contract(ERC20_ABI, pending.token);
+    const allowance = toBN(await methods.allowance(owner, proxy).call());
+    const held = toBN(await methods.balanceOf(owner).call());
+    const required = toBN(pending.balance);
+    return {
+        required: required.toString(),
+        allowance: allowance.toString(),
+        missing: (allowance.gte(required) ? toBN(0) : required.sub(allowance)).toString(),
+        shortfall: (held.gte(required) ? toBN(0) : required.sub(held)).toString(),
+    };
+}
+
+// Applies the pending token of `crp` through `bactions`, a BActions client of the proxy.
+// With `approve`, first approves the proxy for the committed balance if the allowance is short
+async function applyPendingToken(web3, bactions, crp, { owner, proxy, approve = false }) {
+    const pending = await pendingToken(web3, crp);
+    if (!pending) {
+        throw new Error(`No token is committed to ${crp}`);
+    }
+    if (!pending.ready) {
+        const { token, readyBlock, blocksLeft } = pending;
+        throw new Error(`${token} can be added from block ${readyBlock}, ${blocksLeft} blocks left`);
+    }
+
+    const { required, missing, shortfall } = await approval(web3, pending, owner, proxy);
+    if (shortfall !== '0') {
+        throw new Error(`${owner} lacks ${shortfall} of the ${required} ${pending.token} to add`);
+    }
+    if (missing !== '0') {
+        if (!approve) {
+            throw new Error(`Approve ${proxy} for ${required} ${pending.token} first`);
+        }
+        const approveCall = new web3.eth.Contract(ERC20_ABI, pending.token).methods.approve(proxy, required);
+        await approveCall.send({ from: owner, gas: await approveCall.estimateGas({ from: owner }) });
+    }
+    return bactions.applyAddToken(crp, pending.token, required);
+}
+
+function formatPending(pending) {
+    if (!pending) {
+        return ['No token committed'];
+    }
+    return [
+        `token: ${pending.token}`,
+        `balance: ${pending.balance}`,
+        `weight: ${pending.denorm}`,
+        `committed at block ${pending.commitBlock}, ${pending.ready
+            ? `ready since block ${pending.readyBlock}`
+            : `ready at block ${pending.readyBlock} (${pending.blocksLeft} blocks left)`}`,
+    ];
+}
+
+module.exports = {
+    pendingToken,
+    approval,
+    applyPendingToken,
+    formatPending,
+};
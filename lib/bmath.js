@@ -0,0 +1,242 @@
+// Port of the BNum and BMath contracts used by BPool. Every value is an 18 decimal
+// fixed point integer, given as a string, number, BN or Decimal and returned as a string.
+// Rounding follows the contracts, so results match BPool to the wei
+
+const Decimal = require('decimal.js').clone({
+    precision: 100,
+    rounding: 1, // ROUND_DOWN, uint division truncates
+    toExpPos: 100,
+});
+
+const BONE = new Decimal('1e18');
+const MAX_UINT = new Decimal(2).pow(256).sub(1);
+
+const EXIT_FEE = new Decimal(0);
+const MIN_BPOW_BASE = new Decimal(1);
+const MAX_BPOW_BASE = BONE.mul(2).sub(1);
+const BPOW_PRECISION = BONE.div(1e10);
+const MAX_IN_RATIO = BONE.div(2);
+const MAX_OUT_RATIO = BONE.div(3).floor().add(1);
+const MIN_WEIGHT = BONE;
+const MAX_WEIGHT = BONE.mul(50);
+const MAX_TOTAL_WEIGHT = BONE.mul(50);
+
+function toDecimal(value) {
+    return new Decimal(value.toString());
+}
+
+function ensure(condition, reason) {
+    if (!condition) {
+        throw new Error(reason);
+    }
+}
+
+function idiv(a, b) {
+    return a.div(b).floor();
+}
+
+// --- BNum ---
+
+function btoi(a) {
+    return idiv(a, BONE);
+}
+
+function bfloor(a) {
+    return btoi(a).mul(BONE);
+}
+
+function badd(a, b) {
+    const c = a.add(b);
+    ensure(c.lte(MAX_UINT), 'ERR_ADD_OVERFLOW');
+    return c;
+}
+
+function bsubSign(a, b) {
+    return a.gte(b) ? [a.sub(b), false] : [b.sub(a), true];
+}
+
+function bsub(a, b) {
+    const [c, flag] = bsubSign(a, b);
+    ensure(!flag, 'ERR_SUB_UNDERFLOW');
+    return c;
+}
+
+function bmul(a, b) {
+    const c1 = a.mul(b).add(idiv(BONE, 2));
+    ensure(c1.lte(MAX_UINT), 'ERR_MUL_OVERFLOW');
+    return idiv(c1, BONE);
+}
+
+function bdiv(a, b) {
+    ensure(!b.isZero(), 'ERR_DIV_ZERO');
+    const c1 = a.mul(BONE).add(idiv(b, 2));
+    ensure(c1.lte(MAX_UINT), 'ERR_DIV_INTERNAL');
+    return idiv(c1, b);
+}
+
+function bpowi(base, exp) {
+    let a = base;
+    let z = exp.mod(2).isZero() ? BONE : a;
+
+    for (let n = idiv(exp, 2); !n.isZero(); n = idiv(n, 2)) {
+        a = bmul(a, a);
+        if (!n.mod(2).isZero()) {
+            z = bmul(z, a);
+        }
+    }
+    return z;
+}
+
+function bpowApprox(base, exp, precision) {
+    const a = exp;
+    const [x, xneg] = bsubSign(base, BONE);
+    let term = BONE;
+    let sum = term;
+    let negative = false;
+
+    for (let i = 1; term.gte(precision); i += 1) {
+        const bigK = BONE.mul(i);
+        const [c, cneg] = bsubSign(a, bsub(bigK, BONE));
+        term = bmul(term, bmul(c, x));
+        term = bdiv(term, bigK);
+        if (term.isZero()) break;
+
+        if (xneg) negative = !negative;
+        if (cneg) negative = !negative;
+        sum = negative ? bsub(sum, term) : badd(sum, term);
+    }
+    return sum;
+}
+
+function bpow(base, exp) {
+    ensure(base.gte(MIN_BPOW_BASE), 'ERR_BPOW_BASE_TOO_LOW');
+    ensure(base.lte(MAX_BPOW_BASE), 'ERR_BPOW_BASE_TOO_HIGH');
+
+    const whole = bfloor(exp);
+    const remain = bsub(exp, whole);
+    const wholePow = bpowi(base, btoi(whole));
+
+    if (remain.isZero()) {
+        return wholePow;
+    }
+    return bmul(wholePow, bpowApprox(base, remain, BPOW_PRECISION));
+}
+
+// --- BMath ---
+
+function calcSpotPrice(tokenBalanceIn, tokenWeightIn, tokenBalanceOut, tokenWeightOut, swapFee) {
+    const numer = bdiv(tokenBalanceIn, tokenWeightIn);
+    const denom = bdiv(tokenBalanceOut, tokenWeightOut);
+    const ratio = bdiv(numer, denom);
+    const scale = bdiv(BONE, bsub(BONE, swapFee));
+    return bmul(ratio, scale);
+}
+
+function calcOutGivenIn(tokenBalanceIn, tokenWeightIn, tokenBalanceOut, tokenWeightOut, tokenAmountIn, swapFee) {
+    const weightRatio = bdiv(tokenWeightIn, tokenWeightOut);
+    const adjustedIn = bmul(tokenAmountIn, bsub(BONE, swapFee));
+    const y = bdiv(tokenBalanceIn, badd(tokenBalanceIn, adjustedIn));
+    const foo = bpow(y, weightRatio);
+    return bmul(tokenBalanceOut, bsub(BONE, foo));
+}
+
+function calcInGivenOut(tokenBalanceIn, tokenWeightIn, tokenBalanceOut, tokenWeightOut, tokenAmountOut, swapFee) {
+    const weightRatio = bdiv(tokenWeightOut, tokenWeightIn);
+    const diff = bsub(tokenBalanceOut, tokenAmountOut);
+    const y = bdiv(tokenBalanceOut, diff);
+    const foo = bsub(bpow(y, weightRatio), BONE);
+    return bdiv(bmul(tokenBalanceIn, foo), bsub(BONE, swapFee));
+}
+
+function calcPoolOutGivenSingleIn(tokenBalanceIn, tokenWeightIn, poolSupply, totalWeight, tokenAmountIn, swapFee) {
+    const normalizedWeight = bdiv(tokenWeightIn, totalWeight);
+    const zaz = bmul(bsub(BONE, normalizedWeight), swapFee);
+    const tokenAmountInAfterFee = bmul(tokenAmountIn, bsub(BONE, zaz));
+
+    const newTokenBalanceIn = badd(tokenBalanceIn, tokenAmountInAfterFee);
+    const tokenInRatio = bdiv(newTokenBalanceIn, tokenBalanceIn);
+
+    const poolRatio = bpow(tokenInRatio, normalizedWeight);
+    const newPoolSupply = bmul(poolRatio, poolSupply);
+    return bsub(newPoolSupply, poolSupply);
+}
+
+function calcSingleInGivenPoolOut(tokenBalanceIn, tokenWeightIn, poolSupply, totalWeight, poolAmountOut, swapFee) {
+    const normalizedWeight = bdiv(tokenWeightIn, totalWeight);
+    const newPoolSupply = badd(poolSupply, poolAmountOut);
+    const poolRatio = bdiv(newPoolSupply, poolSupply);
+
+    const tokenInRatio = bpow(poolRatio, bdiv(BONE, normalizedWeight));
+    const newTokenBalanceIn = bmul(tokenInRatio, tokenBalanceIn);
+    const tokenAmountInAfterFee = bsub(newTokenBalanceIn, tokenBalanceIn);
+
+    const zar = bmul(bsub(BONE, normalizedWeight), swapFee);
+    return bdiv(tokenAmountInAfterFee, bsub(BONE, zar));
+}
+
+function calcSingleOutGivenPoolIn(tokenBalanceOut, tokenWeightOut, poolSupply, totalWeight, poolAmountIn, swapFee) {
+    const normalizedWeight = bdiv(tokenWeightOut, totalWeight);
+
+    const poolAmountInAfterExitFee = bmul(poolAmountIn, bsub(BONE, EXIT_FEE));
+    const newPoolSupply = bsub(poolSupply, poolAmountInAfterExitFee);
+    const poolRatio = bdiv(newPoolSupply, poolSupply);
+
+    const tokenOutRatio = bpow(poolRatio, bdiv(BONE, normalizedWeight));
+    const newTokenBalanceOut = bmul(tokenOutRatio, tokenBalanceOut);
+    const tokenAmountOutBeforeSwapFee = bsub(tokenBalanceOut, newTokenBalanceOut);
+
+    const zaz = bmul(bsub(BONE, normalizedWeight), swapFee);
+    return bmul(tokenAmountOutBeforeSwapFee, bsub(BONE, zaz));
+}
+
+function calcPoolInGivenSingleOut(tokenBalanceOut, tokenWeightOut, poolSupply, totalWeight, tokenAmountOut, swapFee) {
+    const normalizedWeight = bdiv(tokenWeightOut, totalWeight);
+    const zar = bmul(bsub(BONE, normalizedWeight), swapFee);
+    const tokenAmountOutBeforeSwapFee = bdiv(tokenAmountOut, bsub(BONE, zar));
+
+    const newTokenBalanceOut = bsub(tokenBalanceOut, tokenAmountOutBeforeSwapFee);
+    const tokenOutRatio = bdiv(newTokenBalanceOut, tokenBalanceOut);
+
+    const poolRatio = bpow(tokenOutRatio, normalizedWeight);
+    const newPoolSupply = bmul(poolRatio, poolSupply);
+    const poolAmountInAfterExitFee = bsub(poolSupply, newPoolSupply);
+
+    return bdiv(poolAmountInAfterExitFee, bsub(BONE, EXIT_FEE));
+}
+
+// Wraps a function on Decimals into one taking any numeric input and returning a string
+function exported(fn) {
+    return (...args) => {
+        const result = fn(...args.map(toDecimal));
+        return Array.isArray(result) ? [result[0].toFixed(), result[1]] : result.toFixed();
+    };
+}
+
+module.exports = {
+    Decimal,
+    BONE: BONE.toFixed(),
+    EXIT_FEE: EXIT_FEE.toFixed(),
+    MAX_IN_RATIO: MAX_IN_RATIO.toFixed(),
+    MAX_OUT_RATIO: MAX_OUT_RATIO.toFixed(),
+    MIN_WEIGHT: MIN_WEIGHT.toFixed(),
+    MAX_WEIGHT: MAX_WEIGHT.toFixed(),
+    MAX_TOTAL_WEIGHT: MAX_TOTAL_WEIGHT.toFixed(),
+    ensure,
+    btoi: exported(btoi),
+    bfloor: exported(bfloor),
+    badd: exported(badd),
+    bsub: exported(bsub),
+    bsubSign: exported(bsubSign),
+    bmul: exported(bmul),
+    bdiv: exported(bdiv),
+    bpowi: exported(bpowi),
+    bpowApprox: exported(bpowApprox),
+    bpow: exported(bpow),
+    calcSpotPrice: exported(calcSpotPrice),
+    calcOutGivenIn: exported(calcOutGivenIn),
+    calcInGivenOut: exported(calcInGivenOut),
+    calcPoolOutGivenSingleIn: exported(calcPoolOutGivenSingleIn),
+    calcSingleInGivenPoolOut: exported(calcSingleInGivenPoolOut),
+    calcSingleOutGivenPoolIn: exported(calcSingleOutGivenPoolIn),
+    calcPoolInGivenSingleOut: exported(calcPoolInGivenSingleOut),
+};
@@ -0,0 +1,154 @@
+// Turns a pool snapshot and a slippage tolerance (a fraction, e.g. '0.01') into the
+// limit arguments of the BActions join and exit functions:
+//
+//   const pool = await fetchPool(web3, POOL);
+//   await bactions.joinPool(...joinPoolArgs(pool, toWei('10'), '0.01'));
+//   await bactions.joinswapExternAmountIn(...joinswapExternAmountInArgs(pool, DAI, toWei('5'), '0.01'));
+//
+// Works for BPools and smart pools, which round proportional joins and exits in favor of the pool.
+
+const bmath = require('./bmath');
+const { view } = require('./client');
+
+const { Decimal } = bmath;
+
+const POOL_ABI = [
+    view('getCurrentTokens', [], ['address[]']),
+    view('getBalance', ['address'], ['uint256']),
+    view('getDenormalizedWeight', ['address'], ['uint256']),
+    view('getTotalDenormalizedWeight', [], ['uint256']),
+    view('getSwapFee', [], ['uint256']),
+    view('totalSupply', [], ['uint256']),
+];
+
+const BPOOL = {
+    name: 'bPool',
+    type: 'function',
+    inputs: [],
+};
+
+// A smart pool answers bPool() with the address of its underlying BPool
+async function getBPool(web3, address) {
+    try {
+        const response = await web3.eth.call({ to: address, data: web3.eth.abi.encodeFunctionCall(BPOOL, []) });
+        return response.length === 66 ? web3.eth.abi.decodeParameter('address', response) : undefined;
+    } catch (e) {
+        return undefined;
+    }
+}
+
+async function fetchPool(web3, address) {
+    const bPoolAddress = await getBPool(web3, address);
+    const bPool = new web3.eth.Contract(POOL_ABI, bPoolAddress || address);
+    const pool = new web3.eth.Contract(POOL_ABI, address);
+
+    const tokens = await bPool.methods.getCurrentTokens().call();
+    const balances = await Promise.all(tokens.map((t) => bPool.methods.getBalance(t).call()));
+    const denorms = await Promise.all(tokens.map((t) => bPool.methods.getDenormalizedWeight(t).call()));
+
+    return {
+        address,
+        smart: bPoolAddress !== undefined,
+        tokens,
+        balances,
+        denorms,
+        totalWeight: await bPool.methods.getTotalDenormalizedWeight().call(),
+        swapFee: await bPool.methods.getSwapFee().call(),
+        totalSupply: await pool.methods.totalSupply().call(),
+    };
+}
+
+function tokenIndex(pool, token) {
+    const index = pool.tokens.findIndex((t) => t.toLowerCase() === token.toLowerCase());
+    if (index === -1) {
+        throw new Error('ERR_NOT_BOUND');
+    }
+    return index;
+}
+
+function withSlippage(amount, slippage, up) {
+    const factor = new Decimal(1)[up ? 'add' : 'sub'](slippage);
+    const limit = new Decimal(amount).mul(factor);
+    return (up ? limit.ceil() : limit.floor()).toFixed();
+}
+
+function checkRatio(amount, balance, ratio, reason) {
+    if (new Decimal(amount).gt(bmath.bmul(balance, ratio))) {
+        throw new Error(reason);
+    }
+}
+
+// --- Amounts ---
+
+function calcAmountsIn(pool, poolAmountOut) {
+    if (pool.smart) {
+        const ratio = bmath.bdiv(poolAmountOut, bmath.bsub(pool.totalSupply, 1));
+        return pool.balances.map((balance) => bmath.bmul(ratio, bmath.badd(balance, 1)));
+    }
+    const ratio = bmath.bdiv(poolAmountOut, pool.totalSupply);
+    return pool.balances.map((balance) => bmath.bmul(ratio, balance));
+}
+
+function calcAmountsOut(pool, poolAmountIn) {
+    const exitFee = bmath.bmul(poolAmountIn, bmath.EXIT_FEE);
+    const pAiAfterExitFee = bmath.bsub(poolAmountIn, exitFee);
+    if (pool.smart) {
+        const ratio = bmath.bdiv(pAiAfterExitFee, bmath.badd(pool.totalSupply, 1));
+        return pool.balances.map((balance) => bmath.bmul(ratio, bmath.bsub(balance, 1)));
+    }
+    const ratio = bmath.bdiv(pAiAfterExitFee, pool.totalSupply);
+    return pool.balances.map((balance) => bmath.bmul(ratio, balance));
+}
+
+function calcSingle(fn, pool, token, amount) {
+    const i = tokenIndex(pool, token);
+    return fn(pool.balances[i], pool.denorms[i], pool.totalSupply, pool.totalWeight, amount, pool.swapFee);
+}
+
+// --- Arguments ---
+
+function joinPoolArgs(pool, poolAmountOut, slippage) {
+    const maxAmountsIn = calcAmountsIn(pool, poolAmountOut).map((amount) => withSlippage(amount, slippage, true));
+    return [pool.address, poolAmountOut, maxAmountsIn];
+}
+
+function exitPoolArgs(pool, poolAmountIn, slippage) {
+    const minAmountsOut = calcAmountsOut(pool, poolAmountIn).map((amount) => withSlippage(amount, slippage, false));
+    return [pool.address, poolAmountIn, minAmountsOut];
+}
+
+function joinswapExternAmountInArgs(pool, token, tokenAmountIn, slippage) {
+    checkRatio(tokenAmountIn, pool.balances[tokenIndex(pool, token)], bmath.MAX_IN_RATIO, 'ERR_MAX_IN_RATIO');
+    const poolAmountOut = calcSingle(bmath.calcPoolOutGivenSingleIn, pool, token, tokenAmountIn);
+    return [pool.address, token, tokenAmountIn, withSlippage(poolAmountOut, slippage, false)];
+}
+
+function joinswapPoolAmountOutArgs(pool, token, poolAmountOut, slippage) {
+    const tokenAmountIn = calcSingle(bmath.calcSingleInGivenPoolOut, pool, token, poolAmountOut);
+    checkRatio(tokenAmountIn, pool.balances[tokenIndex(pool, token)], bmath.MAX_IN_RATIO, 'ERR_MAX_IN_RATIO');
+    return [pool.address, token, poolAmountOut, withSlippage(tokenAmountIn, slippage, true)];
+}
+
+function exitswapPoolAmountInArgs(pool, token, poolAmountIn, slippage) {
+    const tokenAmountOut = calcSingle(bmath.calcSingleOutGivenPoolIn, pool, token, poolAmountIn);
+    checkRatio(tokenAmountOut, pool.balances[tokenIndex(pool, token)], bmath.MAX_OUT_RATIO, 'ERR_MAX_OUT_RATIO');
+    return [pool.address, token, poolAmountIn, withSlippage(tokenAmountOut, slippage, false)];
+}
+
+function exitswapExternAmountOutArgs(pool, token, tokenAmountOut, slippage) {
+    checkRatio(tokenAmountOut, pool.balances[tokenIndex(pool, token)], bmath.MAX_OUT_RATIO, 'ERR_MAX_OUT_RATIO');
+    const poolAmountIn = calcSingle(bmath.calcPoolInGivenSingleOut, pool, token, tokenAmountOut);
+    return [pool.address, token, tokenAmountOut, withSlippage(poolAmountIn, slippage, true)];
+}
+
+module.exports = {
+    fetchPool,
+    calcAmountsIn,
+    calcAmountsOut,
+    joinPoolArgs,
+    exitPoolArgs,
+    joinswapExternAmountInArgs,
+    joinswapPoolAmountOutArgs,
+    exitswapPoolAmountInArgs,
+    exitswapExternAmountOutArgs,
+};
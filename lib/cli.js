@@ -0,0 +1,467 @@
+// Command line pool management through the caller's DSProxy, see `bactions help`.
+// Addresses of BActions and the factories come from the address book or the truffle
+// build artifacts of the selected network, the node from its truffle network config.
+
+const fs = require('fs');
+const path = require('path');
+const Web3 = require('web3');
+const { networks } = require('../truffle-config');
+const { pendingToken, formatPending } = require('./addtoken');
+const { createClient, view } = require('./client');
+const { getAddress, getDeploymentBlock } = require('./deployments');
+const { createKeeper } = require('./keeper');
+const spec = require('./spec');
+const whitelist = require('./whitelist');
+
+const ROOT = path.join(__dirname, '..');
+
+const DECIMALS = view('decimals', [], ['uint8']);
+
+// Arguments are positional, in this order. Lists are comma separated, amounts are decimal
+// token units and `balances` are scaled by the decimals of the `tokens` argument
+const COMMANDS = {
+    'pool create': {
+        action: 'create',
+        args: [
+            { name: 'factory', type: 'factory' },
+            { name: 'tokens', type: 'addresses' },
+            { name: 'balances', type: 'balances' },
+            { name: 'weights', type: 'amounts' },
+            { name: 'swapFee', type: 'amount' },
+            { name: 'finalize', type: 'flag' },
+        ],
+    },
+    'pool set-tokens': {
+        action: 'setTokens',
+        args: [
+            { name: 'pool', type: 'address' },
+            { name: 'tokens', type: 'addresses' },
+            { name: 'balances', type: 'balances' },
+            { name: 'weights', type: 'amounts' },
+        ],
+    },
+    'pool set-swap-fee': {
+        action: 'setSwapFee',
+        args: [{ name: 'pool', type: 'address' }, { name: 'swapFee', type: 'amount' }],
+    },
+    'pool set-public-swap': {
+        action: 'setPublicSwap',
+        args: [{ name: 'pool', type: 'address' }, { name: 'publicSwap', type: 'bool' }],
+    },
+    'pool set-controller': {
+        action: 'setController',
+        args: [{ name: 'pool', type: 'address' }, { name: 'controller', type: 'address' }],
+    },
+    'pool finalize': {
+        action: 'finalize',
+        args: [{ name: 'pool', type: 'address' }],
+    },
+    'crp set-cap': {
+        action: 'setCap',
+        args: [{ name: 'crp', type: 'address' }, { name: 'cap', type: 'amount' }],
+    },
+    'crp update-weights-gradually': {
+        action: 'updateWeightsGradually',
+        args: [
+            { name: 'crp', type: 'address' },
+            { name: 'weights', type: 'amounts' },
+            { name: 'startBlock', type: 'uint' },
+            { name: 'endBlock', type: 'uint' },
+        ],
+    },
+    'crp commit-add-token': {
+        action: 'commitAddToken',
+        args: [
+            { name: 'crp', type: 'address' },
+            { name: 'token', type: 'address' },
+            { name: 'balance', type: 'balance' },
+            { name: 'weight', type: 'amount' },
+        ],
+    },
+    'crp apply-add-token': {
+        action: 'applyAddToken',
+        args: [
+            { name: 'crp', type: 'address' },
+            { name: 'token', type: 'address' },
+            { name: 'amount', type: 'balance' },
+        ],
+    },
+    'crp remove-token': {
+        action: 'removeToken',
+        args: [
+            { name: 'crp', type: 'address' },
+            { name: 'token', type: 'address' },
+            { name: 'poolAmountIn', type: 'amount' },
+        ],
+    },
+    'crp whitelist': {
+        action: 'whitelistLiquidityProvider',
+        args: [{ name: 'crp', type: 'address' }, { name: 'provider', type: 'address' }],
+    },
+    'crp remove-whitelist': {
+        action: 'removeWhitelistedLiquidityProvider',
+        args: [{ name: 'crp', type: 'address' }, { name: 'provider', type: 'address' }],
+    },
+};
+
+// Commands with their own runners, the others run a BActions action
+const SPECIAL_COMMANDS = [
+    'proxy build',
+    'proxy show',
+    'spec plan',
+    'spec apply',
+    'keeper',
+    'crp pending-token',
+    'crp sync-whitelist',
+];
+
+const FLAGS = ['dry-run', 'finalize', 'help', 'once'];
+const OPTIONS = ['network', 'from', 'proxy', 'factory', 'interval'];
+
+const USAGE = `Usage: bactions <command> [args] [options]
+
+Commands:
+  proxy build
+  proxy show
+  spec plan <file>
+  spec apply <file>
+  keeper
+  crp pending-token <crp>
+  crp sync-whitelist <crp> <file>
+${Object.keys(COMMANDS).map((name) => {
+        const args = COMMANDS[name].args.filter((arg) => arg.type !== 'factory' && arg.type !== 'flag');
+        return `  ${name} ${args.map((arg) => `<${arg.name}>`).join(' ')}`;
+    }).join('\n')}
+
+Options:
+  --network <name>    truffle network, defaults to development
+  --from <address>    sender, defaults to the first node account
+  --proxy <address>   DSProxy to use instead of the latest one built for the sender
+  --factory <address> BFactory for pool create, defaults to the deployed one
+  --finalize          finalize the pool on pool create
+  --dry-run           simulate with eth_call and print the result without sending
+  --interval <blocks> blocks between keeper pokes, defaults to 1
+  --once              poke the due pools once and exit instead of keeping them
+
+Specs are JSON or YAML files describing the state of a pool, see lib/spec.js. spec plan prints
+the calls that bring the pool to that state and spec apply sends them in one transaction.
+
+crp pending-token shows the token committed to a smart pool and the block it can be added from.
+crp sync-whitelist adds and removes liquidity providers to match a CSV or JSON list, see
+lib/whitelist.js.
+
+keeper pokes the smart pools of the proxy that have a gradual weight update in progress until
+interrupted`;
+
+function parseArgv(argv) {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i += 1) {
+        const name = argv[i].startsWith('--') ? argv[i].slice(2) : undefined;
+        if (name === undefined) {
+            positional.push(argv[i]);
+        } else if (FLAGS.includes(name)) {
+            options[name] = true;
+        } else if (OPTIONS.includes(name) && i + 1 < argv.length) {
+            options[name] = argv[i + 1];
+            i += 1;
+        } else {
+            throw new Error(`Unknown option --${name}`);
+        }
+    }
+    return { positional, options };
+}
+
+function loadArtifact(name) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, 'build', 'contracts', `${name}.json`), 'utf8'));
+}
+
+function loadWeb3(network) {
+    const config = networks[network];
+    if (!config) {
+        throw new Error(`Unknown network ${network}`);
+    }
+    if (config.provider) {
+        return new Web3(typeof config.provider === 'function' ? config.provider() : config.provider);
+    }
+    return new Web3(`http://${config.host}:${config.port}`);
+}
+
+// From the address book, or the artifact for networks it does not record
+async function deployed(web3, artifacts, name) {
+    const artifact = artifacts(name);
+    const networkId = await web3.eth.net.getId();
+    const deployment = artifact.networks[networkId];
+    const address = getAddress(networkId, name) || (deployment && deployment.address);
+    if (!address) {
+        throw new Error(`${name} is not deployed on network ${networkId}`);
+    }
+    return new web3.eth.Contract(artifact.abi, address);
+}
+
+// Latest proxy built for `owner` that it still owns. Block numbers go out as hex, as in lib/keeper.js
+async function findProxy(web3, artifacts, owner) {
+    const factory = await deployed(web3, artifacts, 'DSProxyFactory');
+    const fromBlock = getDeploymentBlock(await web3.eth.net.getId(), 'DSProxyFactory');
+    const events = await factory.getPastEvents('Created', {
+        filter: { owner },
+        fromBlock: web3.utils.toHex(fromBlock),
+        toBlock: 'latest',
+    });
+    const proxies = events.map((event) => event.returnValues.proxy).reverse();
+    const owners = await Promise.all(proxies.map((proxy) => {
+        const contract = new web3.eth.Contract(artifacts('DSProxy').abi, proxy);
+        return contract.methods.owner().call();
+    }));
+    return proxies.find((proxy, i) => owners[i].toLowerCase() === owner.toLowerCase());
+}
+
+async function parseArg(web3, arg, value, parsed) {
+    const { toWei, toChecksumAddress } = web3.utils;
+
+    async function toUnits(token, amount) {
+        const decimals = await new web3.eth.Contract([DECIMALS], token).methods.decimals().call();
+        const [whole, fraction = ''] = amount.split('.');
+        if (fraction.length > Number(decimals)) {
+            throw new Error(`${amount} has more than ${decimals} decimals`);
+        }
+        return web3.utils.toBN(whole + fraction.padEnd(Number(decimals), '0')).toString();
+    }
+
+    switch (arg.type) {
+    case 'address':
+        return toChecksumAddress(value);
+    case 'addresses':
+        return value.split(',').map((address) => toChecksumAddress(address));
+    case 'amount':
+        return toWei(value);
+    case 'amounts':
+        return value.split(',').map((amount) => toWei(amount));
+    case 'balance':
+        return toUnits(parsed.token, value);
+    case 'balances':
+        return Promise.all(value.split(',').map((amount, i) => toUnits(parsed.tokens[i], amount)));
+    case 'bool':
+        if (value !== 'true' && value !== 'false') {
+            throw new Error(`${arg.name} must be true or false`);
+        }
+        return value === 'true';
+    default:
+        return value;
+    }
+}
+
+async function parseArgs(web3, artifacts, command, positional, options) {
+    const parsed = {};
+    const values = [...positional];
+    // In order, `balances` need the parsed `tokens`
+    await command.args.reduce(async (previous, arg) => {
+        await previous;
+        if (arg.type === 'factory') {
+            parsed[arg.name] = options.factory
+                || (await deployed(web3, artifacts, 'BFactory')).options.address;
+        } else if (arg.type === 'flag') {
+            parsed[arg.name] = Boolean(options[arg.name]);
+        } else if (values.length === 0) {
+            throw new Error(`Missing <${arg.name}>\n\n${USAGE}`);
+        } else {
+            parsed[arg.name] = await parseArg(web3, arg, values.shift(), parsed);
+        }
+    }, Promise.resolve());
+    if (values.length > 0) {
+        throw new Error(`Unexpected argument ${values[0]}\n\n${USAGE}`);
+    }
+    return command.args.map((arg) => parsed[arg.name]);
+}
+
+function formatResult(result) {
+    if (result === undefined || result === null) {
+        return [];
+    }
+    if (typeof result !== 'object') {
+        return [`result: ${result}`];
+    }
+    return Object.keys(result)
+        .filter((key) => key !== '__length__' && Number.isNaN(Number(key)))
+        .map((key) => `${key}: ${result[key]}`);
+}
+
+function formatAction(action) {
+    const fields = Object.keys(action)
+        .filter((key) => key !== 'type' && key !== 'proxy' && key !== 'logIndex')
+        .map((key) => `${key}=${action[key]}`);
+    return `action: ${action.type} ${fields.join(' ')}`;
+}
+
+async function runProxyCommand(web3, artifacts, name, from, options, log) {
+    if (name === 'proxy show') {
+        const proxy = options.proxy || await findProxy(web3, artifacts, from);
+        log(proxy ? `proxy: ${proxy}` : `No proxy owned by ${from}`);
+        return proxy;
+    }
+
+    const factory = await deployed(web3, artifacts, 'DSProxyFactory');
+    const build = factory.methods['build()']();
+    const proxy = await build.call({ from });
+    if (options['dry-run']) {
+        log(`proxy: ${proxy} (dry run)`);
+        return proxy;
+    }
+    const receipt = await build.send({ from, gas: await build.estimateGas({ from }) });
+    log(`tx: ${receipt.transactionHash}`);
+    log(`proxy: ${receipt.events.Created.returnValues.proxy}`);
+    return receipt.events.Created.returnValues.proxy;
+}
+
+// Arguments of createClient for BActions through the proxy of `from`
+async function bactionsTarget(web3, artifacts, from, options) {
+    const proxy = options.proxy || await findProxy(web3, artifacts, from);
+    if (!proxy) {
+        throw new Error(`No proxy owned by ${from}, build one with \`bactions proxy build\``);
+    }
+    const bactions = await deployed(web3, artifacts, 'BActions');
+    return {
+        proxy, target: bactions.options.address, abi: artifacts('BActions').abi, from,
+    };
+}
+
+async function bactionsClient(web3, artifacts, from, options) {
+    return createClient(web3, await bactionsTarget(web3, artifacts, from, options));
+}
+
+async function runSpecCommand(web3, artifacts, name, file, from, options, log) {
+    if (!file) {
+        throw new Error(`Missing <file>\n\n${USAGE}`);
+    }
+    const planned = await spec.plan(web3, spec.loadSpec(file));
+    spec.formatPlan(planned).forEach((line) => log(line));
+    if (name === 'spec plan' || planned.steps.length === 0) {
+        return planned;
+    }
+
+    const client = await bactionsClient(web3, artifacts, from, options);
+    if (options['dry-run']) {
+        await spec.apply(client, planned, { dryRun: true });
+        log('multicall (dry run)');
+        return planned;
+    }
+    const { receipt, actions } = await spec.apply(client, planned);
+    log(`tx: ${receipt.transactionHash}`);
+    actions.forEach((action) => log(formatAction(action)));
+    return planned;
+}
+
+async function runPendingTokenCommand(web3, crp, log) {
+    if (!crp) {
+        throw new Error(`Missing <crp>\n\n${USAGE}`);
+    }
+    const pending = await pendingToken(web3, web3.utils.toChecksumAddress(crp));
+    formatPending(pending).forEach((line) => log(line));
+    return pending;
+}
+
+async function runSyncWhitelistCommand(web3, artifacts, [crp, file], from, options, log) {
+    if (!crp || !file) {
+        throw new Error(`Missing <${crp ? 'file' : 'crp'}>\n\n${USAGE}`);
+    }
+    const pool = web3.utils.toChecksumAddress(crp);
+    const diff = await whitelist.planWhitelist(web3, pool, whitelist.loadProviders(file));
+    whitelist.formatWhitelistPlan(diff).forEach((line) => log(line));
+
+    const client = await bactionsClient(web3, artifacts, from, options);
+    const sent = await whitelist.syncWhitelist(client, pool, diff, { dryRun: options['dry-run'] });
+    if (sent && options['dry-run']) {
+        log('multicall (dry run)');
+    } else if (sent) {
+        log(`tx: ${sent.receipt.transactionHash}`);
+    }
+    return diff;
+}
+
+// Runs until SIGINT, or pokes once with --once
+async function runKeeperCommand(web3, artifacts, from, options, log) {
+    const interval = Number(options.interval || 1);
+    // Proxies, and the pools they created, are not older than their factory
+    const fromBlock = getDeploymentBlock(await web3.eth.net.getId(), 'DSProxyFactory');
+    const keeper = createKeeper(web3, {
+        ...await bactionsTarget(web3, artifacts, from, options), interval, fromBlock,
+    });
+    const logPoke = ({ block, pools, receipt }) => {
+        log(`block ${block}: ${pools.length > 0 ? `poked ${pools.join(', ')}` : 'no weight updates due'}`);
+        if (receipt) {
+            log(`tx: ${receipt.transactionHash}`);
+        }
+    };
+
+    if (options.once) {
+        const result = await keeper.poke();
+        logPoke(result);
+        return result;
+    }
+    log(`Poking weight updates every ${interval} blocks, ctrl-c to stop`);
+    return new Promise((resolve) => {
+        const stop = keeper.start({ onPoke: logPoke, onError: (error) => log(`error: ${error.message}`) });
+        process.once('SIGINT', () => {
+            stop();
+            resolve();
+        });
+    });
+}
+
+// `web3`, `artifacts` (name => truffle artifact) and `log` can be injected for tests
+async function run(argv, {
+    web3: injectedWeb3,
+    artifacts = loadArtifact,
+    log = console.log,
+} = {}) {
+    const { positional, options } = parseArgv(argv);
+    const name = positional.slice(0, 2).join(' ');
+    if (options.help || positional.length === 0 || positional[0] === 'help') {
+        log(USAGE);
+        return undefined;
+    }
+    if (!SPECIAL_COMMANDS.includes(name) && !COMMANDS[name]) {
+        throw new Error(`Unknown command ${name}\n\n${USAGE}`);
+    }
+
+    const web3 = injectedWeb3 || loadWeb3(options.network || 'development');
+    const from = options.from || (await web3.eth.getAccounts())[0];
+    if (positional[0] === 'proxy') {
+        return runProxyCommand(web3, artifacts, name, from, options, log);
+    }
+    if (positional[0] === 'spec') {
+        return runSpecCommand(web3, artifacts, name, positional[2], from, options, log);
+    }
+    if (name === 'crp pending-token') {
+        return runPendingTokenCommand(web3, positional[2], log);
+    }
+    if (name === 'crp sync-whitelist') {
+        return runSyncWhitelistCommand(web3, artifacts, positional.slice(2), from, options, log);
+    }
+    if (name === 'keeper') {
+        return runKeeperCommand(web3, artifacts, from, options, log);
+    }
+
+    const command = COMMANDS[name];
+    const args = await parseArgs(web3, artifacts, command, positional.slice(2), options);
+    const client = await bactionsClient(web3, artifacts, from, options);
+
+    if (options['dry-run']) {
+        const result = await client[command.action].call(...args);
+        log(`${command.action} (dry run)`);
+        formatResult(result).forEach((line) => log(line));
+        return result;
+    }
+    const { result, receipt, actions } = await client[command.action](...args);
+    log(`tx: ${receipt.transactionHash}`);
+    formatResult(result).forEach((line) => log(line));
+    actions.forEach((action) => log(formatAction(action)));
+    return result;
+}
+
+module.exports = {
+    COMMANDS,
+    USAGE,
+    findProxy,
+    run,
+};
@@ -0,0 +1,118 @@
+// Runs the functions of an action contract (BActions, BMigrator, BSwaps) through a DSProxy.
+// Every state changing function in `abi` becomes a method taking the function arguments,
+// optionally followed by transaction options ({ from, value, gas, gasPrice }):
+//
+//   const bactions = createClient(web3, { proxy, target: BActions.address, abi: BActions.abi, from });
+//   const { result: pool, receipt, actions } = await bactions.create(factory, tokens, ...);
+//   const pool = await bactions.create.call(factory, tokens, ...);
+//   const data = bactions.create.encode(factory, tokens, ...);
+//
+// Operators of a proxy guarded by a BActionsGuard pass `guard`, which then runs the actions on the proxy.
+
+const { decodeActions } = require('./events');
+
+const EXECUTE = {
+    name: 'execute',
+    type: 'function',
+    inputs: [
+        { name: '_target', type: 'address' },
+        { name: '_data', type: 'bytes' },
+    ],
+};
+
+const GUARDED_EXECUTE = {
+    name: 'execute',
+    type: 'function',
+    inputs: [
+        { name: 'proxy', type: 'address' },
+        { name: 'target', type: 'address' },
+        { name: 'data', type: 'bytes' },
+    ],
+};
+
+// ABI entry of a view function, for calling contracts without their artifact:
+//   new web3.eth.Contract([view('getBalance', ['address'], ['uint256'])], pool)
+function view(name, inputs = [], outputs = []) {
+    return {
+        name,
+        type: 'function',
+        stateMutability: 'view',
+        inputs: inputs.map((type) => ({ name: '', type })),
+        outputs: outputs.map((type) => ({ name: '', type })),
+    };
+}
+
+function decodeResult(web3, outputs, response) {
+    if (outputs.length === 0) {
+        return undefined;
+    }
+    const values = web3.eth.abi.decodeParameters(outputs, response);
+    return outputs.length === 1 ? values[0] : values;
+}
+
+function isAction(item) {
+    return item.type === 'function' && item.stateMutability !== 'view' && item.stateMutability !== 'pure';
+}
+
+function createClient(web3, {
+    proxy, target, abi, from, guard,
+}) {
+    const client = {};
+
+    abi.filter(isAction).forEach((fn) => {
+        function splitArgs(args) {
+            if (args.length === fn.inputs.length + 1) {
+                return [args.slice(0, -1), args[args.length - 1]];
+            }
+            if (args.length !== fn.inputs.length) {
+                throw new Error(`${fn.name} expects ${fn.inputs.length} arguments, got ${args.length}`);
+            }
+            return [args, {}];
+        }
+
+        function encode(...args) {
+            return web3.eth.abi.encodeFunctionCall(fn, args);
+        }
+
+        function transaction(params, options) {
+            return {
+                from,
+                ...options,
+                to: guard || proxy,
+                data: guard
+                    ? web3.eth.abi.encodeFunctionCall(GUARDED_EXECUTE, [proxy, target, encode(...params)])
+                    : web3.eth.abi.encodeFunctionCall(EXECUTE, [target, encode(...params)]),
+            };
+        }
+
+        // Dry run against the pending state, reverts are thrown with their reason
+        async function call(...args) {
+            const [params, options] = splitArgs(args);
+            const response = await web3.eth.call(transaction(params, options));
+            return decodeResult(web3, fn.outputs, web3.eth.abi.decodeParameter('bytes', response));
+        }
+
+        // The receipt carries no return data, so `result` comes from a dry run right before sending
+        async function send(...args) {
+            const [params, options] = splitArgs(args);
+            const result = await call(...args);
+            const tx = transaction(params, options);
+            if (tx.gas === undefined) {
+                tx.gas = await web3.eth.estimateGas(tx);
+            }
+            const receipt = await web3.eth.sendTransaction(tx);
+            return { result, receipt, actions: decodeActions(web3, abi, receipt) };
+        }
+
+        send.call = call;
+        send.encode = encode;
+        client[fn.name] = send;
+    });
+
+    return client;
+}
+
+module.exports = {
+    createClient,
+    view,
+};
@@ -0,0 +1,159 @@
+// Deployment config and address book. deployments/networks.json lists the contracts that
+// already exist on each network, the migrations deploy everything else and record where every
+// contract lives in deployments/addresses.json, keyed by network id, along with the block it was
+// deployed at, where log queries can start:
+//
+//   const { getAddress, getDeploymentBlock } = require('./deployments');
+//   const bactions = getAddress(await web3.eth.net.getId(), 'BActions');
+
+const fs = require('fs');
+const path = require('path');
+const { version } = require('../package.json');
+
+const CONFIG_FILE = path.join(__dirname, '..', 'deployments', 'networks.json');
+const ADDRESS_BOOK_FILE = path.join(__dirname, '..', 'deployments', 'addresses.json');
+
+// Bumped on incompatible changes to the address book layout
+const ADDRESS_BOOK_VERSION = 1;
+
+// Address book names, in deployment order. WETH is deployed from the WETH9 artifact
+const CONTRACTS = [
+    'RightsManager',
+    'SmartPoolManager',
+    'BalancerSafeMath',
+    'BFactory',
+    'CRPFactory',
+    'WETH',
+    'DSProxyFactory',
+    'BActions',
+    'BMigrator',
+    'BSwaps',
+    'BZaps',
+    'BActionsGuard',
+];
+
+// Only needed to deploy CRPFactory
+const LIBRARIES = ['RightsManager', 'SmartPoolManager', 'BalancerSafeMath'];
+
+function artifactName(name) {
+    return name === 'WETH' ? 'WETH9' : name;
+}
+
+// --- Config ---
+
+// Dry runs fork the network as `<network>-fork` and use its config. Recorded networks must use
+// the DSProxyFactory their users built proxies with, a new one would not know any of them
+function loadConfig(network, file = CONFIG_FILE) {
+    const name = network.replace(/-fork$/, '');
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'))[name];
+    if (!config) {
+        throw new Error(`No deployment config for network ${name}`);
+    }
+    const loaded = {
+        record: true, contracts: {}, blocks: {}, ...config,
+    };
+    if (loaded.record && !loaded.contracts.DSProxyFactory) {
+        throw new Error(`No DSProxyFactory in the deployment config for network ${name}`);
+    }
+    return loaded;
+}
+
+// Contracts the migrations deploy on a network with `config`
+function deployedContracts({ contracts }) {
+    return CONTRACTS.filter((name) => !contracts[name] && !(contracts.CRPFactory && LIBRARIES.includes(name)));
+}
+
+function shouldRecord(network, config) {
+    return config.record && !network.endsWith('-fork');
+}
+
+// --- Address book ---
+
+function readAddressBook(file = ADDRESS_BOOK_FILE) {
+    if (!fs.existsSync(file)) {
+        return { version: ADDRESS_BOOK_VERSION, networks: {} };
+    }
+    const book = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (book.version !== ADDRESS_BOOK_VERSION) {
+        throw new Error(`Address book version ${book.version} is not supported, expected ${ADDRESS_BOOK_VERSION}`);
+    }
+    return book;
+}
+
+// `blocks` maps contract names to their deployment block, where known
+function recordDeployment(book, networkId, network, contracts, blocks = {}) {
+    return {
+        ...book,
+        networks: {
+            ...book.networks,
+            [networkId]: {
+                network, release: version, contracts, blocks,
+            },
+        },
+    };
+}
+
+function writeAddressBook(book, file = ADDRESS_BOOK_FILE) {
+    fs.writeFileSync(file, `${JSON.stringify(book, null, 4)}\n`);
+}
+
+function getAddress(networkId, name, book = readAddressBook()) {
+    const deployment = book.networks[networkId];
+    return deployment ? deployment.contracts[name] : undefined;
+}
+
+// Block `name` was deployed at, 0 when it is not recorded
+function getDeploymentBlock(networkId, name, book = readAddressBook()) {
+    const deployment = book.networks[networkId];
+    return (deployment && deployment.blocks && deployment.blocks[name]) || 0;
+}
+
+// --- Verification ---
+
+// Truffle leaves `__<Library>___...` placeholders of 40 characters in unlinked bytecode
+function linkBytecode(bytecode, links) {
+    return Object.keys(links).reduce((linked, name) => {
+        const placeholder = new RegExp(`__${name}_{${38 - name.length}}`, 'g');
+        return linked.replace(placeholder, links[name].replace(/^0x/, '').toLowerCase());
+    }, bytecode);
+}
+
+// Immutables are written into the runtime code by the constructor, the artifact has zeros there
+function maskImmutables(code, immutableReferences = {}) {
+    const hex = code.replace(/^0x/, '').toLowerCase().split('');
+    Object.keys(immutableReferences).forEach((id) => {
+        immutableReferences[id].forEach(({ start, length }) => {
+            hex.fill('0', start * 2, (start + length) * 2);
+        });
+    });
+    return hex.join('');
+}
+
+// Libraries start by pushing their own address, which is also filled in at deployment
+function maskLibraryAddress(code) {
+    return code.startsWith('73') ? `73${'0'.repeat(40)}${code.slice(42)}` : code;
+}
+
+// Whether the code at `address` is the runtime code of `artifact` (a truffle artifact JSON)
+// with `links` (library name => address)
+async function verifyBytecode(web3, artifact, address, links = {}) {
+    const { deployedBytecode, immutableReferences } = artifact;
+    const code = maskImmutables(await web3.eth.getCode(address), immutableReferences);
+    const expected = maskImmutables(linkBytecode(deployedBytecode, links), immutableReferences);
+    return maskLibraryAddress(code) === maskLibraryAddress(expected);
+}
+
+module.exports = {
+    CONTRACTS,
+    artifactName,
+    loadConfig,
+    deployedContracts,
+    shouldRecord,
+    readAddressBook,
+    recordDeployment,
+    writeAddressBook,
+    getAddress,
+    getDeploymentBlock,
+    linkBytecode,
+    verifyBytecode,
+};
@@ -0,0 +1,53 @@
+// Decodes the events BActions emits in the context of a DSProxy
+// into a list of actions, in the order they were logged
+
+const ACTION_TYPES = {
+    LogPoolCreated: 'createPool',
+    LogSmartPoolCreated: 'createSmartPool',
+    LogPoolJoined: 'join',
+    LogPoolExited: 'exit',
+    LogTokenSet: 'setToken',
+    LogWeightUpdated: 'updateWeight',
+    LogWeightsUpdateScheduled: 'updateWeightsGradually',
+    LogTokenCommitted: 'commitAddToken',
+    LogTokenAdded: 'applyAddToken',
+    LogTokenRemoved: 'removeToken',
+    LogControllerSet: 'setController',
+};
+
+function eventsBySignature(web3, abi) {
+    const events = {};
+    abi
+        .filter((item) => item.type === 'event' && ACTION_TYPES[item.name])
+        .forEach((event) => {
+            events[web3.eth.abi.encodeEventSignature(event)] = event;
+        });
+    return events;
+}
+
+// `receipt` can be a web3 receipt or the receipt of a truffle transaction result
+function decodeActions(web3, abi, receipt) {
+    const events = eventsBySignature(web3, abi);
+    const logs = receipt.rawLogs || receipt.logs || [];
+
+    return logs
+        .filter((log) => log.topics && events[log.topics[0]])
+        .map((log) => {
+            const event = events[log.topics[0]];
+            const values = web3.eth.abi.decodeLog(event.inputs, log.data, log.topics.slice(1));
+            const action = {
+                type: ACTION_TYPES[event.name],
+                proxy: log.address,
+                logIndex: log.logIndex,
+            };
+            event.inputs.forEach((input) => {
+                action[input.name] = values[input.name];
+            });
+            return action;
+        });
+}
+
+module.exports = {
+    ACTION_TYPES,
+    decodeActions,
+};
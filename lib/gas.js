@@ -0,0 +1,76 @@
+// Gas snapshots for the benchmarks in bench/gas.js. Results map each action to the gas used
+// by token count, `{ create: { 2: 412345, 3: 498765 } }`. A run fails when an action costs
+// more than its snapshot by over the snapshot threshold, a fraction that GAS_THRESHOLD overrides.
+
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_FILE = path.join(__dirname, '..', 'bench', 'gas-snapshot.json');
+
+function readSnapshot(file = SNAPSHOT_FILE) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeSnapshot(snapshot, file = SNAPSHOT_FILE) {
+    fs.writeFileSync(file, `${JSON.stringify(snapshot, null, 4)}\n`);
+}
+
+// One row per action and token count. `change` is the fraction over or under the snapshot,
+// undefined for benchmarks the snapshot does not have yet
+function compareSnapshot(snapshot, results, threshold = process.env.GAS_THRESHOLD || snapshot.threshold) {
+    const rows = [];
+    Object.keys(results).forEach((action) => {
+        Object.keys(results[action]).forEach((tokens) => {
+            const gasUsed = results[action][tokens];
+            const before = (snapshot.gasUsed[action] || {})[tokens];
+            rows.push({
+                action,
+                tokens: Number(tokens),
+                gasUsed,
+                snapshot: before,
+                change: before === undefined ? undefined : (gasUsed - before) / before,
+            });
+        });
+    });
+    return {
+        rows,
+        threshold: Number(threshold),
+        regressions: rows.filter((row) => row.change > Number(threshold)),
+        missing: rows.filter((row) => row.snapshot === undefined),
+    };
+}
+
+function formatChange(change) {
+    if (change === undefined) {
+        return 'new';
+    }
+    return `${change >= 0 ? '+' : ''}${(change * 100).toFixed(2)}%`;
+}
+
+// A table with an action per line and a column per token count
+function formatReport({ rows }) {
+    const actions = [...new Set(rows.map((row) => row.action))];
+    const counts = [...new Set(rows.map((row) => row.tokens))].sort((a, b) => a - b);
+    const width = Math.max(...actions.map((action) => action.length));
+
+    const cell = (row) => (row ? `${row.gasUsed} ${formatChange(row.change)}` : '-').padStart(17);
+    return [
+        `${'tokens'.padEnd(width)} ${counts.map((count) => String(count).padStart(17)).join(' ')}`,
+        ...actions.map((action) => {
+            const cells = counts.map((count) => rows.find((row) => row.action === action && row.tokens === count));
+            return `${action.padEnd(width)} ${cells.map(cell).join(' ')}`;
+        }),
+    ];
+}
+
+function updateSnapshot(snapshot, results) {
+    return { ...snapshot, gasUsed: results };
+}
+
+module.exports = {
+    readSnapshot,
+    writeSnapshot,
+    compareSnapshot,
+    formatReport,
+    updateSnapshot,
+};
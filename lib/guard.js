@@ -0,0 +1,128 @@
+// Delegates BActions actions on given pools of a DSProxy to operators, through a BActionsGuard.
+// A role is a list of BActions functions that take the pool as first argument:
+//
+//   const guarded = { guard, proxy, target: BActions.address, abi: BActions.abi, from: owner };
+//   await grantRole(web3, guarded, 'poolOperator', operator, [POOL]);
+//   const operatorActions = createClient(web3, { ...guarded, from: operator });
+//   await operatorActions.setSwapFee(POOL, toWei('0.002'));
+//   await revokeRole(web3, guarded, 'poolOperator', operator, [POOL]);
+//
+// Granting makes the guard the authority of the proxy if it is not yet. Operators run actions
+// with the guard as caller, so the guard only permits the POOL_SETTINGS, which move no funds.
+
+const { view } = require('./client');
+
+// The actions BActionsGuard.permit takes, the pool keeps its controller and funds stay where they are
+const POOL_SETTINGS = [
+    'setPublicSwap',
+    'setSwapFee',
+    'updateWeightsGradually',
+    'pokeWeights',
+    'setCap',
+    'whitelistLiquidityProvider',
+    'removeWhitelistedLiquidityProvider',
+    'whitelistLiquidityProviders',
+    'removeWhitelistedLiquidityProviders',
+];
+
+const ROLES = {
+    // Day to day pool settings, nothing moves funds or gives away control of the pool
+    poolOperator: ['setSwapFee', 'setPublicSwap', 'pokeWeights'],
+};
+
+const PERMISSION_INPUTS = [
+    { name: 'proxy', type: 'address' },
+    { name: 'operator', type: 'address' },
+    { name: 'target', type: 'address' },
+];
+
+const GUARD_ABI = [
+    {
+        name: 'permit',
+        type: 'function',
+        inputs: [...PERMISSION_INPUTS, { name: 'sigs', type: 'bytes4[]' }, { name: 'pools', type: 'address[]' }],
+        outputs: [],
+    },
+    {
+        name: 'forbid',
+        type: 'function',
+        inputs: [...PERMISSION_INPUTS, { name: 'sigs', type: 'bytes4[]' }, { name: 'pools', type: 'address[]' }],
+        outputs: [],
+    },
+    view('isPermitted', ['address', 'address', 'address', 'bytes4', 'address'], ['bool']),
+];
+
+const PROXY_ABI = [
+    view('authority', [], ['address']),
+    {
+        name: 'setAuthority',
+        type: 'function',
+        inputs: [{ name: 'authority_', type: 'address' }],
+        outputs: [],
+    },
+];
+
+// Selectors of a role, named in ROLES or given as a list of function names
+function roleSelectors(web3, abi, role) {
+    const names = Array.isArray(role) ? role : ROLES[role];
+    if (!names) {
+        throw new Error(`Unknown role ${role}`);
+    }
+    return names.map((name) => {
+        const fn = abi.find((item) => item.type === 'function' && item.name === name);
+        if (!fn) {
+            throw new Error(`${name} is not an action`);
+        }
+        if (fn.inputs.length === 0 || !['pool', 'crp'].includes(fn.inputs[0].name)) {
+            throw new Error(`${name} does not take a pool first`);
+        }
+        if (!POOL_SETTINGS.includes(name)) {
+            throw new Error(`${name} is not a pool setting`);
+        }
+        return web3.eth.abi.encodeFunctionSignature(fn);
+    });
+}
+
+async function send(method, from) {
+    return method.send({ from, gas: await method.estimateGas({ from }) });
+}
+
+async function grantRole(web3, {
+    guard, proxy, target, abi, from,
+}, role, operator, pools) {
+    const sigs = roleSelectors(web3, abi, role);
+    const dsProxy = new web3.eth.Contract(PROXY_ABI, proxy);
+    if ((await dsProxy.methods.authority().call()).toLowerCase() !== guard.toLowerCase()) {
+        await send(dsProxy.methods.setAuthority(guard), from);
+    }
+    const { methods } = new web3.eth.Contract(GUARD_ABI, guard);
+    return send(methods.permit(proxy, operator, target, sigs, pools), from);
+}
+
+async function revokeRole(web3, {
+    guard, proxy, target, abi, from,
+}, role, operator, pools) {
+    const sigs = roleSelectors(web3, abi, role);
+    const { methods } = new web3.eth.Contract(GUARD_ABI, guard);
+    return send(methods.forbid(proxy, operator, target, sigs, pools), from);
+}
+
+// Whether `operator` may run every action of `role` on `pool`
+async function hasRole(web3, {
+    guard, proxy, target, abi,
+}, role, operator, pool) {
+    const { methods } = new web3.eth.Contract(GUARD_ABI, guard);
+    const permitted = await Promise.all(roleSelectors(web3, abi, role).map((sig) => (
+        methods.isPermitted(proxy, operator, target, sig, pool).call()
+    )));
+    return permitted.every((allowed) => allowed);
+}
+
+module.exports = {
+    POOL_SETTINGS,
+    ROLES,
+    roleSelectors,
+    grantRole,
+    revokeRole,
+    hasRole,
+};
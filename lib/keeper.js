@@ -0,0 +1,135 @@
+// Keeps the gradual weight updates of the smart pools a DSProxy controls moving. Schedules started
+// with `updateWeightsGradually` only change the weights when somebody pokes the pool, the keeper
+// pokes every pool with an active schedule, at most once every `interval` blocks:
+//
+//   const keeper = createKeeper(web3, { proxy, target: BActions.address, abi: BActions.abi, from });
+//   const stop = keeper.start({ onPoke: ({ block, pools }) => console.log(block, pools) });
+//   ...
+//   stop();
+//
+// Pools are the smart pools created through the proxy since `fromBlock`, plus `pools`, for as long
+// as the proxy controls them. Due pools are poked in one multicall through the proxy.
+
+const { createClient, view } = require('./client');
+const { decodeActions } = require('./events');
+
+const CRP_ABI = [
+    view('getController', [], ['address']),
+    view('gradualUpdate', [], ['uint256', 'uint256']),
+];
+
+function createKeeper(web3, {
+    proxy,
+    target,
+    abi,
+    from,
+    interval = 1,
+    fromBlock = 0,
+    pools = [],
+}) {
+    const bactions = createClient(web3, {
+        proxy, target, abi, from,
+    });
+    const created = abi.find((item) => item.type === 'event' && item.name === 'LogSmartPoolCreated');
+    const known = new Set(pools.map((pool) => web3.utils.toChecksumAddress(pool)));
+    let scanFrom = fromBlock;
+    let lastPoke;
+
+    // Picks up the pools created since the last scan, then drops the ones the proxy gave away
+    async function findPools() {
+        const toBlock = await web3.eth.getBlockNumber();
+        if (scanFrom <= toBlock) {
+            // web3 passes a 0 block number on unformatted, which nodes do not read as the genesis block
+            const logs = await web3.eth.getPastLogs({
+                address: proxy,
+                fromBlock: web3.utils.toHex(scanFrom),
+                toBlock: web3.utils.toHex(toBlock),
+                topics: [web3.eth.abi.encodeEventSignature(created)],
+            });
+            decodeActions(web3, abi, { logs }).forEach((action) => known.add(action.pool));
+            scanFrom = toBlock + 1;
+        }
+
+        const candidates = [...known];
+        const controllers = await Promise.all(candidates.map((pool) => (
+            new web3.eth.Contract(CRP_ABI, pool).methods.getController().call()
+        )));
+        return candidates.filter((pool, i) => controllers[i].toLowerCase() === proxy.toLowerCase());
+    }
+
+    // Gradual updates in progress, `due` once their start block is reached
+    async function schedules(block) {
+        const controlled = await findPools();
+        const updates = await Promise.all(controlled.map((pool) => (
+            new web3.eth.Contract(CRP_ABI, pool).methods.gradualUpdate().call()
+        )));
+        return controlled
+            .map((pool, i) => ({
+                pool,
+                startBlock: Number(updates[i][0]),
+                endBlock: Number(updates[i][1]),
+            }))
+            .filter((schedule) => schedule.startBlock !== 0)
+            .map((schedule) => ({ ...schedule, due: block >= schedule.startBlock }));
+    }
+
+    // Pokes every due pool now, whatever the interval
+    async function poke() {
+        const block = await web3.eth.getBlockNumber();
+        const due = (await schedules(block)).filter((schedule) => schedule.due).map((schedule) => schedule.pool);
+        if (due.length === 0) {
+            lastPoke = block;
+            return { block, pools: due };
+        }
+        const { receipt } = await bactions.multicall(due.map((pool) => bactions.pokeWeights.encode(pool)));
+        lastPoke = block;
+        return { block, pools: due, receipt };
+    }
+
+    // Pokes if `interval` blocks passed since the last poke, returns undefined otherwise
+    async function tick() {
+        const block = await web3.eth.getBlockNumber();
+        if (lastPoke !== undefined && block < lastPoke + interval) {
+            return undefined;
+        }
+        return poke();
+    }
+
+    // Ticks every `pollInterval` milliseconds until the returned function is called
+    function start({ pollInterval = 1000, onPoke = () => {}, onError = () => {} } = {}) {
+        let timer;
+        let stopped = false;
+
+        async function loop() {
+            try {
+                const result = await tick();
+                if (result && result.pools.length > 0) {
+                    onPoke(result);
+                }
+            } catch (error) {
+                onError(error);
+            }
+            if (!stopped) {
+                timer = setTimeout(loop, pollInterval);
+            }
+        }
+        loop();
+
+        return () => {
+            stopped = true;
+            clearTimeout(timer);
+        };
+    }
+
+    return {
+        findPools,
+        schedules,
+        poke,
+        tick,
+        start,
+    };
+}
+
+module.exports = {
+    createKeeper,
+};
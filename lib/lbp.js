@@ -0,0 +1,108 @@
+// Arguments of BActions.createLiquidityBootstrappingPool for a launch given as start and end weight
+// percentages over a number of blocks:
+//
+//   const args = lbpArgs({
+//       symbol: 'XYZLBP',
+//       name: 'XYZ Launch',
+//       tokens: [XYZ, DAI],
+//       balances: [toWei('1000000'), toWei('50000')],
+//       startWeights: [90, 10],
+//       endWeights: [30, 70],
+//       startBlock: await web3.eth.getBlockNumber() + 1,
+//       durationBlocks: 40000,
+//   });
+//   await bactions.createLiquidityBootstrappingPool(CRPFactory.address, BFactory.address, ...args);
+//
+// Weights are denormalized against `totalWeight` (defaults to 50, the most a pool takes) and have
+// to add up to 100. Balances, the initial supply and the cap are in wei, the swap fee is a fraction
+// or a percentage as in specs ('0.3%').
+// The rights follow from the launch: a cap needs canChangeCap, a whitelist canWhitelistLPs and a
+// launch with `publicSwap: false` canPauseSwapping; `rights` adds any other right the pool needs.
+
+const bmath = require('./bmath');
+const {
+    toUnits, parseFee, checkPercentages, denormalize,
+} = require('./spec');
+
+const { Decimal, ensure } = bmath;
+
+// Denorms of weight percentages of `totalWeight`, in wei
+function denormWeights(percentages, totalWeight, label) {
+    return checkPercentages(percentages, label).map((percent, i) => {
+        const weight = new Decimal(denormalize(percent, totalWeight));
+        ensure(weight.gte(bmath.MIN_WEIGHT), `${label} weight of ${percentages[i]}% is under the minimum weight`);
+        ensure(weight.lte(bmath.MAX_WEIGHT), `${label} weight of ${percentages[i]}% is over the maximum weight`);
+        return weight.toFixed();
+    });
+}
+
+function lbpArgs({
+    symbol,
+    name,
+    tokens,
+    balances,
+    startWeights,
+    endWeights,
+    startBlock,
+    durationBlocks,
+    totalWeight = 50,
+    swapFee = '0.003',
+    initialSupply = toUnits(100, 18),
+    minimumWeightChangeBlockPeriod = durationBlocks,
+    addTokenTimeLockInBlocks = minimumWeightChangeBlockPeriod,
+    cap,
+    whitelist = [],
+    publicSwap = true,
+    rights = {},
+}) {
+    ensure(tokens.length === balances.length, 'Tokens and balances differ in length');
+    ensure(tokens.length === startWeights.length, 'Tokens and start weights differ in length');
+    ensure(tokens.length === endWeights.length, 'Tokens and end weights differ in length');
+    ensure(Number(durationBlocks) > 0, 'Duration must be at least a block');
+    ensure(
+        Number(minimumWeightChangeBlockPeriod) <= Number(durationBlocks),
+        'Duration is shorter than the minimum weight change period',
+    );
+
+    const total = toUnits(totalWeight, 18);
+    ensure(
+        new Decimal(total).lte(bmath.MAX_TOTAL_WEIGHT),
+        `Total weight of ${totalWeight} is over the maximum total weight`,
+    );
+
+    const poolParams = {
+        poolTokenSymbol: symbol,
+        poolTokenName: name,
+        constituentTokens: tokens,
+        tokenBalances: balances.map(String),
+        tokenWeights: denormWeights(startWeights, total, 'Start'),
+        swapFee: parseFee(swapFee),
+    };
+    const crpParams = {
+        initialSupply: String(initialSupply),
+        minimumWeightChangeBlockPeriod: String(minimumWeightChangeBlockPeriod),
+        addTokenTimeLockInBlocks: String(addTokenTimeLockInBlocks),
+    };
+    const poolRights = {
+        canPauseSwapping: !publicSwap,
+        canChangeSwapFee: false,
+        canChangeWeights: true,
+        canAddRemoveTokens: false,
+        canWhitelistLPs: whitelist.length > 0,
+        canChangeCap: cap !== undefined,
+        ...rights,
+    };
+    const launch = {
+        endWeights: denormWeights(endWeights, total, 'End'),
+        startBlock: String(startBlock),
+        endBlock: String(Number(startBlock) + Number(durationBlocks)),
+        cap: String(cap === undefined ? initialSupply : cap),
+        whitelist,
+        publicSwap,
+    };
+    return [poolParams, crpParams, poolRights, launch];
+}
+
+module.exports = {
+    lbpArgs,
+};
@@ -0,0 +1,455 @@
+// Declarative pool specs. `plan` diffs a spec against a live BPool or smart pool and returns the
+// BActions calls that bring the pool in line with it, `apply` sends them in one multicall:
+//
+//   const spec = loadSpec('pool.yml');
+//   const steps = await plan(web3, spec);
+//   formatPlan(steps).forEach((line) => console.log(line));
+//   await apply(bactions, steps);
+//
+// A spec (JSON or YAML) names the pool and the state it should be in. Tokens are keyed by address
+// or symbol, balances are decimal token units and weights are percentages of `totalWeight`
+// (denormalized, defaults to the pool's current total):
+//
+//   pool: '0x...'
+//   symbols: { WETH: '0x...' }       # tokens that are not in the pool yet
+//   totalWeight: 20
+//   tokens:
+//     DAI: { balance: '400', weight: 50 }
+//     WETH: { balance: '1', weight: 50 }
+//   swapFee: '0.3%'                  # or a fraction, '0.003'
+//   publicSwap: true
+//   rights: { canChangeWeights: true } # smart pools, checked only, rights are set at creation
+//   cap: '1000'                      # smart pools, pool tokens or 'unlimited'
+//   whitelist: ['0x...']             # smart pools, or { '0x...': false } to remove a provider
+//
+// Balances of smart pool tokens follow trading and are only used when a token is added.
+// Smart pools add one token at a time behind a timelock and change weights gradually, so
+// some specs take several `apply` runs; the plan notes what is left.
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const bmath = require('./bmath');
+const { fetchPool } = require('./bounds');
+const { view } = require('./client');
+
+const { Decimal } = bmath;
+
+const MAX = new Decimal(2).pow(256).sub(1).toFixed();
+
+// Weights within this many percentage points of the spec count as unchanged,
+// so that shares like 1/3 can be written down
+const WEIGHT_TOLERANCE = '0.0001';
+
+const RIGHTS = [
+    'canPauseSwapping',
+    'canChangeSwapFee',
+    'canChangeWeights',
+    'canAddRemoveTokens',
+    'canWhitelistLPs',
+    'canChangeCap',
+];
+
+const ABI = [
+    view('decimals', [], ['uint8']),
+    view('isFinalized', [], ['bool']),
+    view('isPublicSwap', [], ['bool']),
+    view('bspCap', [], ['uint256']),
+    view('rights', [], RIGHTS.map(() => 'bool')),
+    view('newToken', [], ['address', 'bool', 'uint256', 'uint256', 'uint256']),
+    view('gradualUpdate', [], ['uint256', 'uint256']),
+    view('addTokenTimeLockInBlocks', [], ['uint256']),
+    view('minimumWeightChangeBlockPeriod', [], ['uint256']),
+    view('canProvideLiquidity', ['address'], ['bool']),
+];
+
+const SYMBOL = {
+    name: 'symbol',
+    type: 'function',
+    inputs: [],
+};
+
+// --- Spec ---
+
+function parseSpec(text, format = 'yaml') {
+    const spec = format === 'json' ? JSON.parse(text) : yaml.safeLoad(text);
+    if (!spec || typeof spec !== 'object' || !spec.pool) {
+        throw new Error('Spec must name a pool');
+    }
+    if (!spec.tokens || typeof spec.tokens !== 'object') {
+        throw new Error('Spec must list the pool tokens');
+    }
+    return spec;
+}
+
+function loadSpec(file) {
+    const format = path.extname(file) === '.json' ? 'json' : 'yaml';
+    return parseSpec(fs.readFileSync(file, 'utf8'), format);
+}
+
+function toUnits(amount, decimals) {
+    return new Decimal(String(amount)).mul(new Decimal(10).pow(decimals)).toFixed(0, Decimal.ROUND_DOWN);
+}
+
+function parseFee(fee) {
+    const value = String(fee);
+    return value.endsWith('%')
+        ? toUnits(new Decimal(value.slice(0, -1)).div(100), 18)
+        : toUnits(value, 18);
+}
+
+// Percentages as Decimals, throws unless they add up to 100 within WEIGHT_TOLERANCE
+function checkPercentages(percentages, label = 'Token') {
+    const percents = percentages.map((percentage) => new Decimal(String(percentage)));
+    const sum = percents.reduce((a, b) => a.add(b), new Decimal(0));
+    bmath.ensure(sum.sub(100).abs().lte(WEIGHT_TOLERANCE), `${label} weights add up to ${sum.toFixed()}%, not 100%`);
+    return percents;
+}
+
+// Denorm of `percent` of `totalWeight`, both in chain units
+function denormalize(percent, totalWeight) {
+    return new Decimal(totalWeight).mul(percent).div(100).toFixed(0, Decimal.ROUND_HALF_UP);
+}
+
+function parseWhitelist(whitelist) {
+    if (Array.isArray(whitelist)) {
+        return whitelist.map((provider) => [provider, true]);
+    }
+    return Object.keys(whitelist).map((provider) => [provider, Boolean(whitelist[provider])]);
+}
+
+function same(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+// --- Chain state ---
+
+// Symbols are strings on most tokens and bytes32 on some (MKR, the test tokens)
+async function getSymbol(web3, token) {
+    try {
+        const response = await web3.eth.call({ to: token, data: web3.eth.abi.encodeFunctionCall(SYMBOL, []) });
+        if (response.length > 66) {
+            return web3.eth.abi.decodeParameter('string', response);
+        }
+        return web3.utils.hexToUtf8(response);
+    } catch (e) {
+        return undefined;
+    }
+}
+
+async function fetchState(web3, address) {
+    const pool = await fetchPool(web3, address);
+    const contract = new web3.eth.Contract(ABI, address);
+    const { methods } = contract;
+    const state = {
+        ...pool,
+        blockNumber: await web3.eth.getBlockNumber(),
+        publicSwap: await methods.isPublicSwap().call(),
+        symbols: await Promise.all(pool.tokens.map((token) => getSymbol(web3, token))),
+        contract,
+    };
+    if (!pool.smart) {
+        return { ...state, finalized: await methods.isFinalized().call() };
+    }
+
+    const rights = await methods.rights().call();
+    const newToken = await methods.newToken().call();
+    const gradualUpdate = await methods.gradualUpdate().call();
+    return {
+        ...state,
+        rights: RIGHTS.reduce((all, name, i) => ({ ...all, [name]: rights[i] }), {}),
+        cap: await methods.bspCap().call(),
+        newToken: {
+            token: newToken[0],
+            isCommitted: newToken[1],
+            commitBlock: Number(newToken[2]),
+            denorm: newToken[3],
+            balance: newToken[4],
+        },
+        gradualUpdateEnd: Number(gradualUpdate[0]) === 0 ? undefined : Number(gradualUpdate[1]),
+        addTokenTimeLock: Number(await methods.addTokenTimeLockInBlocks().call()),
+        minimumWeightChangeBlockPeriod: Number(await methods.minimumWeightChangeBlockPeriod().call()),
+    };
+}
+
+function resolveToken(web3, spec, state, key) {
+    if (web3.utils.isAddress(key)) {
+        return web3.utils.toChecksumAddress(key);
+    }
+    if (spec.symbols && spec.symbols[key]) {
+        return web3.utils.toChecksumAddress(spec.symbols[key]);
+    }
+    const i = state.symbols.findIndex((symbol) => symbol === key);
+    if (i === -1) {
+        throw new Error(`Unknown token ${key}, add its address to symbols`);
+    }
+    return state.tokens[i];
+}
+
+// Target balance and denorm of every spec token, in chain units
+async function resolveTargets(web3, spec, state) {
+    const keys = Object.keys(spec.tokens);
+    const totalWeight = spec.totalWeight === undefined
+        ? new Decimal(state.totalWeight)
+        : new Decimal(toUnits(spec.totalWeight, 18));
+
+    const percents = checkPercentages(keys.map((key) => spec.tokens[key].weight));
+
+    return Promise.all(keys.map(async (key, i) => {
+        const token = resolveToken(web3, spec, state, key);
+        const decimals = await new web3.eth.Contract(ABI, token).methods.decimals().call();
+        return {
+            key,
+            token,
+            percent: percents[i],
+            balance: toUnits(spec.tokens[key].balance, Number(decimals)),
+            denorm: denormalize(percents[i], totalWeight),
+        };
+    }));
+}
+
+function currentPercent(state, i) {
+    return new Decimal(state.denorms[i]).mul(100).div(state.totalWeight);
+}
+
+function weightChanged(state, target) {
+    const i = state.tokens.findIndex((token) => same(token, target.token));
+    return currentPercent(state, i).sub(target.percent).abs().gt(WEIGHT_TOLERANCE);
+}
+
+// --- Plans ---
+
+function planSettings(spec, state, steps, fail) {
+    if (spec.swapFee !== undefined && parseFee(spec.swapFee) !== state.swapFee) {
+        if (state.smart ? !state.rights.canChangeSwapFee : state.finalized) {
+            fail('swapFee differs but the pool cannot change its swap fee');
+        }
+        steps.push({ action: 'setSwapFee', args: [state.address, parseFee(spec.swapFee)] });
+    }
+    if (spec.publicSwap !== undefined && Boolean(spec.publicSwap) !== state.publicSwap) {
+        if (state.smart ? !state.rights.canPauseSwapping : state.finalized) {
+            fail('publicSwap differs but the pool cannot pause swapping');
+        }
+        steps.push({ action: 'setPublicSwap', args: [state.address, Boolean(spec.publicSwap)] });
+    }
+}
+
+function planBPool(spec, state, targets, steps, fail) {
+    ['rights', 'cap', 'whitelist'].forEach((key) => {
+        if (spec[key] !== undefined) {
+            fail(`${key} only applies to smart pools`);
+        }
+    });
+
+    // Weights within the tolerance keep their exact denorm
+    const changed = targets.map((target) => {
+        const i = state.tokens.findIndex((token) => same(token, target.token));
+        if (i === -1 || weightChanged(state, target)) {
+            return target;
+        }
+        return { ...target, denorm: state.denorms[i] };
+    }).filter((target) => {
+        const i = state.tokens.findIndex((token) => same(token, target.token));
+        return i === -1 || state.balances[i] !== target.balance || state.denorms[i] !== target.denorm;
+    });
+    const removed = state.tokens.filter((token) => !targets.some((target) => same(target.token, token)));
+    if (state.finalized && (changed.length > 0 || removed.length > 0)) {
+        fail('tokens differ but the pool is finalized');
+    }
+
+    if (changed.length > 0 || removed.length > 0) {
+        steps.push({
+            action: 'setTokens',
+            args: [
+                state.address,
+                [...removed, ...changed.map((target) => target.token)],
+                [...removed.map(() => '0'), ...changed.map((target) => target.balance)],
+                [...removed.map(() => '0'), ...changed.map((target) => target.denorm)],
+            ],
+        });
+    }
+    planSettings(spec, state, steps, fail);
+}
+
+function planTokens(state, targets, steps, notes, fail) {
+    const removed = state.tokens
+        .map((token, i) => ({ token, denorm: state.denorms[i] }))
+        .filter(({ token }) => !targets.some((target) => same(target.token, token)));
+    const added = targets.filter((target) => !state.tokens.some((token) => same(token, target.token)));
+    if (removed.length === 0 && added.length === 0) {
+        return false;
+    }
+    if (!state.rights.canAddRemoveTokens) {
+        fail('tokens differ but the pool cannot add or remove tokens');
+        return true;
+    }
+
+    const { newToken } = state;
+    if (newToken.isCommitted) {
+        const target = added.find((t) => same(t.token, newToken.token));
+        if (!target || target.balance !== newToken.balance || target.denorm !== newToken.denorm) {
+            fail(`${newToken.token} is committed with other amounts than the spec`);
+        } else if (state.blockNumber - newToken.commitBlock < state.addTokenTimeLock) {
+            notes.push(`${target.key} can be added from block ${newToken.commitBlock + state.addTokenTimeLock}`);
+        } else {
+            steps.push({ action: 'applyAddToken', args: [state.address, target.token, target.balance] });
+        }
+        if (removed.length > 0 || added.length > 1) {
+            notes.push('Run apply again for the other token changes once the committed token is added');
+        }
+        return true;
+    }
+
+    // Every removal burns totalSupply * denorm / totalWeight shares of the caller
+    let { totalSupply: supply, totalWeight } = state;
+    removed.forEach(({ token, denorm }) => {
+        const poolAmountIn = bmath.bdiv(bmath.bmul(supply, denorm), totalWeight);
+        steps.push({ action: 'removeToken', args: [state.address, token, poolAmountIn] });
+        supply = bmath.bsub(supply, poolAmountIn);
+        totalWeight = bmath.bsub(totalWeight, denorm);
+    });
+
+    if (added.length > 0) {
+        const [target] = added;
+        steps.push({ action: 'commitAddToken', args: [state.address, target.token, target.balance, target.denorm] });
+        notes.push(`${target.key} can be added ${state.addTokenTimeLock} blocks after the commit, run apply again`);
+    }
+    return true;
+}
+
+function planWeights(spec, state, targets, steps, notes, fail) {
+    if (!targets.some((target) => weightChanged(state, target))) {
+        return;
+    }
+    if (!state.rights.canChangeWeights) {
+        fail('weights differ but the pool cannot change weights');
+        return;
+    }
+    if (state.gradualUpdateEnd !== undefined) {
+        notes.push(`Weights are being updated until block ${state.gradualUpdateEnd}, poke them to finish`);
+        return;
+    }
+
+    const weights = state.tokens.map((token) => targets.find((target) => same(target.token, token)).denorm);
+    const blocks = Math.max(state.minimumWeightChangeBlockPeriod, Number(spec.weightChangeBlocks || 0));
+    steps.push({
+        action: 'updateWeightsGradually',
+        args: [state.address, weights, String(state.blockNumber), String(state.blockNumber + blocks)],
+    });
+    notes.push(`Weights reach the spec at block ${state.blockNumber + blocks}`);
+}
+
+async function planWhitelist(web3, spec, state, steps, fail) {
+    if (spec.whitelist === undefined) {
+        return;
+    }
+    if (!state.rights.canWhitelistLPs) {
+        fail('whitelist is set but the pool has no whitelist');
+        return;
+    }
+    const entries = parseWhitelist(spec.whitelist);
+    const current = await Promise.all(entries.map(([provider]) => (
+        state.contract.methods.canProvideLiquidity(provider).call()
+    )));
+    entries.forEach(([provider, listed], i) => {
+        if (listed !== current[i]) {
+            steps.push({
+                action: listed ? 'whitelistLiquidityProvider' : 'removeWhitelistedLiquidityProvider',
+                args: [state.address, web3.utils.toChecksumAddress(provider)],
+            });
+        }
+    });
+}
+
+async function planSmartPool(web3, spec, state, targets, steps, notes, fail) {
+    Object.keys(spec.rights || {}).forEach((name) => {
+        if (!RIGHTS.includes(name)) {
+            fail(`Unknown right ${name}`);
+        } else if (Boolean(spec.rights[name]) !== state.rights[name]) {
+            fail(`rights.${name} is ${state.rights[name]} on chain, rights are set at creation`);
+        }
+    });
+
+    if (spec.cap !== undefined) {
+        const cap = spec.cap === 'unlimited' ? MAX : toUnits(spec.cap, 18);
+        if (cap !== state.cap) {
+            if (!state.rights.canChangeCap) {
+                fail('cap differs but the pool cannot change its cap');
+            }
+            steps.push({ action: 'setCap', args: [state.address, cap] });
+        }
+    }
+    planSettings(spec, state, steps, fail);
+    await planWhitelist(web3, spec, state, steps, fail);
+
+    // Token changes go first, weights are changed once the token set matches
+    if (planTokens(state, targets, steps, notes, fail)) {
+        if (targets.some((target) => {
+            const i = state.tokens.findIndex((token) => same(token, target.token));
+            return i !== -1 && weightChanged(state, target);
+        })) {
+            notes.push('Weights are changed once the tokens match the spec');
+        }
+        return;
+    }
+    planWeights(spec, state, targets, steps, notes, fail);
+}
+
+// Steps are BActions calls, `{ action, args }`. Throws if the pool cannot reach the spec
+async function plan(web3, spec) {
+    const state = await fetchState(web3, web3.utils.toChecksumAddress(spec.pool));
+    const targets = await resolveTargets(web3, spec, state);
+    const steps = [];
+    const notes = [];
+    const errors = [];
+    const fail = (error) => errors.push(error);
+
+    if (state.smart) {
+        await planSmartPool(web3, spec, state, targets, steps, notes, fail);
+    } else {
+        planBPool(spec, state, targets, steps, fail);
+    }
+    if (errors.length > 0) {
+        throw new Error(`Pool ${state.address} cannot reach the spec:\n${errors.map((e) => `  ${e}`).join('\n')}`);
+    }
+    return {
+        pool: state.address,
+        smart: state.smart,
+        steps,
+        notes,
+    };
+}
+
+function formatArg(arg) {
+    return Array.isArray(arg) ? `[${arg.join(',')}]` : String(arg);
+}
+
+function formatPlan({ pool, steps, notes }) {
+    return [
+        ...(steps.length === 0 ? [`${pool} matches the spec`] : []),
+        ...steps.map(({ action, args }) => `${action}(${args.map(formatArg).join(', ')})`),
+        ...notes.map((note) => `note: ${note}`),
+    ];
+}
+
+// Sends every step in one BActions multicall, so that a plan is applied entirely or not at all.
+// `client` is a BActions client (lib/client.js) of the pool controller's proxy
+async function apply(client, { steps }, { dryRun = false } = {}) {
+    if (steps.length === 0) {
+        return undefined;
+    }
+    const calls = steps.map(({ action, args }) => client[action].encode(...args));
+    return dryRun ? client.multicall.call(calls) : client.multicall(calls);
+}
+
+module.exports = {
+    toUnits,
+    parseFee,
+    checkPercentages,
+    denormalize,
+    parseSpec,
+    loadSpec,
+    plan,
+    formatPlan,
+    apply,
+};
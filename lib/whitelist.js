@@ -0,0 +1,114 @@
+// Syncs the liquidity provider whitelist of a smart pool with a list of providers, in one
+// multicall of the bulk BActions whitelist actions:
+//
+//   const entries = loadProviders('cohort.csv');
+//   const diff = await planWhitelist(web3, CRP, entries);   // { add, remove, unchanged }
+//   await syncWhitelist(bactions, CRP, diff);
+//
+// CSV lists have an address per line, optionally followed by `true` to list or `false` to remove
+// the provider; blank lines, `#` comments and a header line are skipped. JSON lists are an array
+// of addresses to list, or an object of address => listed. Pools cannot enumerate their whitelist,
+// so providers only leave it when listed with `false`.
+
+const fs = require('fs');
+const path = require('path');
+const { view } = require('./client');
+
+const CAN_PROVIDE_LIQUIDITY = view('canProvideLiquidity', ['address'], ['bool']);
+
+const ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+
+function parseListed(value, where) {
+    if (value === undefined || value === '' || value === true || value === 'true') {
+        return true;
+    }
+    if (value === false || value === 'false') {
+        return false;
+    }
+    throw new Error(`${where}: expected true or false, got ${value}`);
+}
+
+function checkAddress(address, where) {
+    if (!ADDRESS.test(address)) {
+        throw new Error(`${where}: ${address} is not an address`);
+    }
+    return address;
+}
+
+// [[provider, listed]] in list order
+function parseProviders(text, format = 'csv') {
+    if (format === 'json') {
+        const list = JSON.parse(text);
+        if (Array.isArray(list)) {
+            return list.map((provider, i) => [checkAddress(provider, `entry ${i + 1}`), true]);
+        }
+        return Object.keys(list).map((provider) => [
+            checkAddress(provider, provider),
+            parseListed(list[provider], provider),
+        ]);
+    }
+
+    return text.split(/\r?\n/)
+        .map((line, i) => [line.replace(/#.*/, '').trim(), `line ${i + 1}`])
+        .filter(([line], i) => line !== '' && !(i === 0 && !line.startsWith('0x')))
+        .map(([line, where]) => {
+            const [provider, listed] = line.split(',').map((field) => field.trim());
+            return [checkAddress(provider, where), parseListed(listed, where)];
+        });
+}
+
+function loadProviders(file) {
+    const format = path.extname(file) === '.json' ? 'json' : 'csv';
+    return parseProviders(fs.readFileSync(file, 'utf8'), format);
+}
+
+// Providers to add and remove to bring the whitelist of `crp` in line with `entries`.
+// A provider listed twice takes its last entry
+async function planWhitelist(web3, crp, entries) {
+    const wanted = new Map();
+    entries.forEach(([provider, listed]) => wanted.set(web3.utils.toChecksumAddress(provider), listed));
+
+    const providers = [...wanted.keys()];
+    const pool = new web3.eth.Contract([CAN_PROVIDE_LIQUIDITY], crp);
+    const current = await Promise.all(providers.map((provider) => (
+        pool.methods.canProvideLiquidity(provider).call()
+    )));
+    return {
+        add: providers.filter((provider, i) => wanted.get(provider) && !current[i]),
+        remove: providers.filter((provider, i) => !wanted.get(provider) && current[i]),
+        unchanged: providers.filter((provider, i) => wanted.get(provider) === current[i]),
+    };
+}
+
+function syncCalls(bactions, crp, { add, remove }) {
+    return [
+        ...(add.length > 0 ? [bactions.whitelistLiquidityProviders.encode(crp, add)] : []),
+        ...(remove.length > 0 ? [bactions.removeWhitelistedLiquidityProviders.encode(crp, remove)] : []),
+    ];
+}
+
+// Sends the diff through `bactions`, a BActions client of the pool controller's proxy.
+// Returns undefined when the whitelist is in sync already
+async function syncWhitelist(bactions, crp, diff, { dryRun = false } = {}) {
+    const calls = syncCalls(bactions, crp, diff);
+    if (calls.length === 0) {
+        return undefined;
+    }
+    return dryRun ? bactions.multicall.call(calls) : bactions.multicall(calls);
+}
+
+function formatWhitelistPlan({ add, remove, unchanged }) {
+    return [
+        ...add.map((provider) => `+ ${provider}`),
+        ...remove.map((provider) => `- ${provider}`),
+        `${add.length} to add, ${remove.length} to remove, ${unchanged.length} unchanged`,
+    ];
+}
+
+module.exports = {
+    parseProviders,
+    loadProviders,
+    planWhitelist,
+    syncWhitelist,
+    formatWhitelistPlan,
+};
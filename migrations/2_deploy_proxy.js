@@ -3,23 +3,60 @@ const SmartPoolManager = artifacts.require('SmartPoolManager');
 const CRPFactory = artifacts.require('CRPFactory');
 const BalancerSafeMath = artifacts.require('BalancerSafeMath');
 const BActions = artifacts.require('BActions');
+const BMigrator = artifacts.require('BMigrator');
+const BSwaps = artifacts.require('BSwaps');
+const BZaps = artifacts.require('BZaps');
+const BActionsGuard = artifacts.require('BActionsGuard');
 const BFactory = artifacts.require('BFactory');
+const DSProxyFactory = artifacts.require('DSProxyFactory');
+const WETH9 = artifacts.require('WETH9');
+const {
+    loadConfig, shouldRecord, readAddressBook, recordDeployment, writeAddressBook,
+} = require('../lib/deployments');
 
+// Contracts listed in deployments/networks.json are used as they are, the rest is deployed
 module.exports = async function(deployer, network, accounts) {
-    if (network == 'development' || network == 'soliditycoverage') {
-        await deployer.deploy(RightsManager);
-        await deployer.deploy(SmartPoolManager);
-        await deployer.deploy(BFactory);
-        await deployer.deploy(BalancerSafeMath);
+    const config = loadConfig(network);
+    const contracts = { ...config.contracts };
+    const blocks = { ...config.blocks };
+
+    async function deploy(name, contract, ...args) {
+        await deployer.deploy(contract, ...args);
+        contracts[name] = contract.address;
+        blocks[name] = (await web3.eth.getTransactionReceipt(contract.transactionHash)).blockNumber;
+    }
+
+    if (!contracts.CRPFactory) {
+        await deploy('RightsManager', RightsManager);
+        await deploy('SmartPoolManager', SmartPoolManager);
+        await deploy('BalancerSafeMath', BalancerSafeMath);
 
         await deployer.link(BalancerSafeMath, CRPFactory);
         await deployer.link(RightsManager, CRPFactory);
         await deployer.link(SmartPoolManager, CRPFactory);
+    }
+    if (!contracts.BFactory) {
+        await deploy('BFactory', BFactory);
+    }
+    if (!contracts.CRPFactory) {
+        await deploy('CRPFactory', CRPFactory);
+    }
+    if (!contracts.WETH) {
+        await deploy('WETH', WETH9);
+    }
+    if (!contracts.DSProxyFactory) {
+        await deploy('DSProxyFactory', DSProxyFactory);
+    }
 
-        await deployer.deploy(CRPFactory);
+    const { WETH, BFactory: bFactory, CRPFactory: crpFactory } = contracts;
+    await deploy('BActions', BActions, WETH, bFactory, crpFactory);
+    await deploy('BMigrator', BMigrator, WETH, bFactory, crpFactory);
+    await deploy('BSwaps', BSwaps, WETH, bFactory, crpFactory);
+    await deploy('BZaps', BZaps, WETH, bFactory, crpFactory);
+    await deploy('BActionsGuard', BActionsGuard);
 
-        await deployer.deploy(BActions, BFactory.address);
-    } else if (network == 'kovan-fork' || network == 'kovan') {
-        deployer.deploy(BActions, '0x8f7F78080219d4066A8036ccD30D588B416a40DB');
+    if (shouldRecord(network, config)) {
+        const networkId = await web3.eth.net.getId();
+        writeAddressBook(recordDeployment(readAddressBook(), networkId, network, contracts, blocks));
     }
 }
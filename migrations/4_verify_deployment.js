@@ -0,0 +1,14 @@
+const {
+    artifactName, loadConfig, deployedContracts, verifyBytecode,
+} = require('../lib/deployments');
+
+// Checks that every contract deployed by the migrations runs the code of its artifact
+module.exports = async function(deployer, network, accounts) {
+    const deployed = deployedContracts(loadConfig(network));
+    await Promise.all(deployed.map(async (name) => {
+        const artifact = artifacts.require(artifactName(name));
+        if (!(await verifyBytecode(web3, artifact.toJSON(), artifact.address, artifact.links))) {
+            throw new Error(`${name} at ${artifact.address} does not match its artifact`);
+        }
+    }));
+}
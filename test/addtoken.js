@@ -0,0 +1,129 @@
+const truffleAssert = require('truffle-assertions');
+const {
+    pendingToken, approval, applyPendingToken, formatPending,
+} = require('../lib/addtoken');
+const { run } = require('../lib/cli');
+const {
+    waitNBlocks, buildToken, fundTokens, buildProxy, createSmartPool,
+} = require('./helpers');
+
+const BPool = artifacts.require('BPool');
+const ConfigurableRightsPool = artifacts.require('ConfigurableRightsPool');
+
+contract('Add token workflow', async (accounts) => {
+    const creator = accounts[0];
+    const { toWei } = web3.utils;
+
+    describe('Pending tokens', () => {
+        let creatorActions;
+        let CREATOR_PROXY;
+        let CRP;
+        let DAI; let MKR; let BAL;
+        let bal;
+        let COMMIT_BLOCK;
+
+        before(async () => {
+            ({ proxy: CREATOR_PROXY, actions: creatorActions } = await buildProxy(creator));
+            [DAI, MKR] = (await fundTokens(creator, CREATOR_PROXY, { DAI: toWei('1000'), MKR: toWei('10') }))
+                .map((token) => token.address);
+            bal = await buildToken('BAL');
+            BAL = bal.address;
+            await bal.mint(creator, toWei('20'));
+
+            CRP = await createSmartPool(creatorActions, {
+                symbol: 'ADD',
+                name: 'Growing Pool',
+                tokens: [DAI, MKR],
+                balances: [toWei('100'), toWei('1')],
+                weights: [toWei('10'), toWei('10')],
+                rights: { canChangeWeights: true, canAddRemoveTokens: true },
+            });
+        });
+
+        it('reports pools without a commit', async () => {
+            assert.isUndefined(await pendingToken(web3, CRP));
+            assert.deepEqual(formatPending(undefined), ['No token committed']);
+            await truffleAssert.fails(
+                applyPendingToken(web3, creatorActions, CRP, { owner: creator, proxy: CREATOR_PROXY }),
+                `No token is committed to ${CRP}`,
+            );
+        });
+
+        it('counts down the timelock', async () => {
+            const { receipt } = await creatorActions.commitAddToken(CRP, BAL, toWei('10'), toWei('5'));
+            COMMIT_BLOCK = receipt.blockNumber;
+
+            const pending = await pendingToken(web3, CRP);
+            assert.deepEqual(pending, {
+                pool: CRP,
+                token: BAL,
+                balance: toWei('10'),
+                denorm: toWei('5'),
+                commitBlock: COMMIT_BLOCK,
+                readyBlock: COMMIT_BLOCK + 10,
+                blocksLeft: 10,
+                ready: false,
+            });
+            assert.equal(
+                formatPending(pending)[3],
+                `committed at block ${COMMIT_BLOCK}, ready at block ${COMMIT_BLOCK + 10} (10 blocks left)`,
+            );
+            await truffleAssert.fails(
+                applyPendingToken(web3, creatorActions, CRP, { owner: creator, proxy: CREATOR_PROXY }),
+                `${BAL} can be added from block ${COMMIT_BLOCK + 10}, 10 blocks left`,
+            );
+
+            await waitNBlocks(4);
+            assert.equal((await pendingToken(web3, CRP)).blocksLeft, 6);
+        });
+
+        it('works out the approval', async () => {
+            await bal.approve(CREATOR_PROXY, toWei('4'));
+            assert.deepEqual(await approval(web3, await pendingToken(web3, CRP), creator, CREATOR_PROXY), {
+                required: toWei('10'),
+                allowance: toWei('4'),
+                missing: toWei('6'),
+                shortfall: '0',
+            });
+            assert.deepEqual(await approval(web3, await pendingToken(web3, CRP), accounts[1], CREATOR_PROXY), {
+                required: toWei('10'),
+                allowance: '0',
+                missing: toWei('10'),
+                shortfall: toWei('10'),
+            });
+        });
+
+        it('shows the pending token from the command line', async () => {
+            const lines = [];
+            await run(['crp', 'pending-token', CRP], {
+                web3,
+                artifacts: (name) => artifacts.require(name),
+                log: (line) => lines.push(line),
+            });
+            assert.deepEqual(lines.slice(0, 3), [`token: ${BAL}`, `balance: ${toWei('10')}`, `weight: ${toWei('5')}`]);
+        });
+
+        it('approves and applies once the timelock passed', async () => {
+            await waitNBlocks(6);
+            const pending = await pendingToken(web3, CRP);
+            assert.isTrue(pending.ready);
+            assert.equal(pending.blocksLeft, 0);
+
+            await truffleAssert.fails(
+                applyPendingToken(web3, creatorActions, CRP, { owner: creator, proxy: CREATOR_PROXY }),
+                `Approve ${CREATOR_PROXY} for ${toWei('10')} ${BAL} first`,
+            );
+
+            const { actions } = await applyPendingToken(web3, creatorActions, CRP, {
+                owner: creator, proxy: CREATOR_PROXY, approve: true,
+            });
+            assert.equal(actions[0].type, 'applyAddToken');
+            assert.equal(actions[0].tokenAmountIn, toWei('10'));
+
+            const bpool = await BPool.at(await (await ConfigurableRightsPool.at(CRP)).bPool());
+            assert.equal(await bpool.getBalance(BAL), toWei('10'));
+            assert.equal(await bal.balanceOf(creator), toWei('10'));
+            assert.isUndefined(await pendingToken(web3, CRP));
+        });
+    });
+});
@@ -0,0 +1,308 @@
+const truffleAssert = require('truffle-assertions');
+const { createClient } = require('../lib/client');
+const bmath = require('../lib/bmath');
+const {
+    fetchPool,
+    calcAmountsIn,
+    calcAmountsOut,
+    joinPoolArgs,
+    exitPoolArgs,
+    joinswapExternAmountInArgs,
+    joinswapPoolAmountOutArgs,
+    exitswapPoolAmountInArgs,
+    exitswapExternAmountOutArgs,
+} = require('../lib/bounds');
+
+const TToken = artifacts.require('TToken');
+const TTokenFactory = artifacts.require('TTokenFactory');
+const BFactory = artifacts.require('BFactory');
+const CRPFactory = artifacts.require('CRPFactory');
+const BActions = artifacts.require('BActions');
+const DSProxyFactory = artifacts.require('DSProxyFactory');
+const BPool = artifacts.require('BPool');
+const ConfigurableRightsPool = artifacts.require('ConfigurableRightsPool');
+
+contract('BActions', async (accounts) => {
+    const user = accounts[1];
+    const { toHex, toWei } = web3.utils;
+
+    const MAX = web3.utils.toTwosComplement(-1);
+
+    describe('Balancer math', () => {
+        let bpool;
+
+        const cases = [
+            [toWei('400'), toWei('10'), toWei('2'), toWei('20'), toWei('3'), toWei('0.003')],
+            [toWei('1.5'), toWei('1'), toWei('9000'), toWei('49'), toWei('0.25'), toWei('0.1')],
+            [toWei('123.456789'), toWei('7.5'), toWei('0.000001'), toWei('12.5'), '1000000000000', '0'],
+        ];
+
+        before(async () => {
+            const factory = await BFactory.deployed();
+            const POOL = await factory.newBPool.call();
+            await factory.newBPool();
+            bpool = await BPool.at(POOL);
+        });
+
+        it('matches calcSpotPrice', async () => {
+            await Promise.all(cases.map(async ([balanceIn, weightIn, balanceOut, weightOut, , swapFee]) => {
+                const expected = await bpool.calcSpotPrice(balanceIn, weightIn, balanceOut, weightOut, swapFee);
+                const actual = bmath.calcSpotPrice(balanceIn, weightIn, balanceOut, weightOut, swapFee);
+                assert.equal(actual, expected.toString());
+            }));
+        });
+
+        it('matches calcOutGivenIn and calcInGivenOut', async () => {
+            await Promise.all(cases.map(async ([balanceIn, weightIn, balanceOut, weightOut, amount, swapFee]) => {
+                const amountIn = bmath.bmul(balanceIn, toWei('0.3'));
+                const amountOut = bmath.bmul(balanceOut, toWei('0.3'));
+
+                const out = await bpool.calcOutGivenIn(balanceIn, weightIn, balanceOut, weightOut, amountIn, swapFee);
+                assert.equal(bmath.calcOutGivenIn(balanceIn, weightIn, balanceOut, weightOut, amountIn, swapFee), out);
+
+                const inp = await bpool.calcInGivenOut(balanceIn, weightIn, balanceOut, weightOut, amountOut, swapFee);
+                assert.equal(bmath.calcInGivenOut(balanceIn, weightIn, balanceOut, weightOut, amountOut, swapFee), inp);
+
+                const small = await bpool.calcOutGivenIn(balanceIn, weightIn, balanceOut, weightOut, amount, swapFee);
+                assert.equal(bmath.calcOutGivenIn(balanceIn, weightIn, balanceOut, weightOut, amount, swapFee), small);
+            }));
+        });
+
+        it('matches the single asset join and exit functions', async () => {
+            const supply = toWei('100');
+            const totalWeight = toWei('40');
+
+            await Promise.all(cases.map(async ([balance, weight, , , amount, swapFee]) => {
+                const args = [balance, weight, supply, totalWeight];
+                const tokenAmount = bmath.bmul(balance, toWei('0.25'));
+
+                assert.equal(
+                    bmath.calcPoolOutGivenSingleIn(...args, tokenAmount, swapFee),
+                    await bpool.calcPoolOutGivenSingleIn(...args, tokenAmount, swapFee),
+                );
+                assert.equal(
+                    bmath.calcSingleInGivenPoolOut(...args, amount, swapFee),
+                    await bpool.calcSingleInGivenPoolOut(...args, amount, swapFee),
+                );
+                assert.equal(
+                    bmath.calcSingleOutGivenPoolIn(...args, amount, swapFee),
+                    await bpool.calcSingleOutGivenPoolIn(...args, amount, swapFee),
+                );
+                assert.equal(
+                    bmath.calcPoolInGivenSingleOut(...args, tokenAmount, swapFee),
+                    await bpool.calcPoolInGivenSingleOut(...args, tokenAmount, swapFee),
+                );
+            }));
+        });
+
+        it('throws the contract errors', async () => {
+            assert.throws(() => bmath.bsub('1', '2'), 'ERR_SUB_UNDERFLOW');
+            assert.throws(() => bmath.bdiv('1', '0'), 'ERR_DIV_ZERO');
+            assert.throws(() => bmath.bpow(toWei('2'), toWei('0.5')), 'ERR_BPOW_BASE_TOO_HIGH');
+            assert.throws(() => bmath.bmul(MAX, '2'), 'ERR_MUL_OVERFLOW');
+
+            await truffleAssert.reverts(
+                bpool.calcInGivenOut(toWei('10'), toWei('1'), toWei('10'), toWei('1'), toWei('10'), 0),
+                'ERR_DIV_ZERO',
+            );
+            assert.throws(
+                () => bmath.calcInGivenOut(toWei('10'), toWei('1'), toWei('10'), toWei('1'), toWei('10'), 0),
+                'ERR_DIV_ZERO',
+            );
+        });
+    });
+
+    describe('Join and exit bounds', () => {
+        let userActions;
+        let SHARED_POOL;
+        let SMART_POOL;
+        let dai; let mkr; let weth;
+        let DAI; let MKR; let WETH;
+
+        async function balances(pool) {
+            const tokens = [dai, mkr, weth];
+            return Promise.all([...tokens.map((t) => t.balanceOf(user)), pool.balanceOf(user)]);
+        }
+
+        async function spent(pool, initial) {
+            const after = await balances(pool);
+            return after.map((balance, i) => initial[i].sub(balance).toString());
+        }
+
+        before(async () => {
+            const factory = await BFactory.deployed();
+            const crpFactory = await CRPFactory.deployed();
+            const tokenFactory = await TTokenFactory.deployed();
+            const proxyFactory = await DSProxyFactory.deployed();
+
+            await tokenFactory.build(toHex('DAI'), toHex('DAI'), 18);
+            await tokenFactory.build(toHex('MKR'), toHex('MKR'), 18);
+            await tokenFactory.build(toHex('WETH'), toHex('WETH'), 18);
+
+            DAI = await tokenFactory.get.call(toHex('DAI'));
+            MKR = await tokenFactory.get.call(toHex('MKR'));
+            WETH = await tokenFactory.get.call(toHex('WETH'));
+
+            dai = await TToken.at(DAI);
+            mkr = await TToken.at(MKR);
+            weth = await TToken.at(WETH);
+
+            await dai.mint(user, toWei('10000'));
+            await mkr.mint(user, toWei('100'));
+            await weth.mint(user, toWei('100'));
+
+            const USER_PROXY = await proxyFactory.build.call({ from: user });
+            await proxyFactory.build({ from: user });
+            userActions = createClient(web3, {
+                proxy: USER_PROXY, target: BActions.address, abi: BActions.abi, from: user,
+            });
+
+            await dai.approve(USER_PROXY, MAX, { from: user });
+            await mkr.approve(USER_PROXY, MAX, { from: user });
+            await weth.approve(USER_PROXY, MAX, { from: user });
+
+            ({ result: SHARED_POOL } = await userActions.create(
+                factory.address,
+                [DAI, MKR, WETH],
+                [toWei('400'), toWei('1'), toWei('4')],
+                [toWei('5'), toWei('5'), toWei('10')],
+                toWei('0.003'),
+                true,
+            ));
+
+            ({ result: SMART_POOL } = await userActions.createSmartPool(
+                crpFactory.address,
+                factory.address,
+                {
+                    poolTokenSymbol: 'TEST',
+                    poolTokenName: 'Test Pool',
+                    constituentTokens: [DAI, MKR, WETH],
+                    tokenBalances: [toWei('400'), toWei('1'), toWei('4')],
+                    tokenWeights: [toWei('10'), toWei('10'), toWei('20')],
+                    swapFee: toWei('0.0015'),
+                },
+                { initialSupply: toWei('200'), minimumWeightChangeBlockPeriod: 10, addTokenTimeLockInBlocks: 10 },
+                {
+                    canPauseSwapping: false,
+                    canChangeSwapFee: false,
+                    canChangeWeights: false,
+                    canAddRemoveTokens: false,
+                    canWhitelistLPs: false,
+                    canChangeCap: false,
+                },
+            ));
+
+            const bpool = await BPool.at(SHARED_POOL);
+            const crp = await ConfigurableRightsPool.at(SMART_POOL);
+            await bpool.approve(USER_PROXY, MAX, { from: user });
+            await crp.approve(USER_PROXY, MAX, { from: user });
+        });
+
+        it('reads pool snapshots', async () => {
+            const shared = await fetchPool(web3, SHARED_POOL);
+            assert.isFalse(shared.smart);
+            assert.sameMembers(shared.tokens, [DAI, MKR, WETH]);
+            assert.equal(shared.totalWeight, toWei('20'));
+            assert.equal(shared.totalSupply, toWei('100'));
+
+            const smart = await fetchPool(web3, SMART_POOL);
+            assert.isTrue(smart.smart);
+            assert.equal(smart.swapFee, toWei('0.0015'));
+            assert.equal(smart.totalSupply, toWei('200'));
+        });
+
+        async function checkProportional(POOL) {
+            const token = await BPool.at(POOL);
+
+            let pool = await fetchPool(web3, POOL);
+            const amountsIn = calcAmountsIn(pool, toWei('7.3'));
+            let initial = await balances(token);
+            await userActions[pool.smart ? 'joinSmartPool' : 'joinPool'](...joinPoolArgs(pool, toWei('7.3'), 0));
+            assert.deepEqual(await spent(token, initial), [...amountsIn, `-${toWei('7.3')}`]);
+
+            pool = await fetchPool(web3, POOL);
+            const amountsOut = calcAmountsOut(pool, toWei('3.1'));
+            initial = await balances(token);
+            await userActions[pool.smart ? 'exitSmartPool' : 'exitPool'](...exitPoolArgs(pool, toWei('3.1'), 0));
+            assert.deepEqual(await spent(token, initial), [...amountsOut.map((a) => `-${a}`), toWei('3.1')]);
+        }
+
+        async function checkSingle(POOL) {
+            const token = await BPool.at(POOL);
+
+            let pool = await fetchPool(web3, POOL);
+            let args = joinswapExternAmountInArgs(pool, MKR, toWei('0.2'), 0);
+            let initial = await balances(token);
+            await userActions.joinswapExternAmountIn(...args);
+            assert.deepEqual(await spent(token, initial), ['0', toWei('0.2'), '0', `-${args[3]}`]);
+
+            pool = await fetchPool(web3, POOL);
+            args = joinswapPoolAmountOutArgs(pool, WETH, toWei('2'), 0);
+            initial = await balances(token);
+            await userActions.joinswapPoolAmountOut(...args);
+            assert.deepEqual(await spent(token, initial), ['0', '0', args[3], `-${toWei('2')}`]);
+
+            pool = await fetchPool(web3, POOL);
+            args = exitswapPoolAmountInArgs(pool, DAI, toWei('1.5'), 0);
+            initial = await balances(token);
+            await userActions.exitswapPoolAmountIn(...args);
+            assert.deepEqual(await spent(token, initial), [`-${args[3]}`, '0', '0', toWei('1.5')]);
+
+            pool = await fetchPool(web3, POOL);
+            args = exitswapExternAmountOutArgs(pool, DAI, toWei('10'), 0);
+            initial = await balances(token);
+            await userActions.exitswapExternAmountOut(...args);
+            assert.deepEqual(await spent(token, initial), [`-${toWei('10')}`, '0', '0', args[3]]);
+        }
+
+        it('computes exact proportional join and exit amounts for a shared pool', async () => {
+            await checkProportional(SHARED_POOL);
+        });
+
+        it('computes exact proportional join and exit amounts for a smart pool', async () => {
+            await checkProportional(SMART_POOL);
+        });
+
+        it('computes exact single asset join and exit limits for a shared pool', async () => {
+            await checkSingle(SHARED_POOL);
+        });
+
+        it('computes exact single asset join and exit limits for a smart pool', async () => {
+            await checkSingle(SMART_POOL);
+        });
+
+        it('applies the slippage tolerance', async () => {
+            const pool = await fetchPool(web3, SHARED_POOL);
+
+            const [, , , exactIn] = joinswapPoolAmountOutArgs(pool, WETH, toWei('2'), 0);
+            const [, , , maxAmountIn] = joinswapPoolAmountOutArgs(pool, WETH, toWei('2'), '0.01');
+            assert.equal(maxAmountIn, new bmath.Decimal(exactIn).mul('1.01').ceil().toFixed());
+
+            const [, , , exactOut] = exitswapPoolAmountInArgs(pool, WETH, toWei('2'), 0);
+            const [, , , minAmountOut] = exitswapPoolAmountInArgs(pool, WETH, toWei('2'), '0.01');
+            assert.equal(minAmountOut, new bmath.Decimal(exactOut).mul('0.99').floor().toFixed());
+
+            const [POOL, poolAmountOut, maxAmountsIn] = joinPoolArgs(pool, toWei('10'), 0);
+            maxAmountsIn[0] = new bmath.Decimal(maxAmountsIn[0]).sub(1).toFixed();
+            await truffleAssert.reverts(
+                userActions.joinPool(POOL, poolAmountOut, maxAmountsIn),
+                'ERR_LIMIT_IN',
+            );
+        });
+
+        it('rejects amounts over the pool ratio limits', async () => {
+            const pool = await fetchPool(web3, SHARED_POOL);
+            const [, mkrBalance] = pool.balances;
+
+            assert.throws(
+                () => joinswapExternAmountInArgs(pool, MKR, bmath.bmul(mkrBalance, toWei('0.6')), 0),
+                'ERR_MAX_IN_RATIO',
+            );
+            assert.throws(
+                () => exitswapExternAmountOutArgs(pool, MKR, bmath.bmul(mkrBalance, toWei('0.4')), 0),
+                'ERR_MAX_OUT_RATIO',
+            );
+            assert.throws(() => joinswapExternAmountInArgs(pool, pool.address, '1', 0), 'ERR_NOT_BOUND');
+        });
+    });
+});
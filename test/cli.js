@@ -0,0 +1,145 @@
+const truffleAssert = require('truffle-assertions');
+const { createClient } = require('../lib/client');
+const { run } = require('../lib/cli');
+
+const TToken = artifacts.require('TToken');
+const TTokenFactory = artifacts.require('TTokenFactory');
+const BFactory = artifacts.require('BFactory');
+const CRPFactory = artifacts.require('CRPFactory');
+const BActions = artifacts.require('BActions');
+const BPool = artifacts.require('BPool');
+const ConfigurableRightsPool = artifacts.require('ConfigurableRightsPool');
+
+contract('bactions cli', async (accounts) => {
+    const user = accounts[2];
+    const { toHex, toWei } = web3.utils;
+
+    const MAX = web3.utils.toTwosComplement(-1);
+
+    describe('Commands', () => {
+        let lines;
+        let USER_PROXY;
+        let POOL;
+        let dai; let usdc;
+        let DAI; let USDC;
+
+        function bactions(...argv) {
+            lines = [];
+            return run([...argv, '--from', user], {
+                web3,
+                artifacts: (name) => artifacts.require(name),
+                log: (line) => lines.push(line),
+            });
+        }
+
+        before(async () => {
+            const tokens = await TTokenFactory.deployed();
+            await tokens.build(toHex('DAI'), toHex('DAI'), 18);
+            await tokens.build(toHex('USDC'), toHex('USDC'), 6);
+            DAI = await tokens.get.call(toHex('DAI'));
+            USDC = await tokens.get.call(toHex('USDC'));
+            dai = await TToken.at(DAI);
+            usdc = await TToken.at(USDC);
+
+            await dai.mint(user, toWei('1000'));
+            await usdc.mint(user, '1000000000');
+        });
+
+        it('prints usage', async () => {
+            await bactions('help');
+            assert.match(lines[0], /^Usage: bactions/);
+            assert.include(lines[0], 'crp set-cap <crp> <cap>');
+        });
+
+        it('rejects unknown commands and missing arguments', async () => {
+            await truffleAssert.fails(bactions('pool', 'drain'), 'Unknown command pool drain');
+            await truffleAssert.fails(bactions('pool', 'set-swap-fee', DAI), 'Missing <swapFee>');
+            await truffleAssert.fails(bactions('proxy', 'show', '--verbose'), 'Unknown option --verbose');
+        });
+
+        it('asks for a proxy before running actions', async () => {
+            await truffleAssert.fails(
+                bactions('pool', 'set-swap-fee', DAI, '0.01'),
+                `No proxy owned by ${user}, build one with \`bactions proxy build\``,
+            );
+        });
+
+        it('builds and finds the caller proxy', async () => {
+            USER_PROXY = await bactions('proxy', 'build');
+            assert.equal(lines[1], `proxy: ${USER_PROXY}`);
+
+            await bactions('proxy', 'show');
+            assert.deepEqual(lines, [`proxy: ${USER_PROXY}`]);
+
+            await dai.approve(USER_PROXY, MAX, { from: user });
+            await usdc.approve(USER_PROXY, MAX, { from: user });
+        });
+
+        it('creates a pool scaling balances by token decimals', async () => {
+            POOL = await bactions('pool', 'create', `${DAI},${USDC}`, '10,5.5', '5,5', '0.003');
+
+            const bpool = await BPool.at(POOL);
+            assert.equal(await bpool.getBalance(DAI), toWei('10'));
+            assert.equal(await bpool.getBalance(USDC), '5500000');
+            assert.isFalse(await bpool.isFinalized());
+            assert.include(lines, `result: ${POOL}`);
+            assert.include(lines.join('\n'), `action: createPool caller=${user} pool=${POOL} finalized=false`);
+        });
+
+        it('dry runs actions with eth_call', async () => {
+            const bpool = await BPool.at(POOL);
+            const nonce = await web3.eth.getTransactionCount(user);
+
+            await bactions('pool', 'set-swap-fee', POOL, '0.01', '--dry-run');
+            assert.deepEqual(lines, ['setSwapFee (dry run)']);
+            assert.equal(await bpool.getSwapFee(), toWei('0.003'));
+            assert.equal(await web3.eth.getTransactionCount(user), nonce);
+
+            await truffleAssert.fails(
+                bactions('pool', 'set-swap-fee', POOL, '0.5', '--dry-run'),
+                'ERR_MAX_FEE',
+            );
+
+            await bactions('pool', 'set-swap-fee', POOL, '0.01');
+            assert.match(lines[0], /^tx: 0x/);
+            assert.equal(await bpool.getSwapFee(), toWei('0.01'));
+        });
+
+        it('manages smart pools', async () => {
+            const userActions = createClient(web3, {
+                proxy: USER_PROXY, target: BActions.address, abi: BActions.abi, from: user,
+            });
+            const { result: CRP } = await userActions.createSmartPool(
+                CRPFactory.address,
+                BFactory.address,
+                {
+                    poolTokenSymbol: 'CLI',
+                    poolTokenName: 'Cli Pool',
+                    constituentTokens: [DAI, USDC],
+                    tokenBalances: [toWei('10'), '10000000'],
+                    tokenWeights: [toWei('5'), toWei('5')],
+                    swapFee: toWei('0.003'),
+                },
+                { initialSupply: toWei('100'), minimumWeightChangeBlockPeriod: 10, addTokenTimeLockInBlocks: 10 },
+                {
+                    canPauseSwapping: true,
+                    canChangeSwapFee: true,
+                    canChangeWeights: true,
+                    canAddRemoveTokens: true,
+                    canWhitelistLPs: true,
+                    canChangeCap: true,
+                },
+            );
+            const crp = await ConfigurableRightsPool.at(CRP);
+
+            await bactions('crp', 'set-cap', CRP, '1000');
+            assert.equal(await crp.bspCap(), toWei('1000'));
+
+            await bactions('crp', 'whitelist', CRP, accounts[3]);
+            assert.isTrue(await crp.canProvideLiquidity(accounts[3]));
+
+            await bactions('pool', 'set-public-swap', CRP, 'false');
+            assert.isFalse(await crp.isPublicSwap());
+        });
+    });
+});
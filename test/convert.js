@@ -0,0 +1,161 @@
+const truffleAssert = require('truffle-assertions');
+const { createClient } = require('../lib/client');
+
+const TToken = artifacts.require('TToken');
+const TTokenFactory = artifacts.require('TTokenFactory');
+const BFactory = artifacts.require('BFactory');
+const CRPFactory = artifacts.require('CRPFactory');
+const BActions = artifacts.require('BActions');
+const BMigrator = artifacts.require('BMigrator');
+const DSProxyFactory = artifacts.require('DSProxyFactory');
+const BPool = artifacts.require('BPool');
+const ConfigurableRightsPool = artifacts.require('ConfigurableRightsPool');
+
+contract('BMigrator', async (accounts) => {
+    const admin = accounts[0];
+    const { toHex } = web3.utils;
+    const { toWei } = web3.utils;
+
+    const MAX = web3.utils.toTwosComplement(-1);
+
+    describe('Private pool conversion', () => {
+        let FACTORY;
+        let CRP_FACTORY;
+        let proxyFactory;
+        let tokens;
+        let USER_PROXY;
+        let userActions;
+        let userMigrator;
+        let dai; let mkr; let weth;
+        let DAI; let MKR; let WETH;
+
+        const crpParams = {
+            initialSupply: toWei('100'),
+            minimumWeightChangeBlockPeriod: 10,
+            addTokenTimeLockInBlocks: 10,
+        };
+        const rights = {
+            canPauseSwapping: true,
+            canChangeSwapFee: true,
+            canChangeWeights: true,
+            canAddRemoveTokens: true,
+            canWhitelistLPs: false,
+            canChangeCap: false,
+        };
+
+        async function createPool(finalize) {
+            const { result } = await userActions.create(
+                FACTORY,
+                [DAI, MKR, WETH],
+                [toWei('400'), toWei('1'), toWei('2')],
+                [toWei('5'), toWei('5'), toWei('5')],
+                toWei('0.03'),
+                finalize,
+            );
+            return result;
+        }
+
+        async function convert(pool, tokenWeights) {
+            const { result } = await userMigrator.convertToSmartPool(
+                pool,
+                CRP_FACTORY,
+                'CNV',
+                'Converted Pool',
+                tokenWeights,
+                crpParams,
+                rights,
+            );
+            return ConfigurableRightsPool.at(result);
+        }
+
+        before(async () => {
+            proxyFactory = await DSProxyFactory.deployed();
+
+            tokens = await TTokenFactory.deployed();
+            FACTORY = (await BFactory.deployed()).address;
+            CRP_FACTORY = (await CRPFactory.deployed()).address;
+
+            await tokens.build(toHex('DAI'), toHex('DAI'), 18);
+            await tokens.build(toHex('MKR'), toHex('MKR'), 18);
+            await tokens.build(toHex('WETH'), toHex('WETH'), 18);
+
+            DAI = await tokens.get.call(toHex('DAI'));
+            MKR = await tokens.get.call(toHex('MKR'));
+            WETH = await tokens.get.call(toHex('WETH'));
+
+            dai = await TToken.at(DAI);
+            mkr = await TToken.at(MKR);
+            weth = await TToken.at(WETH);
+
+            await dai.mint(admin, toWei('10000'));
+            await mkr.mint(admin, toWei('20'));
+            await weth.mint(admin, toWei('40'));
+
+            USER_PROXY = await proxyFactory.build.call();
+            await proxyFactory.build();
+            userActions = createClient(web3, {
+                proxy: USER_PROXY, target: (await BActions.deployed()).address, abi: BActions.abi, from: admin,
+            });
+            userMigrator = createClient(web3, {
+                proxy: USER_PROXY, target: (await BMigrator.deployed()).address, abi: BMigrator.abi, from: admin,
+            });
+
+            await dai.approve(USER_PROXY, MAX);
+            await mkr.approve(USER_PROXY, MAX);
+            await weth.approve(USER_PROXY, MAX);
+        });
+
+        it('moves tokens, weights and fee into a smart pool', async () => {
+            const POOL = await createPool(false);
+            const crp = await convert(POOL, []);
+
+            const bpool = await BPool.at(POOL);
+            assert.sameMembers(await bpool.getCurrentTokens(), []);
+
+            const underlying = await BPool.at(await crp.bPool());
+            assert.sameMembers(await underlying.getCurrentTokens(), [DAI, MKR, WETH]);
+            assert.equal(await underlying.getBalance(DAI), toWei('400'));
+            assert.equal(await underlying.getBalance(MKR), toWei('1'));
+            assert.equal(await underlying.getBalance(WETH), toWei('2'));
+            assert.equal(await underlying.getDenormalizedWeight(DAI), toWei('5'));
+            assert.equal(await underlying.getDenormalizedWeight(WETH), toWei('5'));
+            assert.equal(await underlying.getSwapFee(), toWei('0.03'));
+        });
+
+        it('leaves the proxy in control of the smart pool', async () => {
+            const POOL = await createPool(false);
+            const crp = await convert(POOL, []);
+
+            assert.equal(await crp.getController(), USER_PROXY);
+            assert.equal(await crp.balanceOf(admin), toWei('100'));
+            assert.equal(await crp.balanceOf(USER_PROXY), 0);
+        });
+
+        it('applies weight overrides', async () => {
+            const POOL = await createPool(false);
+            const crp = await convert(POOL, [toWei('10'), toWei('5'), toWei('5')]);
+
+            const underlying = await BPool.at(await crp.bPool());
+            assert.equal(await underlying.getDenormalizedWeight(DAI), toWei('10'));
+            assert.equal(await underlying.getDenormalizedWeight(MKR), toWei('5'));
+        });
+
+        it('fails for finalized pools', async () => {
+            const POOL = await createPool(true);
+
+            await truffleAssert.reverts(
+                convert(POOL, []),
+                'ERR_IS_FINALIZED',
+            );
+        });
+
+        it('fails with the wrong number of weights', async () => {
+            const POOL = await createPool(false);
+
+            await truffleAssert.reverts(
+                convert(POOL, [toWei('10')]),
+                'ERR_LENGTH_MISMATCH',
+            );
+        });
+    });
+});
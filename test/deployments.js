@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { version } = require('../package.json');
+const {
+    CONTRACTS,
+    artifactName,
+    loadConfig,
+    deployedContracts,
+    shouldRecord,
+    readAddressBook,
+    recordDeployment,
+    writeAddressBook,
+    getAddress,
+    getDeploymentBlock,
+    verifyBytecode,
+} = require('../lib/deployments');
+
+const BActions = artifacts.require('BActions');
+const BSwaps = artifacts.require('BSwaps');
+const CRPFactory = artifacts.require('CRPFactory');
+
+contract('Deployments', async (accounts) => {
+    describe('Config', () => {
+        it('uses the forked network config for dry runs', async () => {
+            const kovan = loadConfig('kovan');
+            assert.equal(kovan.contracts.BFactory, '0x8f7F78080219d4066A8036ccD30D588B416a40DB');
+            assert.deepEqual(loadConfig('kovan-fork'), kovan);
+            assert.throws(() => loadConfig('mainnet'), 'No deployment config for network mainnet');
+        });
+
+        it('uses the existing DSProxyFactory on recorded networks', async () => {
+            assert.equal(loadConfig('kovan').contracts.DSProxyFactory, '0xe11E3b391F7E8bC47247866aF32AF67Dd58Dc800');
+
+            const file = path.join(os.tmpdir(), `bactions-networks-${Date.now()}.json`);
+            fs.writeFileSync(file, JSON.stringify({
+                mainnet: { contracts: { WETH: accounts[1] } },
+                local: { record: false, contracts: {} },
+            }));
+            assert.throws(() => loadConfig('mainnet', file), 'No DSProxyFactory in the deployment config');
+            assert.deepEqual(loadConfig('local', file).contracts, {});
+            fs.unlinkSync(file);
+        });
+
+        it('deploys what the config does not provide', async () => {
+            assert.deepEqual(deployedContracts(loadConfig('development')), CONTRACTS);
+            assert.deepEqual(
+                deployedContracts(loadConfig('kovan')),
+                ['BActions', 'BMigrator', 'BSwaps', 'BZaps', 'BActionsGuard'],
+            );
+        });
+
+        it('records real networks only', async () => {
+            assert.isTrue(shouldRecord('kovan', loadConfig('kovan')));
+            assert.isFalse(shouldRecord('kovan-fork', loadConfig('kovan-fork')));
+            assert.isFalse(shouldRecord('development', loadConfig('development')));
+        });
+    });
+
+    describe('Address book', () => {
+        const file = path.join(os.tmpdir(), `bactions-addresses-${Date.now()}.json`);
+
+        it('records deployments by network id', async () => {
+            assert.deepEqual(readAddressBook(file), { version: 1, networks: {} });
+
+            const book = recordDeployment(readAddressBook(file), 42, 'kovan', { BActions: accounts[1] });
+            writeAddressBook(recordDeployment(book, 1, 'mainnet', { BActions: accounts[2] }), file);
+
+            const written = readAddressBook(file);
+            assert.equal(getAddress(42, 'BActions', written), accounts[1]);
+            assert.equal(getAddress(1, 'BActions', written), accounts[2]);
+            assert.equal(written.networks[42].release, version);
+            assert.isUndefined(getAddress(3, 'BActions', written));
+            assert.isUndefined(getAddress(42, 'BZaps', written));
+        });
+
+        it('records deployment blocks', async () => {
+            const blocks = { BActions: 120 };
+            const book = recordDeployment(readAddressBook(file), 42, 'kovan', { BActions: accounts[1] }, blocks);
+            assert.equal(getDeploymentBlock(42, 'BActions', book), 120);
+            assert.equal(getDeploymentBlock(42, 'DSProxyFactory', book), 0);
+            assert.equal(getDeploymentBlock(1, 'BActions', book), 0);
+            assert.equal(getDeploymentBlock(3, 'BActions', book), 0);
+        });
+
+        it('replaces redeployed networks', async () => {
+            const book = recordDeployment(readAddressBook(file), 42, 'kovan', { BZaps: accounts[3] });
+            assert.isUndefined(getAddress(42, 'BActions', book));
+            assert.equal(getAddress(42, 'BZaps', book), accounts[3]);
+            assert.equal(getAddress(1, 'BActions', book), accounts[2]);
+        });
+
+        it('rejects other address book versions', async () => {
+            fs.writeFileSync(file, JSON.stringify({ version: 2, networks: {} }));
+            assert.throws(() => readAddressBook(file), 'Address book version 2 is not supported, expected 1');
+            fs.unlinkSync(file);
+        });
+    });
+
+    describe('Bytecode verification', () => {
+        it('matches every contract the migrations deployed', async () => {
+            const results = await Promise.all(CONTRACTS.map((name) => {
+                const artifact = artifacts.require(artifactName(name));
+                return verifyBytecode(web3, artifact.toJSON(), artifact.address, artifact.links);
+            }));
+            results.forEach((ok, i) => assert.isTrue(ok, CONTRACTS[i]));
+        });
+
+        it('detects other code', async () => {
+            assert.isFalse(await verifyBytecode(web3, BSwaps.toJSON(), BActions.address));
+            assert.isFalse(await verifyBytecode(web3, BActions.toJSON(), accounts[0]));
+        });
+
+        it('detects wrong library links', async () => {
+            const links = { ...CRPFactory.links, RightsManager: accounts[0] };
+            assert.isFalse(await verifyBytecode(web3, CRPFactory.toJSON(), CRPFactory.address, links));
+        });
+    });
+});
@@ -0,0 +1,198 @@
+const { waitNBlocks, fundTokens, buildProxy } = require('./helpers');
+
+const TToken = artifacts.require('TToken');
+const BFactory = artifacts.require('BFactory');
+const CRPFactory = artifacts.require('CRPFactory');
+const ConfigurableRightsPool = artifacts.require('ConfigurableRightsPool');
+
+contract('BActions', async (accounts) => {
+    const admin = accounts[0];
+    const user = accounts[1];
+    const { toWei } = web3.utils;
+
+    const MAX = web3.utils.toTwosComplement(-1);
+
+    describe('Events', () => {
+        let FACTORY;
+        let CRP_FACTORY;
+        let USER_PROXY;
+        let userActions;
+        let POOL;
+        let SMART_POOL;
+        let dai; let mkr; let zrx; let weth;
+        let DAI; let MKR; let ZRX; let WETH;
+
+        before(async () => {
+            FACTORY = BFactory.address;
+            CRP_FACTORY = CRPFactory.address;
+
+            ({ proxy: USER_PROXY, actions: userActions } = await buildProxy(admin));
+            [dai, mkr, zrx, weth] = await fundTokens(admin, USER_PROXY, {
+                DAI: toWei('10000'), MKR: toWei('20'), ZRX: toWei('100'), WETH: toWei('40'),
+            });
+            [DAI, MKR, ZRX, WETH] = [dai, mkr, zrx, weth].map((token) => token.address);
+        });
+
+        it('decodes pool creation', async () => {
+            let actions;
+            ({ result: POOL, actions } = await userActions.create(
+                FACTORY,
+                [DAI, MKR, WETH],
+                [toWei('400'), toWei('1'), toWei('2')],
+                [toWei('5'), toWei('5'), toWei('5')],
+                toWei('0.03'),
+                false,
+            ));
+
+            assert.lengthOf(actions, 1);
+            assert.equal(actions[0].type, 'createPool');
+            assert.equal(actions[0].proxy, USER_PROXY);
+            assert.equal(actions[0].caller, admin);
+            assert.equal(actions[0].pool, POOL);
+            assert.isFalse(actions[0].finalized);
+        });
+
+        it('decodes setTokens changes', async () => {
+            const { actions } = await userActions.setTokens(
+                POOL,
+                [DAI, MKR, WETH, ZRX],
+                [toWei('400'), toWei('0'), toWei('2'), toWei('20')],
+                [toWei('5'), toWei('0'), toWei('5'), toWei('5')],
+            );
+
+            assert.lengthOf(actions, 4);
+            assert.deepEqual(actions.map((action) => action.type), Array(4).fill('setToken'));
+            assert.deepEqual(actions.map((action) => action.token), [DAI, MKR, WETH, ZRX]);
+            assert.equal(actions[1].balance, '0');
+            assert.equal(actions[3].balance, toWei('20'));
+            assert.equal(actions[3].denorm, toWei('5'));
+        });
+
+        it('decodes joins and exits', async () => {
+            let { actions } = await userActions.finalize(POOL);
+            assert.lengthOf(actions, 0);
+
+            ({ actions } = await userActions.joinPool(
+                POOL,
+                toWei('10'),
+                [toWei('50'), toWei('5'), toWei('5')],
+            ));
+            assert.lengthOf(actions, 1);
+            assert.equal(actions[0].type, 'join');
+            assert.equal(actions[0].pool, POOL);
+            assert.equal(actions[0].poolAmountOut, toWei('10'));
+
+            const pool = await TToken.at(POOL);
+            await pool.approve(USER_PROXY, MAX);
+
+            ({ actions } = await userActions.exitPool(
+                POOL,
+                toWei('5'),
+                [0, 0, 0],
+            ));
+            assert.lengthOf(actions, 1);
+            assert.equal(actions[0].type, 'exit');
+            assert.equal(actions[0].pool, POOL);
+            assert.equal(actions[0].poolAmountIn, toWei('5'));
+        });
+
+        it('decodes smart pool actions', async () => {
+            let actions;
+            ({ result: SMART_POOL, actions } = await userActions.createSmartPool(
+                CRP_FACTORY,
+                FACTORY,
+                {
+                    poolTokenSymbol: 'TEST',
+                    poolTokenName: 'Test Pool',
+                    constituentTokens: [DAI, MKR, WETH],
+                    tokenBalances: [toWei('400'), toWei('1'), toWei('4')],
+                    tokenWeights: [toWei('10'), toWei('10'), toWei('20')],
+                    swapFee: toWei('0.0015'),
+                },
+                {
+                    initialSupply: toWei('200'),
+                    minimumWeightChangeBlockPeriod: 10,
+                    addTokenTimeLockInBlocks: 10,
+                },
+                {
+                    canPauseSwapping: true,
+                    canChangeSwapFee: true,
+                    canChangeWeights: true,
+                    canAddRemoveTokens: true,
+                    canWhitelistLPs: false,
+                    canChangeCap: true,
+                },
+            ));
+
+            const crp = await ConfigurableRightsPool.at(SMART_POOL);
+            await crp.approve(USER_PROXY, MAX);
+
+            assert.lengthOf(actions, 1);
+            assert.equal(actions[0].type, 'createSmartPool');
+            assert.equal(actions[0].pool, SMART_POOL);
+            assert.equal(actions[0].bPool, await crp.bPool());
+
+            ({ actions } = await userActions.multicall([
+                userActions.setCap.encode(SMART_POOL, MAX),
+                userActions.increaseWeight.encode(SMART_POOL, MKR, toWei('15'), toWei('0.5')),
+                userActions.decreaseWeight.encode(SMART_POOL, DAI, toWei('5'), toWei('50')),
+            ]));
+            assert.deepEqual(actions.map((action) => action.type), ['updateWeight', 'updateWeight']);
+            assert.equal(actions[0].token, MKR);
+            assert.equal(actions[0].newWeight, toWei('15'));
+            assert.equal(actions[1].token, DAI);
+            assert.equal(actions[1].newWeight, toWei('5'));
+        });
+
+        it('decodes token add and remove', async () => {
+            let { actions } = await userActions.commitAddToken(
+                SMART_POOL,
+                ZRX,
+                toWei('10'),
+                toWei('5'),
+            );
+            assert.lengthOf(actions, 1);
+            assert.equal(actions[0].type, 'commitAddToken');
+            assert.equal(actions[0].token, ZRX);
+            assert.equal(actions[0].balance, toWei('10'));
+            assert.equal(actions[0].denorm, toWei('5'));
+
+            await waitNBlocks(10);
+
+            ({ actions } = await userActions.applyAddToken(SMART_POOL, ZRX, toWei('10')));
+            assert.lengthOf(actions, 1);
+            assert.equal(actions[0].type, 'applyAddToken');
+            assert.equal(actions[0].token, ZRX);
+            assert.equal(actions[0].tokenAmountIn, toWei('10'));
+
+            ({ actions } = await userActions.removeToken(SMART_POOL, ZRX, toWei('50')));
+            assert.lengthOf(actions, 1);
+            assert.equal(actions[0].type, 'removeToken');
+            assert.equal(actions[0].token, ZRX);
+        });
+
+        it('decodes gradual weight updates', async () => {
+            const currentBlock = await web3.eth.getBlockNumber();
+            const { actions } = await userActions.updateWeightsGradually(
+                SMART_POOL,
+                [toWei('10'), toWei('10'), toWei('10')],
+                currentBlock + 2,
+                currentBlock + 20,
+            );
+            assert.lengthOf(actions, 1);
+            assert.equal(actions[0].type, 'updateWeightsGradually');
+            assert.deepEqual(actions[0].newWeights, [toWei('10'), toWei('10'), toWei('10')]);
+            assert.equal(actions[0].startBlock, currentBlock + 2);
+            assert.equal(actions[0].endBlock, currentBlock + 20);
+        });
+
+        it('decodes controller changes', async () => {
+            const { actions } = await userActions.setController(SMART_POOL, user);
+
+            assert.lengthOf(actions, 1);
+            assert.equal(actions[0].type, 'setController');
+            assert.equal(actions[0].pool, SMART_POOL);
+            assert.equal(actions[0].controller, user);
+        });
+    });
+});
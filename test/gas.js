@@ -0,0 +1,43 @@
+const { compareSnapshot, formatReport, updateSnapshot } = require('../lib/gas');
+
+contract('Gas snapshots', async () => {
+    const snapshot = {
+        threshold: 0.01,
+        gasUsed: {
+            create: { 2: 100000, 3: 200000 },
+        },
+    };
+
+    it('flags actions over the threshold', async () => {
+        const comparison = compareSnapshot(snapshot, {
+            create: { 2: 101000, 3: 202001 },
+            joinPool: { 2: 5000 },
+        });
+        assert.equal(comparison.threshold, 0.01);
+        assert.deepEqual(comparison.rows.map((row) => row.change), [0.01, 0.010005, undefined]);
+        assert.deepEqual(comparison.regressions.map((row) => [row.action, row.tokens]), [['create', 3]]);
+        assert.deepEqual(comparison.missing.map((row) => [row.action, row.tokens]), [['joinPool', 2]]);
+    });
+
+    it('takes the threshold from the caller', async () => {
+        const comparison = compareSnapshot(snapshot, { create: { 2: 150000 } }, '0.5');
+        assert.deepEqual(comparison.regressions, []);
+    });
+
+    it('reports by token count', async () => {
+        const report = formatReport(compareSnapshot(snapshot, {
+            create: { 2: 99000, 3: 200000 },
+            joinPool: { 3: 5000 },
+        }));
+        assert.deepEqual(report.map((line) => line.split(/\s+/)), [
+            ['tokens', '2', '3'],
+            ['create', '99000', '-1.00%', '200000', '+0.00%'],
+            ['joinPool', '-', '5000', 'new'],
+        ]);
+    });
+
+    it('replaces the snapshot results', async () => {
+        const updated = updateSnapshot(snapshot, { joinPool: { 2: 5000 } });
+        assert.deepEqual(updated, { threshold: 0.01, gasUsed: { joinPool: { 2: 5000 } } });
+    });
+});
@@ -0,0 +1,202 @@
+const truffleAssert = require('truffle-assertions');
+const { createClient } = require('../lib/client');
+const {
+    POOL_SETTINGS, ROLES, roleSelectors, grantRole, revokeRole, hasRole,
+} = require('../lib/guard');
+const {
+    waitNBlocks, fundTokens, buildProxy, createSmartPool,
+} = require('./helpers');
+
+const BActions = artifacts.require('BActions');
+const BActionsGuard = artifacts.require('BActionsGuard');
+const DSProxy = artifacts.require('DSProxy');
+const BPool = artifacts.require('BPool');
+const ConfigurableRightsPool = artifacts.require('ConfigurableRightsPool');
+
+contract('BActionsGuard', async (accounts) => {
+    const owner = accounts[0];
+    const [, operator, stranger, newOwner] = accounts;
+    const { toWei } = web3.utils;
+
+    describe('Roles', () => {
+        it('resolves role selectors', async () => {
+            const selectors = roleSelectors(web3, BActions.abi, 'poolOperator');
+            assert.lengthOf(selectors, ROLES.poolOperator.length);
+            assert.equal(selectors[0], web3.eth.abi.encodeFunctionSignature('setSwapFee(address,uint256)'));
+            assert.deepEqual(
+                roleSelectors(web3, BActions.abi, ['pokeWeights']),
+                [web3.eth.abi.encodeFunctionSignature('pokeWeights(address)')],
+            );
+        });
+
+        it('rejects actions that do not take a pool first', async () => {
+            assert.throws(() => roleSelectors(web3, BActions.abi, 'admin'), 'Unknown role admin');
+            assert.throws(() => roleSelectors(web3, BActions.abi, ['sweep']), 'sweep is not an action');
+            assert.throws(() => roleSelectors(web3, BActions.abi, ['create']), 'create does not take a pool first');
+            assert.throws(() => roleSelectors(web3, BActions.abi, ['multicall']), 'multicall does not take');
+        });
+
+        it('rejects actions that move funds or control', async () => {
+            ['setController', 'removeToken', 'exitPool', 'joinPool', 'applyAddToken'].forEach((name) => {
+                assert.throws(() => roleSelectors(web3, BActions.abi, [name]), `${name} is not a pool setting`);
+            });
+            assert.lengthOf(roleSelectors(web3, BActions.abi, POOL_SETTINGS), POOL_SETTINGS.length);
+        });
+    });
+
+    describe('Delegating pool management', () => {
+        let guard;
+        let GUARD;
+        let proxy;
+        let OWNER_PROXY;
+        let ownerActions;
+        let operatorActions;
+        let guarded;
+        let CRP;
+        let OTHER_CRP;
+        let DAI; let MKR;
+
+        function createCrp() {
+            return createSmartPool(ownerActions, {
+                symbol: 'OPS',
+                name: 'Operated Pool',
+                tokens: [DAI, MKR],
+                balances: [toWei('100'), toWei('1')],
+                weights: [toWei('10'), toWei('10')],
+                rights: {
+                    canPauseSwapping: true,
+                    canChangeSwapFee: true,
+                    canChangeWeights: true,
+                    canAddRemoveTokens: true,
+                },
+            });
+        }
+
+        before(async () => {
+            guard = await BActionsGuard.deployed();
+            GUARD = guard.address;
+
+            ({ proxy: OWNER_PROXY, actions: ownerActions } = await buildProxy(owner));
+            proxy = await DSProxy.at(OWNER_PROXY);
+            [DAI, MKR] = (await fundTokens(owner, OWNER_PROXY, { DAI: toWei('1000'), MKR: toWei('10') }))
+                .map((token) => token.address);
+
+            guarded = {
+                guard: GUARD, proxy: OWNER_PROXY, target: BActions.address, abi: BActions.abi, from: owner,
+            };
+            operatorActions = createClient(web3, { ...guarded, from: operator });
+
+            CRP = await createCrp();
+            OTHER_CRP = await createCrp();
+            await grantRole(web3, guarded, 'poolOperator', operator, [CRP]);
+        });
+
+        it('makes the guard the proxy authority', async () => {
+            assert.equal(await proxy.authority(), GUARD);
+            const EXECUTE = web3.eth.abi.encodeFunctionSignature('execute(address,bytes)');
+            assert.isTrue(await guard.canCall(GUARD, OWNER_PROXY, EXECUTE));
+            const SET_OWNER = web3.eth.abi.encodeFunctionSignature('setOwner(address)');
+            assert.isFalse(await guard.canCall(GUARD, OWNER_PROXY, SET_OWNER));
+            assert.isFalse(await guard.canCall(operator, OWNER_PROXY, EXECUTE));
+
+            assert.isTrue(await hasRole(web3, guarded, 'poolOperator', operator, CRP));
+            assert.isFalse(await hasRole(web3, guarded, 'poolOperator', operator, OTHER_CRP));
+            assert.isFalse(await hasRole(web3, guarded, 'poolOperator', stranger, CRP));
+        });
+
+        it('lets the operator manage the permitted pool', async () => {
+            const crp = await ConfigurableRightsPool.at(CRP);
+            const bpool = await BPool.at(await crp.bPool());
+
+            await operatorActions.setSwapFee(CRP, toWei('0.01'));
+            assert.equal(await bpool.getSwapFee(), toWei('0.01'));
+
+            await operatorActions.setPublicSwap(CRP, false);
+            assert.isFalse(await bpool.isPublicSwap());
+            await operatorActions.setPublicSwap(CRP, true);
+
+            const startBlock = await web3.eth.getBlockNumber() + 1;
+            await ownerActions.updateWeightsGradually(CRP, [toWei('15'), toWei('5')], startBlock, startBlock + 20);
+            await waitNBlocks(4);
+            const { receipt } = await operatorActions.pokeWeights(CRP);
+            const elapsed = receipt.blockNumber - startBlock;
+            assert.equal(await bpool.getDenormalizedWeight(DAI), toWei(String(10 + elapsed * 0.25)));
+        });
+
+        it('keeps the operator to its role and pools', async () => {
+            await truffleAssert.reverts(operatorActions.setSwapFee(OTHER_CRP, toWei('0.01')), 'ERR_NOT_PERMITTED');
+            await truffleAssert.reverts(operatorActions.setController(CRP, operator), 'ERR_NOT_PERMITTED');
+            await truffleAssert.reverts(operatorActions.removeToken(CRP, MKR, toWei('1')), 'ERR_NOT_PERMITTED');
+            await truffleAssert.reverts(
+                operatorActions.multicall([ownerActions.setController.encode(CRP, operator)]),
+                'ERR_NOT_PERMITTED',
+            );
+            await truffleAssert.reverts(
+                createClient(web3, { ...guarded, from: stranger }).setSwapFee(CRP, toWei('0.01')),
+                'ERR_NOT_PERMITTED',
+            );
+            assert.equal(await (await ConfigurableRightsPool.at(CRP)).getController(), OWNER_PROXY);
+        });
+
+        it('keeps the operator off the proxy itself', async () => {
+            const data = ownerActions.setController.encode(CRP, operator);
+            await truffleAssert.reverts(
+                proxy.methods['execute(address,bytes)'](BActions.address, data, { from: operator }),
+                'ds-auth-unauthorized',
+            );
+            await truffleAssert.reverts(
+                guard.execute(OWNER_PROXY, BActions.address, '0x', { from: operator }),
+                'ERR_NO_POOL_ARGUMENT',
+            );
+        });
+
+        it('only takes permissions from the proxy owner', async () => {
+            const sigs = roleSelectors(web3, BActions.abi, 'poolOperator');
+            await truffleAssert.reverts(
+                guard.permit(OWNER_PROXY, stranger, BActions.address, sigs, [CRP], { from: operator }),
+                'ERR_NOT_PROXY_OWNER',
+            );
+            await truffleAssert.reverts(
+                grantRole(web3, { ...guarded, from: operator }, 'poolOperator', operator, [OTHER_CRP]),
+                'ERR_NOT_PROXY_OWNER',
+            );
+        });
+
+        it('only permits pool settings', async () => {
+            const sigs = [
+                'setController(address,address)',
+                'removeToken(address,address,uint256)',
+                'exitPool(address,uint256,uint256[])',
+                'joinSmartPool(address,uint256,uint256[])',
+            ].map((signature) => web3.eth.abi.encodeFunctionSignature(signature));
+            await Promise.all(sigs.map((sig) => truffleAssert.reverts(
+                guard.permit(OWNER_PROXY, operator, BActions.address, [sig], [CRP], { from: owner }),
+                'ERR_NOT_POOL_SETTING',
+            )));
+            assert.isFalse(await guard.isPermitted(OWNER_PROXY, operator, BActions.address, sigs[0], CRP));
+
+            const settings = roleSelectors(web3, BActions.abi, POOL_SETTINGS);
+            const permitted = await Promise.all(settings.map((sig) => guard.isPoolSetting(sig)));
+            assert.isTrue(permitted.every((allowed) => allowed));
+        });
+
+        it('revokes roles', async () => {
+            await grantRole(web3, guarded, 'poolOperator', operator, [OTHER_CRP]);
+            await operatorActions.setSwapFee(OTHER_CRP, toWei('0.02'));
+
+            await revokeRole(web3, guarded, 'poolOperator', operator, [OTHER_CRP]);
+            assert.isFalse(await hasRole(web3, guarded, 'poolOperator', operator, OTHER_CRP));
+            assert.isTrue(await hasRole(web3, guarded, 'poolOperator', operator, CRP));
+            await truffleAssert.reverts(operatorActions.setSwapFee(OTHER_CRP, toWei('0.01')), 'ERR_NOT_PERMITTED');
+        });
+
+        it('drops permissions when the proxy changes hands', async () => {
+            await proxy.setOwner(newOwner, { from: owner });
+            assert.isFalse(await hasRole(web3, guarded, 'poolOperator', operator, CRP));
+            await truffleAssert.reverts(operatorActions.setSwapFee(CRP, toWei('0.01')), 'ERR_NOT_PERMITTED');
+
+            await proxy.setOwner(owner, { from: newOwner });
+            assert.isTrue(await hasRole(web3, guarded, 'poolOperator', operator, CRP));
+        });
+    });
+});
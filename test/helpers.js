@@ -0,0 +1,106 @@
+// Fixtures shared by the tests: mining blocks, test tokens, proxies and smart pools.
+// Artifacts and web3 are the truffle test globals, looked up when a helper runs:
+//
+//   const { proxy: PROXY, actions } = await buildProxy(admin);
+//   const [dai, mkr] = await fundTokens(admin, PROXY, { DAI: toWei('1000'), MKR: toWei('10') });
+//   const CRP = await createSmartPool(actions, { tokens: [dai.address, mkr.address], balances, weights });
+
+const util = require('util');
+const { createClient } = require('../lib/client');
+
+const NO_RIGHTS = {
+    canPauseSwapping: false,
+    canChangeSwapFee: false,
+    canChangeWeights: false,
+    canAddRemoveTokens: false,
+    canWhitelistLPs: false,
+    canChangeCap: false,
+};
+
+async function waitNBlocks(n) {
+    const send = util.promisify(web3.currentProvider.send);
+    await Promise.all(
+        [...Array(n).keys()].map((i) => send({
+            jsonrpc: '2.0',
+            method: 'evm_mine',
+            id: i,
+        })),
+    );
+}
+
+// TToken `symbol` of the TTokenFactory, building it anew
+async function buildToken(symbol, decimals = 18) {
+    const { toHex } = web3.utils;
+    const tokenFactory = await artifacts.require('TTokenFactory').deployed();
+    await tokenFactory.build(toHex(symbol), toHex(symbol), decimals);
+    return artifacts.require('TToken').at(await tokenFactory.get.call(toHex(symbol)));
+}
+
+// Builds `amounts` (symbol => amount in token units of 18 decimals, or [amount, decimals]),
+// mints them to `owner` and approves `proxy` for all of them. Returns the tokens in order
+async function fundTokens(owner, proxy, amounts) {
+    const MAX = web3.utils.toTwosComplement(-1);
+    const symbols = Object.keys(amounts);
+    const tokens = await symbols.reduce(async (built, symbol) => {
+        const [, decimals] = [].concat(amounts[symbol]);
+        return [...await built, await buildToken(symbol, decimals)];
+    }, Promise.resolve([]));
+    await Promise.all(tokens.map(async (token, i) => {
+        const [amount] = [].concat(amounts[symbols[i]]);
+        await token.mint(owner, amount);
+        await token.approve(proxy, MAX, { from: owner });
+    }));
+    return tokens;
+}
+
+// Builds a DSProxy for `owner`, with a client running `target` (BActions by default) through it
+async function buildProxy(owner, target = artifacts.require('BActions')) {
+    const proxyFactory = await artifacts.require('DSProxyFactory').deployed();
+    const proxy = await proxyFactory.build.call({ from: owner });
+    await proxyFactory.build({ from: owner });
+    return {
+        proxy,
+        actions: createClient(web3, {
+            proxy, target: target.address, abi: target.abi, from: owner,
+        }),
+    };
+}
+
+// Creates a smart pool through `actions` and returns its address. Rights default to none,
+// the swap fee to 0.3%, the initial supply to 100 and both time locks to 10 blocks
+async function createSmartPool(actions, {
+    tokens,
+    balances,
+    weights,
+    symbol = 'TEST',
+    name = 'Test Pool',
+    swapFee = web3.utils.toWei('0.003'),
+    initialSupply = web3.utils.toWei('100'),
+    minimumWeightChangeBlockPeriod = 10,
+    addTokenTimeLockInBlocks = 10,
+    rights = {},
+}) {
+    const { result } = await actions.createSmartPool(
+        artifacts.require('CRPFactory').address,
+        artifacts.require('BFactory').address,
+        {
+            poolTokenSymbol: symbol,
+            poolTokenName: name,
+            constituentTokens: tokens,
+            tokenBalances: balances,
+            tokenWeights: weights,
+            swapFee,
+        },
+        { initialSupply, minimumWeightChangeBlockPeriod, addTokenTimeLockInBlocks },
+        { ...NO_RIGHTS, ...rights },
+    );
+    return result;
+}
+
+module.exports = {
+    waitNBlocks,
+    buildToken,
+    fundTokens,
+    buildProxy,
+    createSmartPool,
+};
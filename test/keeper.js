@@ -0,0 +1,144 @@
+const truffleAssert = require('truffle-assertions');
+const { createKeeper } = require('../lib/keeper');
+const { run } = require('../lib/cli');
+const {
+    waitNBlocks, fundTokens, buildProxy, createSmartPool,
+} = require('./helpers');
+
+const BFactory = artifacts.require('BFactory');
+const BActions = artifacts.require('BActions');
+const BPool = artifacts.require('BPool');
+const ConfigurableRightsPool = artifacts.require('ConfigurableRightsPool');
+
+contract('Weight keeper', async (accounts) => {
+    const creator = accounts[0];
+    const user = accounts[1];
+    const { toWei } = web3.utils;
+
+    describe('Poking gradual weight updates', () => {
+        let creatorActions;
+        let CREATOR_PROXY;
+        let DAI; let MKR;
+        let fromBlock;
+
+        function createCrp() {
+            return createSmartPool(creatorActions, {
+                symbol: 'KEEP',
+                name: 'Kept Pool',
+                tokens: [DAI, MKR],
+                balances: [toWei('100'), toWei('1')],
+                weights: [toWei('10'), toWei('10')],
+                rights: { canChangeWeights: true },
+            });
+        }
+
+        function keeper(options) {
+            return createKeeper(web3, {
+                proxy: CREATOR_PROXY, target: BActions.address, abi: BActions.abi, from: creator, fromBlock, ...options,
+            });
+        }
+
+        before(async () => {
+            ({ proxy: CREATOR_PROXY, actions: creatorActions } = await buildProxy(creator));
+            [DAI, MKR] = (await fundTokens(creator, CREATOR_PROXY, { DAI: toWei('1000'), MKR: toWei('10') }))
+                .map((token) => token.address);
+            fromBlock = await web3.eth.getBlockNumber();
+        });
+
+        it('pokes only smart pools', async () => {
+            await truffleAssert.reverts(creatorActions.pokeWeights(BFactory.address), 'ERR_UNKNOWN_CRP');
+        });
+
+        it('moves the weights of a pool', async () => {
+            const CRP = await createCrp();
+            const bpool = await BPool.at(await (await ConfigurableRightsPool.at(CRP)).bPool());
+            const startBlock = await web3.eth.getBlockNumber() + 1;
+            await creatorActions.updateWeightsGradually(CRP, [toWei('15'), toWei('5')], startBlock, startBlock + 20);
+
+            await waitNBlocks(4);
+            const poke = await creatorActions.pokeWeights(CRP);
+            const elapsed = poke.receipt.blockNumber - startBlock;
+            assert.equal(await bpool.getDenormalizedWeight(DAI), toWei(String(10 + elapsed * 0.25)));
+            assert.equal(await bpool.getDenormalizedWeight(MKR), toWei(String(10 - elapsed * 0.25)));
+        });
+
+        it('tracks the smart pools the proxy controls', async () => {
+            const [KEPT, GIVEN_AWAY] = [await createCrp(), await createCrp()];
+            await creatorActions.setController(GIVEN_AWAY, user);
+
+            const pools = await keeper().findPools();
+            assert.include(pools, KEPT);
+            assert.notInclude(pools, GIVEN_AWAY);
+
+            const recent = await keeper({ fromBlock: await web3.eth.getBlockNumber() + 1, pools: [KEPT] }).findPools();
+            assert.deepEqual(recent, [KEPT]);
+        });
+
+        it('finds active schedules and pokes the due ones', async () => {
+            const kept = keeper({ fromBlock: await web3.eth.getBlockNumber(), interval: 5 });
+            const CRP = await createCrp();
+            const crp = await ConfigurableRightsPool.at(CRP);
+            const bpool = await BPool.at(await crp.bPool());
+            assert.deepEqual(await kept.schedules(await web3.eth.getBlockNumber()), []);
+
+            const startBlock = await web3.eth.getBlockNumber() + 5;
+            await creatorActions.updateWeightsGradually(CRP, [toWei('15'), toWei('5')], startBlock, startBlock + 10);
+            const [schedule] = await kept.schedules(await web3.eth.getBlockNumber());
+            assert.deepEqual(schedule, {
+                pool: CRP, startBlock, endBlock: startBlock + 10, due: false,
+            });
+            assert.deepEqual((await kept.poke()).pools, []);
+
+            await waitNBlocks(5);
+            const poke = await kept.tick();
+            assert.deepEqual(poke.pools, [CRP]);
+            const elapsed = poke.receipt.blockNumber - startBlock;
+            assert.equal(await bpool.getDenormalizedWeight(DAI), toWei(String(10 + elapsed * 0.5)));
+
+            assert.isUndefined(await kept.tick());
+            await waitNBlocks(10);
+            assert.deepEqual((await kept.tick()).pools, [CRP]);
+            assert.equal(await bpool.getDenormalizedWeight(DAI), toWei('15'));
+            assert.equal(await bpool.getDenormalizedWeight(MKR), toWei('5'));
+            assert.deepEqual(await kept.schedules(await web3.eth.getBlockNumber()), []);
+        });
+
+        it('keeps poking until stopped', async () => {
+            const kept = keeper({ fromBlock: await web3.eth.getBlockNumber() });
+            const CRP = await createCrp();
+            const block = await web3.eth.getBlockNumber();
+            await creatorActions.updateWeightsGradually(CRP, [toWei('15'), toWei('5')], block, block + 10);
+
+            const poked = await new Promise((resolve, reject) => {
+                const stop = kept.start({
+                    pollInterval: 10,
+                    onPoke: (result) => {
+                        stop();
+                        resolve(result.pools);
+                    },
+                    onError: (error) => {
+                        stop();
+                        reject(error);
+                    },
+                });
+            });
+            assert.deepEqual(poked, [CRP]);
+        });
+
+        it('pokes once from the command line', async () => {
+            const CRP = await createCrp();
+            const block = await web3.eth.getBlockNumber();
+            await creatorActions.updateWeightsGradually(CRP, [toWei('15'), toWei('5')], block, block + 10);
+
+            const lines = [];
+            const result = await run(['keeper', '--once', '--from', creator, '--proxy', CREATOR_PROXY], {
+                web3,
+                artifacts: (name) => artifacts.require(name),
+                log: (line) => lines.push(line),
+            });
+            assert.include(result.pools, CRP);
+            assert.match(lines[0], new RegExp(`^block \\d+: poked .*${CRP}`));
+            assert.equal(lines[1], `tx: ${result.receipt.transactionHash}`);
+        });
+    });
+});
@@ -0,0 +1,157 @@
+const truffleAssert = require('truffle-assertions');
+const { decodeActions } = require('../lib/events');
+const { lbpArgs } = require('../lib/lbp');
+const { waitNBlocks, fundTokens, buildProxy } = require('./helpers');
+
+const BFactory = artifacts.require('BFactory');
+const CRPFactory = artifacts.require('CRPFactory');
+const BActions = artifacts.require('BActions');
+const BPool = artifacts.require('BPool');
+const ConfigurableRightsPool = artifacts.require('ConfigurableRightsPool');
+
+contract('BActions', async (accounts) => {
+    const creator = accounts[0];
+    const user = accounts[1];
+    const { toWei } = web3.utils;
+
+    describe('Liquidity bootstrapping pools', () => {
+        let creatorActions;
+        let CREATOR_PROXY;
+        let XYZ; let DAI;
+        let xyz; let dai;
+
+        before(async () => {
+            ({ proxy: CREATOR_PROXY, actions: creatorActions } = await buildProxy(creator));
+            [xyz, dai] = await fundTokens(creator, CREATOR_PROXY, { XYZ: toWei('10000'), DAI: toWei('10000') });
+            XYZ = xyz.address;
+            DAI = dai.address;
+        });
+
+        async function launch(options) {
+            const startBlock = await web3.eth.getBlockNumber() + 1;
+            const args = lbpArgs({
+                symbol: 'XYZLBP',
+                name: 'XYZ Launch',
+                tokens: [XYZ, DAI],
+                balances: [toWei('900'), toWei('100')],
+                startWeights: [90, 10],
+                endWeights: [30, 70],
+                startBlock,
+                durationBlocks: 20,
+                minimumWeightChangeBlockPeriod: 10,
+                ...options,
+            });
+            const tx = await creatorActions.createLiquidityBootstrappingPool(
+                CRPFactory.address, BFactory.address, ...args,
+            );
+            const crp = await ConfigurableRightsPool.at(tx.result);
+            const bpool = await BPool.at(await crp.bPool());
+            return {
+                tx, crp, bpool, startBlock,
+            };
+        }
+
+        it('turns percentages and a duration into the action arguments', async () => {
+            const [poolParams, crpParams, rights, schedule] = lbpArgs({
+                symbol: 'XYZLBP',
+                name: 'XYZ Launch',
+                tokens: [XYZ, DAI],
+                balances: [toWei('900'), toWei('100')],
+                startWeights: [96, 4],
+                endWeights: ['33.333333', '66.666667'],
+                startBlock: 100,
+                durationBlocks: 5760,
+                totalWeight: 25,
+                cap: toWei('1000'),
+            });
+
+            assert.deepEqual(poolParams.tokenWeights, [toWei('24'), toWei('1')]);
+            assert.equal(poolParams.swapFee, toWei('0.003'));
+            assert.deepEqual(crpParams, {
+                initialSupply: toWei('100'),
+                minimumWeightChangeBlockPeriod: '5760',
+                addTokenTimeLockInBlocks: '5760',
+            });
+            assert.deepEqual(rights, {
+                canPauseSwapping: false,
+                canChangeSwapFee: false,
+                canChangeWeights: true,
+                canAddRemoveTokens: false,
+                canWhitelistLPs: false,
+                canChangeCap: true,
+            });
+            assert.deepEqual(schedule, {
+                endWeights: [toWei('8.33333325'), toWei('16.66666675')],
+                startBlock: '100',
+                endBlock: '5860',
+                cap: toWei('1000'),
+                whitelist: [],
+                publicSwap: true,
+            });
+        });
+
+        it('rejects weights the pool cannot take', async () => {
+            const args = {
+                tokens: [XYZ, DAI],
+                balances: [toWei('900'), toWei('100')],
+                startWeights: [90, 10],
+                endWeights: [30, 70],
+                startBlock: 100,
+                durationBlocks: 20,
+            };
+            assert.throws(() => lbpArgs({ ...args, endWeights: [30, 60] }), 'End weights add up to 90%, not 100%');
+            assert.throws(() => lbpArgs({ ...args, startWeights: [99, 1] }), 'under the minimum weight');
+            assert.throws(() => lbpArgs({ ...args, totalWeight: 60 }), 'over the maximum total weight');
+            assert.throws(
+                () => lbpArgs({ ...args, minimumWeightChangeBlockPeriod: 30 }),
+                'Duration is shorter than the minimum weight change period',
+            );
+        });
+
+        it('creates the pool and schedules its weights', async () => {
+            const {
+                tx, crp, bpool, startBlock,
+            } = await launch();
+
+            assert.equal(await bpool.getDenormalizedWeight(XYZ), toWei('45'));
+            assert.equal(await bpool.getDenormalizedWeight(DAI), toWei('5'));
+            assert.isTrue(await bpool.isPublicSwap());
+            assert.equal(await crp.balanceOf(creator), toWei('100'));
+
+            const { startBlock: scheduledStart, endBlock } = await crp.gradualUpdate();
+            assert.equal(scheduledStart, startBlock);
+            assert.equal(endBlock, startBlock + 20);
+            assert.deepEqual(
+                decodeActions(web3, BActions.abi, tx.receipt).map((action) => action.type),
+                ['createSmartPool', 'updateWeightsGradually'],
+            );
+
+            await waitNBlocks(20);
+            await crp.pokeWeights({ from: user });
+            assert.equal(await bpool.getDenormalizedWeight(XYZ), toWei('15'));
+            assert.equal(await bpool.getDenormalizedWeight(DAI), toWei('35'));
+        });
+
+        it('sets the cap and whitelist and pauses swapping', async () => {
+            const { crp, bpool } = await launch({
+                cap: toWei('500'),
+                whitelist: [user],
+                publicSwap: false,
+            });
+
+            assert.equal(await crp.bspCap(), toWei('500'));
+            assert.isTrue(await crp.canProvideLiquidity(user));
+            assert.isFalse(await crp.canProvideLiquidity(accounts[2]));
+            assert.isFalse(await bpool.isPublicSwap());
+        });
+
+        it('leaves nothing behind when a setting fails', async () => {
+            const balance = await xyz.balanceOf(creator);
+            await truffleAssert.reverts(
+                launch({ publicSwap: false, rights: { canPauseSwapping: false } }),
+                'ERR_NOT_PAUSABLE_SWAP',
+            );
+            assert.equal((await xyz.balanceOf(creator)).toString(), balance.toString());
+        });
+    });
+});
@@ -0,0 +1,172 @@
+const truffleAssert = require('truffle-assertions');
+const { createClient } = require('../lib/client');
+const { fetchPool, calcAmountsOut, exitPoolArgs } = require('../lib/bounds');
+
+const TToken = artifacts.require('TToken');
+const TTokenFactory = artifacts.require('TTokenFactory');
+const BFactory = artifacts.require('BFactory');
+const CRPFactory = artifacts.require('CRPFactory');
+const BActions = artifacts.require('BActions');
+const BMigrator = artifacts.require('BMigrator');
+const DSProxyFactory = artifacts.require('DSProxyFactory');
+const BPool = artifacts.require('BPool');
+const ConfigurableRightsPool = artifacts.require('ConfigurableRightsPool');
+
+contract('BMigrator', async (accounts) => {
+    const admin = accounts[0];
+    const trader = accounts[1];
+    const { toHex, toWei, toBN } = web3.utils;
+
+    const MAX = web3.utils.toTwosComplement(-1);
+
+    describe('Shared pool migration', () => {
+        let CRP_FACTORY;
+        let USER_PROXY;
+        let userActions;
+        let userMigrator;
+        let POOL;
+        let bpool;
+        let dai; let mkr;
+        let DAI; let MKR;
+
+        const crpParams = {
+            initialSupply: toWei('1000'),
+            minimumWeightChangeBlockPeriod: 10,
+            addTokenTimeLockInBlocks: 10,
+        };
+        const rights = {
+            canPauseSwapping: true,
+            canChangeSwapFee: true,
+            canChangeWeights: true,
+            canAddRemoveTokens: true,
+            canWhitelistLPs: false,
+            canChangeCap: false,
+        };
+
+        function migrate(poolAmountIn, minAmountsOut, tokenBalances, {
+            constituentTokens = [DAI, MKR], minPoolAmountOut = crpParams.initialSupply,
+        } = {}) {
+            const poolParams = {
+                poolTokenSymbol: 'MIG',
+                poolTokenName: 'Migrated Pool',
+                constituentTokens,
+                tokenBalances,
+                tokenWeights: [toWei('5'), toWei('5')],
+                swapFee: toWei('0.003'),
+            };
+            return userMigrator.migrateToSmartPool(
+                POOL, poolAmountIn, minAmountsOut, CRP_FACTORY, poolParams, crpParams, rights, minPoolAmountOut,
+            );
+        }
+
+        before(async () => {
+            CRP_FACTORY = (await CRPFactory.deployed()).address;
+            const FACTORY = (await BFactory.deployed()).address;
+
+            const tokens = await TTokenFactory.deployed();
+            await tokens.build(toHex('DAI'), toHex('DAI'), 18);
+            await tokens.build(toHex('MKR'), toHex('MKR'), 18);
+            DAI = await tokens.get.call(toHex('DAI'));
+            MKR = await tokens.get.call(toHex('MKR'));
+            dai = await TToken.at(DAI);
+            mkr = await TToken.at(MKR);
+
+            await dai.mint(admin, toWei('1000'));
+            await mkr.mint(admin, toWei('10'));
+
+            const proxyFactory = await DSProxyFactory.deployed();
+            USER_PROXY = await proxyFactory.build.call();
+            await proxyFactory.build();
+            userActions = createClient(web3, {
+                proxy: USER_PROXY, target: (await BActions.deployed()).address, abi: BActions.abi, from: admin,
+            });
+            userMigrator = createClient(web3, {
+                proxy: USER_PROXY, target: (await BMigrator.deployed()).address, abi: BMigrator.abi, from: admin,
+            });
+
+            await dai.approve(USER_PROXY, MAX);
+            await mkr.approve(USER_PROXY, MAX);
+
+            ({ result: POOL } = await userActions.create(
+                FACTORY, [DAI, MKR], [toWei('400'), toWei('2')], [toWei('5'), toWei('5')], toWei('0.003'), true,
+            ));
+
+            bpool = await BPool.at(POOL);
+            await bpool.approve(USER_PROXY, MAX);
+        });
+
+        it('moves shared pool liquidity into a new smart pool', async () => {
+            const [, , minAmountsOut] = exitPoolArgs(await fetchPool(web3, POOL), toWei('50'), '0');
+            const { result: CRP } = await migrate(toWei('50'), minAmountsOut, [toWei('200'), toWei('1')]);
+
+            const crp = await ConfigurableRightsPool.at(CRP);
+            const underlying = await BPool.at(await crp.bPool());
+
+            assert.equal(await bpool.balanceOf(admin), toWei('50'));
+            assert.equal(await crp.balanceOf(admin), toWei('1000'));
+            assert.equal(await underlying.getBalance(DAI), toWei('200'));
+            assert.equal(await underlying.getBalance(MKR), toWei('1'));
+            assert.equal(await crp.getController(), USER_PROXY);
+
+            // 1000 minted - 400 seeded, everything exited went into the smart pool
+            assert.equal(await dai.balanceOf(admin), toWei('600'));
+            assert.equal(await mkr.balanceOf(admin), toWei('8'));
+            assert.equal(await dai.balanceOf(USER_PROXY), 0);
+            assert.equal(await mkr.balanceOf(USER_PROXY), 0);
+        });
+
+        it('refunds what the smart pool does not take', async () => {
+            // Tokens the proxy already holds stay out of the migration
+            await dai.mint(USER_PROXY, toWei('1'));
+
+            const amountsOut = calcAmountsOut(await fetchPool(web3, POOL), toWei('10'));
+            assert.deepEqual(amountsOut, [toWei('40'), toWei('0.2')]);
+            const { result: CRP } = await migrate(toWei('10'), amountsOut, [toWei('30'), toWei('0.15')]);
+
+            const underlying = await BPool.at(await (await ConfigurableRightsPool.at(CRP)).bPool());
+            assert.equal(await underlying.getBalance(DAI), toWei('30'));
+            assert.equal(await underlying.getBalance(MKR), toWei('0.15'));
+            assert.equal(await dai.balanceOf(admin), toWei('610'));
+            assert.equal(await mkr.balanceOf(admin), toWei('8.05'));
+            assert.equal(await dai.balanceOf(USER_PROXY), toWei('1'));
+            assert.equal(await mkr.balanceOf(USER_PROXY), 0);
+        });
+
+        it('only seeds what the exit returned', async () => {
+            const amountsOut = calcAmountsOut(await fetchPool(web3, POOL), toWei('10'));
+            const tokenBalances = [toBN(amountsOut[0]).addn(1).toString(), amountsOut[1]];
+            await truffleAssert.reverts(
+                migrate(toWei('10'), amountsOut, tokenBalances),
+                'ERR_BALANCE_ABOVE_EXIT',
+            );
+        });
+
+        it('reverts below the minimum pool shares', async () => {
+            const amountsOut = calcAmountsOut(await fetchPool(web3, POOL), toWei('10'));
+            await truffleAssert.reverts(
+                migrate(toWei('10'), amountsOut, amountsOut, { minPoolAmountOut: toWei('1001') }),
+                'ERR_LIMIT_OUT',
+            );
+        });
+
+        it('reverts when the pool moves after the quote', async () => {
+            const [, , minAmountsOut] = exitPoolArgs(await fetchPool(web3, POOL), toWei('10'), '0.01');
+
+            await dai.mint(trader, toWei('50'));
+            await dai.approve(POOL, MAX, { from: trader });
+            await bpool.swapExactAmountIn(DAI, toWei('50'), MKR, 0, MAX, { from: trader });
+
+            await truffleAssert.reverts(migrate(toWei('10'), minAmountsOut, minAmountsOut), 'ERR_LIMIT_OUT');
+        });
+
+        it('needs the pool tokens in pool order', async () => {
+            const amountsOut = calcAmountsOut(await fetchPool(web3, POOL), toWei('10'));
+            await truffleAssert.reverts(
+                migrate(toWei('10'), amountsOut, amountsOut, { constituentTokens: [MKR, DAI] }),
+                'ERR_NOT_BOUND',
+            );
+            await truffleAssert.reverts(migrate(toWei('10'), [0], amountsOut), 'ERR_LENGTH_MISMATCH');
+            await truffleAssert.reverts(migrate(toWei('10'), amountsOut, [0]), 'ERR_LENGTH_MISMATCH');
+        });
+    });
+});
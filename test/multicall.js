@@ -0,0 +1,208 @@
+const truffleAssert = require('truffle-assertions');
+const { createClient } = require('../lib/client');
+
+const TToken = artifacts.require('TToken');
+const TTokenFactory = artifacts.require('TTokenFactory');
+const BFactory = artifacts.require('BFactory');
+const CRPFactory = artifacts.require('CRPFactory');
+const BActions = artifacts.require('BActions');
+const BSwaps = artifacts.require('BSwaps');
+const DSProxyFactory = artifacts.require('DSProxyFactory');
+const BPool = artifacts.require('BPool');
+const ConfigurableRightsPool = artifacts.require('ConfigurableRightsPool');
+
+contract('BActions', async (accounts) => {
+    const admin = accounts[0];
+    const user = accounts[1];
+    const { toHex, toWei } = web3.utils;
+
+    const MAX = web3.utils.toTwosComplement(-1);
+
+    describe('Multicall', () => {
+        let factory;
+        let FACTORY;
+        let crpFactory;
+        let CRP_FACTORY;
+        let proxyFactory;
+        let bactions;
+        let BACTIONS;
+        let tokens;
+        let USER_PROXY;
+        let userActions;
+        let POOL;
+        let SMART_POOL;
+        let dai; let mkr; let zrx; let weth;
+        let DAI; let MKR; let ZRX; let WETH;
+
+        before(async () => {
+            proxyFactory = await DSProxyFactory.deployed();
+
+            bactions = await BActions.deployed();
+            BACTIONS = bactions.address;
+
+            tokens = await TTokenFactory.deployed();
+            factory = await BFactory.deployed();
+            FACTORY = factory.address;
+
+            crpFactory = await CRPFactory.deployed();
+            CRP_FACTORY = crpFactory.address;
+
+            await tokens.build(toHex('DAI'), toHex('DAI'), 18);
+            await tokens.build(toHex('MKR'), toHex('MKR'), 18);
+            await tokens.build(toHex('ZRX'), toHex('ZRX'), 18);
+            await tokens.build(toHex('WETH'), toHex('WETH'), 18);
+
+            DAI = await tokens.get.call(toHex('DAI'));
+            MKR = await tokens.get.call(toHex('MKR'));
+            ZRX = await tokens.get.call(toHex('ZRX'));
+            WETH = await tokens.get.call(toHex('WETH'));
+
+            dai = await TToken.at(DAI);
+            mkr = await TToken.at(MKR);
+            zrx = await TToken.at(ZRX);
+            weth = await TToken.at(WETH);
+
+            await dai.mint(admin, toWei('10000'));
+            await mkr.mint(admin, toWei('20'));
+            await zrx.mint(admin, toWei('100'));
+            await weth.mint(admin, toWei('40'));
+
+            USER_PROXY = await proxyFactory.build.call();
+            await proxyFactory.build();
+            userActions = createClient(web3, {
+                proxy: USER_PROXY, target: BACTIONS, abi: BActions.abi, from: admin,
+            });
+
+            await dai.approve(USER_PROXY, MAX);
+            await mkr.approve(USER_PROXY, MAX);
+            await zrx.approve(USER_PROXY, MAX);
+            await weth.approve(USER_PROXY, MAX);
+        });
+
+        it('returns data for each call', async () => {
+            const createCall = userActions.create.encode(
+                FACTORY,
+                [DAI, MKR, WETH],
+                [toWei('400'), toWei('1'), toWei('2')],
+                [toWei('5'), toWei('5'), toWei('5')],
+                toWei('0.03'),
+                false,
+            );
+
+            const { result: results } = await userActions.multicall([createCall]);
+            assert.lengthOf(results, 1);
+            POOL = web3.eth.abi.decodeParameter('address', results[0]);
+
+            const bpool = await BPool.at(POOL);
+            const controller = await bpool.getController();
+            assert.equal(controller, USER_PROXY);
+        });
+
+        it('chains private pool actions', async () => {
+            const setTokensCall = userActions.setTokens.encode(
+                POOL,
+                [DAI, MKR, WETH, ZRX],
+                [toWei('400'), toWei('1'), toWei('2'), toWei('20')],
+                [toWei('5'), toWei('5'), toWei('5'), toWei('5')],
+            );
+            const setSwapFeeCall = userActions.setSwapFee.encode(POOL, toWei('0.01'));
+            const setPublicSwapCall = userActions.setPublicSwap.encode(POOL, false);
+
+            await userActions.multicall([setTokensCall, setSwapFeeCall, setPublicSwapCall]);
+
+            const bpool = await BPool.at(POOL);
+            const currentTokens = await bpool.getCurrentTokens();
+            const swapFee = await bpool.getSwapFee();
+            const publicSwap = await bpool.isPublicSwap();
+
+            assert.sameMembers(currentTokens, [DAI, MKR, WETH, ZRX]);
+            assert.equal(swapFee, toWei('0.01'));
+            assert.isFalse(publicSwap);
+        });
+
+        it('reverts every call if one fails', async () => {
+            const setSwapFeeCall = userActions.setSwapFee.encode(POOL, toWei('0.02'));
+            const badSwapFeeCall = userActions.setSwapFee.encode(POOL, toWei('0.5'));
+
+            await truffleAssert.reverts(
+                userActions.multicall([setSwapFeeCall, badSwapFeeCall]),
+                'ERR_MAX_FEE',
+            );
+
+            const bpool = await BPool.at(POOL);
+            const swapFee = await bpool.getSwapFee();
+            assert.equal(swapFee, toWei('0.01'));
+        });
+
+        it('does not allow other users', async () => {
+            const setSwapFeeCall = userActions.setSwapFee.encode(POOL, toWei('0.02'));
+
+            await truffleAssert.reverts(
+                userActions.multicall([setSwapFeeCall], { from: user }),
+                'ds-auth-unauthorized',
+            );
+        });
+
+        it('only batches BActions calls', async () => {
+            const swaps = createClient(web3, {
+                proxy: USER_PROXY, target: BSwaps.address, abi: BSwaps.abi, from: admin,
+            });
+            const swapCall = swaps.swapExactAmountIn.encode(POOL, DAI, toWei('1'), MKR, 0, MAX);
+
+            await truffleAssert.reverts(userActions.multicall([swapCall]));
+        });
+
+        it('chains smart pool actions', async () => {
+            const poolParams = {
+                poolTokenSymbol: 'TEST',
+                poolTokenName: 'Test Pool',
+                constituentTokens: [DAI, MKR, WETH],
+                tokenBalances: [toWei('400'), toWei('1'), toWei('4')],
+                tokenWeights: [toWei('10'), toWei('10'), toWei('20')],
+                swapFee: toWei('0.0015'),
+            };
+            const crpParams = {
+                initialSupply: toWei('200'),
+                minimumWeightChangeBlockPeriod: 10,
+                addTokenTimeLockInBlocks: 10,
+            };
+            const rights = {
+                canPauseSwapping: true,
+                canChangeSwapFee: true,
+                canChangeWeights: true,
+                canAddRemoveTokens: true,
+                canWhitelistLPs: true,
+                canChangeCap: true,
+            };
+
+            ({ result: SMART_POOL } = await userActions.createSmartPool(
+                CRP_FACTORY,
+                FACTORY,
+                poolParams,
+                crpParams,
+                rights,
+            ));
+
+            const setCapCall = userActions.setCap.encode(SMART_POOL, toWei('500'));
+            const commitAddTokenCall = userActions.commitAddToken.encode(
+                SMART_POOL,
+                ZRX,
+                toWei('10'),
+                toWei('10'),
+            );
+            const whitelistCall = userActions.whitelistLiquidityProvider.encode(SMART_POOL, USER_PROXY);
+
+            await userActions.multicall([setCapCall, commitAddTokenCall, whitelistCall]);
+
+            const crp = await ConfigurableRightsPool.at(SMART_POOL);
+            const cap = await crp.bspCap();
+            const newToken = await crp.newToken();
+            const isListed = await crp.canProvideLiquidity(USER_PROXY);
+
+            assert.equal(cap, toWei('500'));
+            assert.equal(newToken.addr, ZRX);
+            assert.isTrue(newToken.isCommitted);
+            assert.isTrue(isListed);
+        });
+    });
+});
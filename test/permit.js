@@ -0,0 +1,253 @@
+const truffleAssert = require('truffle-assertions');
+const { createClient } = require('../lib/client');
+
+const TToken = artifacts.require('TToken');
+const TTokenPermit = artifacts.require('TTokenPermit');
+const BFactory = artifacts.require('BFactory');
+const CRPFactory = artifacts.require('CRPFactory');
+const BActions = artifacts.require('BActions');
+const DSProxyFactory = artifacts.require('DSProxyFactory');
+const BPool = artifacts.require('BPool');
+const ConfigurableRightsPool = artifacts.require('ConfigurableRightsPool');
+
+contract('BActions', async (accounts) => {
+    const admin = accounts[0];
+    const user = accounts[1];
+    const { toHex, toWei } = web3.utils;
+
+    const MAX = web3.utils.toTwosComplement(-1);
+    const NO_PERMIT = {
+        value: 0, deadline: 0, v: 0, r: `0x${'0'.repeat(64)}`, s: `0x${'0'.repeat(64)}`,
+    };
+
+    function signTypedData(signer, data) {
+        return new Promise((resolve, reject) => {
+            web3.currentProvider.send({
+                jsonrpc: '2.0',
+                id: Date.now(),
+                method: 'eth_signTypedData',
+                params: [signer, data],
+            }, (err, res) => (err ? reject(err) : resolve(res.result)));
+        });
+    }
+
+    async function signPermit(token, owner, spender, value, signer = owner) {
+        const nonce = await token.nonces(owner);
+        const chainId = await token.getChainId();
+        const data = {
+            types: {
+                EIP712Domain: [
+                    { name: 'name', type: 'string' },
+                    { name: 'version', type: 'string' },
+                    { name: 'chainId', type: 'uint256' },
+                    { name: 'verifyingContract', type: 'address' },
+                ],
+                Permit: [
+                    { name: 'owner', type: 'address' },
+                    { name: 'spender', type: 'address' },
+                    { name: 'value', type: 'uint256' },
+                    { name: 'nonce', type: 'uint256' },
+                    { name: 'deadline', type: 'uint256' },
+                ],
+            },
+            primaryType: 'Permit',
+            domain: {
+                name: 'Test Token',
+                version: '1',
+                chainId: chainId.toString(),
+                verifyingContract: token.address,
+            },
+            message: {
+                owner,
+                spender,
+                value,
+                nonce: nonce.toString(),
+                deadline: MAX,
+            },
+        };
+        const signature = await signTypedData(signer, data);
+        return {
+            value,
+            deadline: MAX,
+            v: parseInt(signature.slice(130, 132), 16),
+            r: signature.slice(0, 66),
+            s: `0x${signature.slice(66, 130)}`,
+        };
+    }
+
+    describe('Permit', () => {
+        let FACTORY;
+        let CRP_FACTORY;
+        let ADMIN_PROXY;
+        let adminActions;
+        let USER_PROXY;
+        let userActions;
+        let POOL;
+        let SMART_POOL;
+        let dai; let mkr; let zrx;
+        let DAI; let MKR; let ZRX;
+
+        before(async () => {
+            const BACTIONS = (await BActions.deployed()).address;
+            FACTORY = (await BFactory.deployed()).address;
+            CRP_FACTORY = (await CRPFactory.deployed()).address;
+
+            dai = await TTokenPermit.new(toHex('DAI'), toHex('DAI'), 18);
+            mkr = await TTokenPermit.new(toHex('MKR'), toHex('MKR'), 18);
+            zrx = await TToken.new(toHex('ZRX'), toHex('ZRX'), 18);
+            DAI = dai.address;
+            MKR = mkr.address;
+            ZRX = zrx.address;
+
+            await dai.mint(admin, toWei('1000'));
+            await mkr.mint(admin, toWei('20'));
+            await zrx.mint(admin, toWei('100'));
+            await dai.mint(user, toWei('1000'));
+            await mkr.mint(user, toWei('20'));
+
+            const proxyFactory = await DSProxyFactory.deployed();
+            ADMIN_PROXY = await proxyFactory.build.call({ from: admin });
+            await proxyFactory.build({ from: admin });
+            adminActions = createClient(web3, {
+                proxy: ADMIN_PROXY, target: BACTIONS, abi: BActions.abi, from: admin,
+            });
+            USER_PROXY = await proxyFactory.build.call({ from: user });
+            await proxyFactory.build({ from: user });
+            userActions = createClient(web3, {
+                proxy: USER_PROXY, target: BACTIONS, abi: BActions.abi, from: user,
+            });
+        });
+
+        it('creates a pool without prior approvals', async () => {
+            const balances = [toWei('400'), toWei('2')];
+            const permits = [
+                await signPermit(dai, admin, ADMIN_PROXY, balances[0]),
+                await signPermit(mkr, admin, ADMIN_PROXY, balances[1]),
+            ];
+
+            ({ result: POOL } = await adminActions.createWithPermit(
+                FACTORY, [DAI, MKR], balances, [toWei('5'), toWei('5')], permits, toWei('0.003'), true,
+            ));
+
+            const bpool = await BPool.at(POOL);
+            assert.equal(await bpool.balanceOf(admin), toWei('100'));
+            assert.equal(await dai.balanceOf(admin), toWei('600'));
+            assert.equal(await mkr.balanceOf(admin), toWei('18'));
+            assert.equal(await dai.allowance(admin, ADMIN_PROXY), 0);
+            assert.equal(await mkr.allowance(admin, ADMIN_PROXY), 0);
+        });
+
+        it('skips permits with a zero deadline', async () => {
+            await zrx.approve(ADMIN_PROXY, toWei('10'));
+            const balances = [toWei('40'), toWei('10')];
+            const permits = [await signPermit(dai, admin, ADMIN_PROXY, balances[0]), NO_PERMIT];
+
+            await adminActions.createWithPermit(
+                FACTORY, [DAI, ZRX], balances, [toWei('5'), toWei('5')], permits, toWei('0.003'), false,
+            );
+
+            assert.equal(await dai.balanceOf(admin), toWei('560'));
+            assert.equal(await zrx.balanceOf(admin), toWei('90'));
+        });
+
+        it('joins a pool without prior approvals', async () => {
+            const maxAmountsIn = [toWei('4'), toWei('0.02')];
+            const permits = [
+                await signPermit(dai, user, USER_PROXY, maxAmountsIn[0]),
+                await signPermit(mkr, user, USER_PROXY, maxAmountsIn[1]),
+            ];
+
+            await userActions.joinPoolWithPermit(POOL, toWei('1'), maxAmountsIn, permits);
+
+            const bpool = await BPool.at(POOL);
+            assert.equal(await bpool.balanceOf(user), toWei('1'));
+            assert.equal(await dai.balanceOf(user), toWei('996'));
+            assert.equal(await mkr.balanceOf(user), toWei('19.98'));
+        });
+
+        it('joinswaps without prior approvals', async () => {
+            const permit = await signPermit(dai, user, USER_PROXY, toWei('4'));
+
+            await userActions.joinswapExternAmountInWithPermit(POOL, DAI, toWei('4'), 0, permit);
+
+            const bpool = await BPool.at(POOL);
+            assert.isTrue((await bpool.balanceOf(user)).gt(web3.utils.toBN(toWei('1'))));
+            assert.equal(await dai.balanceOf(user), toWei('992'));
+        });
+
+        it('joins a smart pool without prior approvals', async () => {
+            await dai.approve(ADMIN_PROXY, MAX);
+            await mkr.approve(ADMIN_PROXY, MAX);
+            const poolParams = {
+                poolTokenSymbol: 'TEST',
+                poolTokenName: 'Test Pool',
+                constituentTokens: [DAI, MKR],
+                tokenBalances: [toWei('100'), toWei('1')],
+                tokenWeights: [toWei('5'), toWei('5')],
+                swapFee: toWei('0.003'),
+            };
+            const crpParams = {
+                initialSupply: toWei('100'),
+                minimumWeightChangeBlockPeriod: 10,
+                addTokenTimeLockInBlocks: 10,
+            };
+            const rights = {
+                canPauseSwapping: false,
+                canChangeSwapFee: false,
+                canChangeWeights: false,
+                canAddRemoveTokens: false,
+                canWhitelistLPs: false,
+                canChangeCap: false,
+            };
+            ({ result: SMART_POOL } = await adminActions.createSmartPool(
+                CRP_FACTORY, FACTORY, poolParams, crpParams, rights,
+            ));
+
+            const maxAmountsIn = [toWei('10'), toWei('0.1')];
+            const permits = [
+                await signPermit(dai, user, USER_PROXY, maxAmountsIn[0]),
+                await signPermit(mkr, user, USER_PROXY, maxAmountsIn[1]),
+            ];
+
+            await userActions.joinSmartPoolWithPermit(SMART_POOL, toWei('10'), maxAmountsIn, permits);
+
+            const crp = await ConfigurableRightsPool.at(SMART_POOL);
+            assert.equal(await crp.balanceOf(user), toWei('10'));
+        });
+
+        it('goes through when someone submits the permit first', async () => {
+            const balance = await dai.balanceOf(user);
+            const permit = await signPermit(dai, user, USER_PROXY, toWei('4'));
+            await dai.permit(user, USER_PROXY, permit.value, permit.deadline, permit.v, permit.r, permit.s, {
+                from: admin,
+            });
+
+            await userActions.joinswapExternAmountInWithPermit(POOL, DAI, toWei('4'), 0, permit);
+            assert.equal(await dai.balanceOf(user), balance.sub(web3.utils.toBN(toWei('4'))).toString());
+            assert.equal(await dai.allowance(user, USER_PROXY), 0);
+        });
+
+        it('rejects permits signed by someone else', async () => {
+            const maxAmountsIn = [toWei('4'), toWei('0.02')];
+            const permits = [
+                await signPermit(dai, user, USER_PROXY, maxAmountsIn[0], admin),
+                await signPermit(mkr, user, USER_PROXY, maxAmountsIn[1]),
+            ];
+
+            await truffleAssert.reverts(
+                userActions.joinPoolWithPermit(POOL, toWei('1'), maxAmountsIn, permits),
+                'ERR_INVALID_SIGNATURE',
+            );
+        });
+
+        it('requires one permit per pool token', async () => {
+            const maxAmountsIn = [toWei('4'), toWei('0.02')];
+            const permits = [await signPermit(dai, user, USER_PROXY, maxAmountsIn[0])];
+
+            await truffleAssert.reverts(
+                userActions.joinPoolWithPermit(POOL, toWei('1'), maxAmountsIn, permits),
+                'ERR_LENGTH_MISMATCH',
+            );
+        });
+    });
+});
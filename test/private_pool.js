@@ -1,11 +1,11 @@
 const truffleAssert = require('truffle-assertions');
+const { createClient } = require('../lib/client');
 
 const TToken = artifacts.require('TToken');
 const TTokenFactory = artifacts.require('TTokenFactory');
 const BFactory = artifacts.require('BFactory');
 const BActions = artifacts.require('BActions');
 const DSProxyFactory = artifacts.require('DSProxyFactory');
-const DSProxy = artifacts.require('DSProxy');
 const BPool = artifacts.require('BPool');
 
 contract('BActions', async (accounts) => {
@@ -24,10 +24,10 @@ contract('BActions', async (accounts) => {
         let BACTIONS;
         let tokens;
         let USER_PROXY;
-        let userProxy;
+        let userActions;
         let POOL;
-        let dai; let mkr; let zrx; let weth;
-        let DAI; let MKR; let ZRX; let WETH;
+        let dai; let mkr; let zrx; let weth; let usdc;
+        let DAI; let MKR; let ZRX; let WETH; let USDC;
 
         before(async () => {
             proxyFactory = await DSProxyFactory.deployed();
@@ -43,33 +43,40 @@ contract('BActions', async (accounts) => {
             await tokens.build(toHex('MKR'), toHex('MKR'), 18);
             await tokens.build(toHex('ZRX'), toHex('ZRX'), 18);
             await tokens.build(toHex('WETH'), toHex('WETH'), 18);
+            await tokens.build(toHex('USDC'), toHex('USDC'), 6);
 
             DAI = await tokens.get.call(toHex('DAI'));
             MKR = await tokens.get.call(toHex('MKR'));
             ZRX = await tokens.get.call(toHex('ZRX'));
             WETH = await tokens.get.call(toHex('WETH'));
+            USDC = await tokens.get.call(toHex('USDC'));
 
             dai = await TToken.at(DAI);
             mkr = await TToken.at(MKR);
             zrx = await TToken.at(ZRX);
             weth = await TToken.at(WETH);
+            usdc = await TToken.at(USDC);
 
             await dai.mint(admin, toWei('10000'));
             await mkr.mint(admin, toWei('20'));
             await zrx.mint(admin, toWei('100'));
             await weth.mint(admin, toWei('40'));
+            await usdc.mint(admin, '1000000000');
 
             await dai.mint(user1, toWei('10000'));
             await mkr.mint(user1, toWei('20'));
 
             USER_PROXY = await proxyFactory.build.call();
             await proxyFactory.build();
-            userProxy = await DSProxy.at(USER_PROXY);
+            userActions = createClient(web3, {
+                proxy: USER_PROXY, target: BACTIONS, abi: BActions.abi, from: admin,
+            });
 
             await dai.approve(USER_PROXY, MAX);
             await mkr.approve(USER_PROXY, MAX);
             await zrx.approve(USER_PROXY, MAX);
             await weth.approve(USER_PROXY, MAX);
+            await usdc.approve(USER_PROXY, MAX);
 
             const createTokens = [DAI, MKR, WETH];
             const createBalances = [toWei('400'), toWei('1'), toWei('2')];
@@ -77,25 +84,14 @@ contract('BActions', async (accounts) => {
             const swapFee = toWei('0.03');
             const finalize = false;
 
-            const createInterface = BActions.abi.find((iface) => iface.name === 'create');
-
-            const params = [
+            ({ result: POOL } = await userActions.create(
                 FACTORY,
                 createTokens,
                 createBalances,
                 createWeights,
                 swapFee,
                 finalize,
-            ];
-
-            const functionCall = web3.eth.abi.encodeFunctionCall(createInterface, params);
-
-            const poolAddress = await userProxy.methods['execute(address,bytes)'].call(
-                BACTIONS, functionCall,
-            );
-            POOL = `0x${poolAddress.slice(-40)}`;
-
-            await userProxy.methods['execute(address,bytes)'](BACTIONS, functionCall);
+            ));
         });
 
         it('rebind add new token', async () => {
@@ -103,25 +99,7 @@ contract('BActions', async (accounts) => {
             const rebindBalances = [toWei('400'), toWei('1'), toWei('2'), toWei('20')];
             const rebindWeights = [toWei('5'), toWei('5'), toWei('5'), toWei('5')];
 
-            const params = [
-                POOL,
-                rebindTokens,
-                rebindBalances,
-                rebindWeights,
-            ];
-
-            const functionSig = web3.eth.abi.encodeFunctionSignature(
-                'setTokens(address,address[],uint256[],uint256[])',
-            );
-            const functionData = web3.eth.abi.encodeParameters(
-                ['address', 'address[]', 'uint256[]', 'uint256[]'],
-                params,
-            );
-
-            const argumentData = functionData.substring(2);
-            const inputData = `${functionSig}${argumentData}`;
-
-            await userProxy.methods['execute(address,bytes)'](BACTIONS, inputData);
+            await userActions.setTokens(POOL, rebindTokens, rebindBalances, rebindWeights);
 
             const bpool = await BPool.at(POOL);
             const currentTokens = await bpool.getCurrentTokens();
@@ -134,27 +112,9 @@ contract('BActions', async (accounts) => {
             const rebindBalances = [toWei('400'), toWei('1'), toWei('2'), toWei('10')];
             const rebindWeights = [toWei('5'), toWei('5'), toWei('5'), toWei('5')];
 
-            const params = [
-                POOL,
-                rebindTokens,
-                rebindBalances,
-                rebindWeights,
-            ];
-
             const initUserZrxBalance = await zrx.balanceOf(admin);
 
-            const functionSig = web3.eth.abi.encodeFunctionSignature(
-                'setTokens(address,address[],uint256[],uint256[])',
-            );
-            const functionData = web3.eth.abi.encodeParameters(
-                ['address', 'address[]', 'uint256[]', 'uint256[]'],
-                params,
-            );
-
-            const argumentData = functionData.substring(2);
-            const inputData = `${functionSig}${argumentData}`;
-
-            await userProxy.methods['execute(address,bytes)'](BACTIONS, inputData);
+            await userActions.setTokens(POOL, rebindTokens, rebindBalances, rebindWeights);
 
             const bpool = await BPool.at(POOL);
             const poolZrxBalance = await bpool.getBalance(ZRX);
@@ -172,25 +132,7 @@ contract('BActions', async (accounts) => {
             const rebindBalances = [toWei('400'), toWei('1'), toWei('2'), toWei('25')];
             const rebindWeights = [toWei('5'), toWei('5'), toWei('5'), toWei('5')];
 
-            const params = [
-                POOL,
-                rebindTokens,
-                rebindBalances,
-                rebindWeights,
-            ];
-
-            const functionSig = web3.eth.abi.encodeFunctionSignature(
-                'setTokens(address,address[],uint256[],uint256[])',
-            );
-            const functionData = web3.eth.abi.encodeParameters(
-                ['address', 'address[]', 'uint256[]', 'uint256[]'],
-                params,
-            );
-
-            const argumentData = functionData.substring(2);
-            const inputData = `${functionSig}${argumentData}`;
-
-            await userProxy.methods['execute(address,bytes)'](BACTIONS, inputData);
+            await userActions.setTokens(POOL, rebindTokens, rebindBalances, rebindWeights);
 
             const bpool = await BPool.at(POOL);
             const poolZrxBalance = await bpool.getBalance(ZRX);
@@ -203,26 +145,8 @@ contract('BActions', async (accounts) => {
             const rebindBalances = [toWei('400'), toWei('1'), toWei('2'), toWei('25')];
             const rebindWeights = [toWei('5'), toWei('5'), toWei('5'), toWei('5')];
 
-            const params = [
-                POOL,
-                rebindTokens,
-                rebindBalances,
-                rebindWeights,
-            ];
-
-            const functionSig = web3.eth.abi.encodeFunctionSignature(
-                'setTokens(address,address[],uint256[],uint256[])',
-            );
-            const functionData = web3.eth.abi.encodeParameters(
-                ['address', 'address[]', 'uint256[]', 'uint256[]'],
-                params,
-            );
-
-            const argumentData = functionData.substring(2);
-            const inputData = `${functionSig}${argumentData}`;
-
             await truffleAssert.reverts(
-                userProxy.methods['execute(address,bytes)'](BACTIONS, inputData, { from: user1 }),
+                userActions.setTokens(POOL, rebindTokens, rebindBalances, rebindWeights, { from: user1 }),
                 'ds-auth-unauthorized',
             );
 
@@ -244,27 +168,9 @@ contract('BActions', async (accounts) => {
             const rebindBalances = [toWei('400'), toWei('0'), toWei('2'), toWei('25')];
             const rebindWeights = [toWei('5'), toWei('0'), toWei('5'), toWei('5')];
 
-            const params = [
-                POOL,
-                rebindTokens,
-                rebindBalances,
-                rebindWeights,
-            ];
-
             const initUserMkrBalance = await mkr.balanceOf(admin);
 
-            const functionSig = web3.eth.abi.encodeFunctionSignature(
-                'setTokens(address,address[],uint256[],uint256[])',
-            );
-            const functionData = web3.eth.abi.encodeParameters(
-                ['address', 'address[]', 'uint256[]', 'uint256[]'],
-                params,
-            );
-
-            const argumentData = functionData.substring(2);
-            const inputData = `${functionSig}${argumentData}`;
-
-            await userProxy.methods['execute(address,bytes)'](BACTIONS, inputData);
+            await userActions.setTokens(POOL, rebindTokens, rebindBalances, rebindWeights);
 
             const bpool = await BPool.at(POOL);
             const currentTokens = await bpool.getCurrentTokens();
@@ -276,5 +182,47 @@ contract('BActions', async (accounts) => {
 
             assert.equal(balanceDiff, toWei('1'));
         });
+
+        it('binds a 6-decimal token', async () => {
+            await userActions.setTokens(POOL, [USDC], ['500000000'], [toWei('5')]);
+
+            const bpool = await BPool.at(POOL);
+            assert.equal(await bpool.getBalance(USDC), '500000000');
+        });
+
+        it('keeps a 6-decimal token rebound to a single unit', async () => {
+            await userActions.setTokens(POOL, [USDC], ['1000000'], [toWei('5')]);
+
+            const bpool = await BPool.at(POOL);
+            assert.isTrue(await bpool.isBound(USDC));
+            assert.equal(await bpool.getBalance(USDC), '1000000');
+        });
+
+        it('rejects balances below BPool MIN_BALANCE', async () => {
+            await truffleAssert.reverts(
+                userActions.setTokens(POOL, [USDC], ['999999'], [toWei('5')]),
+                'ERR_MIN_BALANCE',
+            );
+        });
+
+        it('rejects weights outside BPool bounds', async () => {
+            await truffleAssert.reverts(
+                userActions.setTokens(POOL, [USDC], ['1000000'], [toWei('0.5')]),
+                'ERR_MIN_WEIGHT',
+            );
+
+            await truffleAssert.reverts(
+                userActions.setTokens(POOL, [USDC], ['1000000'], [toWei('51')]),
+                'ERR_MAX_WEIGHT',
+            );
+        });
+
+        it('unbinds a 6-decimal token with a zero balance', async () => {
+            await userActions.setTokens(POOL, [USDC], [0], [0]);
+
+            const bpool = await BPool.at(POOL);
+            assert.isFalse(await bpool.isBound(USDC));
+            assert.equal(await usdc.balanceOf(admin), '1000000000');
+        });
     });
 });
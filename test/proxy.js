@@ -1,9 +1,10 @@
+const { createClient } = require('../lib/client');
+
 const TToken = artifacts.require('TToken');
 const TTokenFactory = artifacts.require('TTokenFactory');
 const BFactory = artifacts.require('BFactory');
 const BActions = artifacts.require('BActions');
 const DSProxyFactory = artifacts.require('DSProxyFactory');
-const DSProxy = artifacts.require('DSProxy');
 const BPool = artifacts.require('BPool');
 
 contract('BActions', async (accounts) => {
@@ -19,19 +20,14 @@ contract('BActions', async (accounts) => {
         let FACTORY;
         let proxyFactory;
         let bactions;
-        let BACTIONS;
         let tokens;
         let USER_PROXY;
-        let userProxy;
         let dai; let mkr;
         let DAI; let MKR;
 
         before(async () => {
             proxyFactory = await DSProxyFactory.deployed();
 
-            bactions = await BActions.deployed();
-            BACTIONS = bactions.address;
-
             tokens = await TTokenFactory.deployed();
             factory = await BFactory.deployed();
             FACTORY = factory.address;
@@ -53,10 +49,16 @@ contract('BActions', async (accounts) => {
 
             USER_PROXY = await proxyFactory.build.call();
             await proxyFactory.build();
-            userProxy = await DSProxy.at(USER_PROXY);
 
             await dai.approve(USER_PROXY, MAX);
             await mkr.approve(USER_PROXY, MAX);
+
+            bactions = createClient(web3, {
+                proxy: USER_PROXY,
+                target: (await BActions.deployed()).address,
+                abi: BActions.abi,
+                from: admin,
+            });
         });
 
         it('deploy pool through proxy', async () => {
@@ -66,24 +68,14 @@ contract('BActions', async (accounts) => {
             const swapFee = toWei('0.03');
             const finalize = true;
 
-            const createInterface = BActions.abi.find((iface) => iface.name === 'create');
-            const params = [
+            const { result: POOL } = await bactions.create(
                 FACTORY,
                 createTokens,
                 createBalances,
                 createWeights,
                 swapFee,
                 finalize,
-            ];
-
-            const functionCall = web3.eth.abi.encodeFunctionCall(createInterface, params);
-
-            const poolAddress = await userProxy.methods['execute(address,bytes)'].call(
-                BACTIONS, functionCall,
             );
-            const POOL = `0x${poolAddress.slice(-40)}`;
-
-            await userProxy.methods['execute(address,bytes)'](BACTIONS, functionCall);
 
             const bpool = await BPool.at(POOL);
             const controller = await bpool.getController();
@@ -98,37 +90,36 @@ contract('BActions', async (accounts) => {
             const swapFee = toWei('0.03');
             const finalize = true;
 
-            const createInterface = BActions.abi.find((iface) => iface.name === 'create');
-            let params = [
+            const { result: POOL } = await bactions.create(
                 FACTORY,
                 createTokens,
                 createBalances,
                 createWeights,
                 swapFee,
                 finalize,
-            ];
-
-            const functionCall = web3.eth.abi.encodeFunctionCall(createInterface, params);
-
-            const poolAddress = await userProxy.methods['execute(address,bytes)'].call(
-                BACTIONS, functionCall,
             );
-            const POOL = `0x${poolAddress.slice(-40)}`;
-            await userProxy.methods['execute(address,bytes)'](BACTIONS, functionCall);
 
-            params = [
-                POOL,
-                toWei('100'),
-                [toWei('20'), toWei('2')],
-            ];
+            await bactions.joinPool(POOL, toWei('100'), [toWei('20'), toWei('2')]);
+
+            const bpool = await BPool.at(POOL);
+            assert.equal(await bpool.balanceOf(admin), toWei('200'));
+        });
 
-            const functionSig = web3.eth.abi.encodeFunctionSignature('joinPool(address,uint256,uint256[])');
-            const functionData = web3.eth.abi.encodeParameters(['address', 'uint256', 'uint256[]'], params);
+        it('dry runs calls without sending them', async () => {
+            const nonce = await web3.eth.getTransactionCount(admin);
 
-            const argumentData = functionData.substring(2);
-            const inputData = `${functionSig}${argumentData}`;
+            const POOL = await bactions.create.call(
+                FACTORY,
+                [DAI, MKR],
+                [toWei('10'), toWei('1')],
+                [toWei('5'), toWei('5')],
+                toWei('0.03'),
+                true,
+            );
 
-            await userProxy.methods['execute(address,bytes)'](BACTIONS, inputData);
+            assert.isTrue(web3.utils.isAddress(POOL));
+            assert.equal(await web3.eth.getCode(POOL), '0x');
+            assert.equal(await web3.eth.getTransactionCount(admin), nonce);
         });
     });
 });
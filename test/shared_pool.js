@@ -1,9 +1,11 @@
+const truffleAssert = require('truffle-assertions');
+const { createClient } = require('../lib/client');
+
 const TToken = artifacts.require('TToken');
 const TTokenFactory = artifacts.require('TTokenFactory');
 const BFactory = artifacts.require('BFactory');
 const BActions = artifacts.require('BActions');
 const DSProxyFactory = artifacts.require('DSProxyFactory');
-const DSProxy = artifacts.require('DSProxy');
 const BPool = artifacts.require('BPool');
 
 contract('BActions', async (accounts) => {
@@ -20,9 +22,9 @@ contract('BActions', async (accounts) => {
         let FACTORY;
         let tokenFactory;
         let proxyFactory;
-        let creatorProxy;
+        let creatorActions;
         let CREATOR_PROXY;
-        let userProxy;
+        let userActions;
         let USER_PROXY;
         let POOL;
         let dai; let mkr; let weth;
@@ -60,10 +62,14 @@ contract('BActions', async (accounts) => {
 
             CREATOR_PROXY = await proxyFactory.build.call({ from: creator });
             await proxyFactory.build({ from: creator });
-            creatorProxy = await DSProxy.at(CREATOR_PROXY);
+            creatorActions = createClient(web3, {
+                proxy: CREATOR_PROXY, target: BACTIONS, abi: BActions.abi, from: creator,
+            });
             USER_PROXY = await proxyFactory.build.call({ from: user });
             await proxyFactory.build({ from: user });
-            userProxy = await DSProxy.at(USER_PROXY);
+            userActions = createClient(web3, {
+                proxy: USER_PROXY, target: BACTIONS, abi: BActions.abi, from: user,
+            });
 
             await dai.approve(CREATOR_PROXY, MAX);
             await mkr.approve(CREATOR_PROXY, MAX);
@@ -79,25 +85,14 @@ contract('BActions', async (accounts) => {
             const swapFee = toWei('0.0015');
             const finalize = true;
 
-            const createInterface = BActions.abi.find((iface) => iface.name === 'create');
-
-            const params = [
+            ({ result: POOL } = await creatorActions.create(
                 FACTORY,
                 tokens,
                 balances,
                 weights,
                 swapFee,
                 finalize,
-            ];
-
-            const functionCall = web3.eth.abi.encodeFunctionCall(createInterface, params);
-
-            const poolAddress = await creatorProxy.methods['execute(address,bytes)'].call(
-                BACTIONS, functionCall,
-            );
-            POOL = `0x${poolAddress.slice(-40)}`;
-
-            await creatorProxy.methods['execute(address,bytes)'](BACTIONS, functionCall);
+            ));
         });
 
         it('pulls correct amount of tokens from creator', async () => {
@@ -158,15 +153,11 @@ contract('BActions', async (accounts) => {
         it('allows join from creator', async () => {
             const bpool = await BPool.at(POOL);
 
-            const joinInterface = BActions.abi.find((iface) => iface.name === 'joinPool');
-            const params = [
+            await creatorActions.joinPool(
                 POOL,
                 toWei('20'),
                 [toWei('80'), toWei('0.2'), toWei('0.8')],
-            ];
-
-            const functionCall = web3.eth.abi.encodeFunctionCall(joinInterface, params);
-            await creatorProxy.methods['execute(address,bytes)'](BACTIONS, functionCall);
+            );
 
             const daiBalance = await dai.balanceOf(creator);
             const mkrBalance = await mkr.balanceOf(creator);
@@ -183,22 +174,16 @@ contract('BActions', async (accounts) => {
         it('allows join from user', async () => {
             const bpool = await BPool.at(POOL);
 
-            const joinInterface = BActions.abi.find((iface) => iface.name === 'joinPool');
-            const params = [
-                POOL,
-                toWei('40'),
-                [toWei('200'), toWei('0.5'), toWei('2')],
-            ];
-
             const initialDaiBalance = await dai.balanceOf(user);
             const initialMkrBalance = await mkr.balanceOf(user);
             const initialWethBalance = await weth.balanceOf(user);
             const initialShareBalance = await bpool.balanceOf(user);
 
-            const functionCall = web3.eth.abi.encodeFunctionCall(joinInterface, params);
-            await userProxy.methods['execute(address,bytes)'](BACTIONS, functionCall, {
-                from: user,
-            });
+            await userActions.joinPool(
+                POOL,
+                toWei('40'),
+                [toWei('200'), toWei('0.5'), toWei('2')],
+            );
 
             const daiBalance = await dai.balanceOf(user);
             const mkrBalance = await mkr.balanceOf(user);
@@ -214,35 +199,182 @@ contract('BActions', async (accounts) => {
         it('allows joinswap from user', async () => {
             const bpool = await BPool.at(POOL);
 
-            const joinswapExternAmountInInterface = BActions.abi
-                .find((iface) => iface.name === 'joinswapExternAmountIn');
-            const params = [
+            const initialDaiBalance = await dai.balanceOf(user);
+            const initialMkrBalance = await mkr.balanceOf(user);
+            const initialWethBalance = await weth.balanceOf(user);
+            const initialShareBalance = await bpool.balanceOf(user);
+
+            await userActions.joinswapExternAmountIn(
                 POOL,
                 MKR,
                 toWei('0.3'),
                 toWei('7'),
-            ];
+            );
+
+            const daiBalance = await dai.balanceOf(user);
+            const mkrBalance = await mkr.balanceOf(user);
+            const wethBalance = await weth.balanceOf(user);
+            const shareBalance = await bpool.balanceOf(user);
+
+            assert.equal(fromWei(daiBalance), fromWei(initialDaiBalance));
+            assert.equal(parseFloat(fromWei(initialMkrBalance.sub(mkrBalance))), 0.3);
+            assert.equal(fromWei(wethBalance), fromWei(initialWethBalance));
+            assert.isAtLeast(parseFloat(fromWei(shareBalance.sub(initialShareBalance))), 7);
+        });
+
+        it('allows exit from user', async () => {
+            const bpool = await BPool.at(POOL);
 
             const initialDaiBalance = await dai.balanceOf(user);
             const initialMkrBalance = await mkr.balanceOf(user);
             const initialWethBalance = await weth.balanceOf(user);
             const initialShareBalance = await bpool.balanceOf(user);
 
-            const functionCall = web3.eth.abi
-                .encodeFunctionCall(joinswapExternAmountInInterface, params);
-            await userProxy.methods['execute(address,bytes)'](BACTIONS, functionCall, {
-                from: user,
-            });
+            await bpool.approve(USER_PROXY, MAX, { from: user });
+
+            await userActions.exitPool(
+                POOL,
+                toWei('20'),
+                [toWei('0'), toWei('0'), toWei('0')],
+            );
 
             const daiBalance = await dai.balanceOf(user);
             const mkrBalance = await mkr.balanceOf(user);
             const wethBalance = await weth.balanceOf(user);
             const shareBalance = await bpool.balanceOf(user);
 
+            assert.isAbove(parseFloat(fromWei(daiBalance.sub(initialDaiBalance))), 0);
+            assert.isAbove(parseFloat(fromWei(mkrBalance.sub(initialMkrBalance))), 0);
+            assert.isAbove(parseFloat(fromWei(wethBalance.sub(initialWethBalance))), 0);
+            assert.equal(fromWei(initialShareBalance.sub(shareBalance)), '20');
+
+            const proxyShareBalance = await bpool.balanceOf(USER_PROXY);
+            const proxyDaiBalance = await dai.balanceOf(USER_PROXY);
+            assert.equal(proxyShareBalance, 0);
+            assert.equal(proxyDaiBalance, 0);
+        });
+
+        it('does not allow exit below minimum amounts out', async () => {
+            await truffleAssert.fails(
+                userActions.exitPool(
+                    POOL,
+                    toWei('10'),
+                    [toWei('100'), toWei('0'), toWei('0')],
+                ),
+                truffleAssert.ErrorType.REVERT,
+                'ERR_LIMIT_OUT',
+            );
+        });
+
+        it('does not allow exit with wrong number of amounts', async () => {
+            await truffleAssert.fails(
+                userActions.exitPool(
+                    POOL,
+                    toWei('10'),
+                    [toWei('0'), toWei('0')],
+                ),
+                truffleAssert.ErrorType.REVERT,
+                'ERR_LENGTH_MISMATCH',
+            );
+        });
+
+        it('allows joinswapPoolAmountOut from user', async () => {
+            const bpool = await BPool.at(POOL);
+
+            const initialWethBalance = await weth.balanceOf(user);
+            const initialShareBalance = await bpool.balanceOf(user);
+
+            await userActions.joinswapPoolAmountOut(
+                POOL,
+                WETH,
+                toWei('1'),
+                toWei('1'),
+            );
+
+            const wethBalance = await weth.balanceOf(user);
+            const shareBalance = await bpool.balanceOf(user);
+            const proxyWethBalance = await weth.balanceOf(USER_PROXY);
+
+            assert.isBelow(parseFloat(fromWei(initialWethBalance.sub(wethBalance))), 1);
+            assert.isAbove(parseFloat(fromWei(initialWethBalance.sub(wethBalance))), 0);
+            assert.equal(fromWei(shareBalance.sub(initialShareBalance)), '1');
+            assert.equal(proxyWethBalance, 0);
+        });
+
+        it('allows exitswapPoolAmountIn from user', async () => {
+            const bpool = await BPool.at(POOL);
+
+            const initialDaiBalance = await dai.balanceOf(user);
+            const initialMkrBalance = await mkr.balanceOf(user);
+            const initialShareBalance = await bpool.balanceOf(user);
+
+            await bpool.approve(USER_PROXY, MAX, { from: user });
+
+            await userActions.exitswapPoolAmountIn(
+                POOL,
+                MKR,
+                toWei('2'),
+                toWei('0.01'),
+            );
+
+            const daiBalance = await dai.balanceOf(user);
+            const mkrBalance = await mkr.balanceOf(user);
+            const shareBalance = await bpool.balanceOf(user);
+
             assert.equal(fromWei(daiBalance), fromWei(initialDaiBalance));
-            assert.equal(parseFloat(fromWei(initialMkrBalance.sub(mkrBalance))), 0.3);
-            assert.equal(fromWei(wethBalance), fromWei(initialWethBalance));
-            assert.isAtLeast(parseFloat(fromWei(shareBalance.sub(initialShareBalance))), 7);
+            assert.isAtLeast(parseFloat(fromWei(mkrBalance.sub(initialMkrBalance))), 0.01);
+            assert.equal(fromWei(initialShareBalance.sub(shareBalance)), '2');
+        });
+
+        it('does not allow exitswapPoolAmountIn below minimum amount out', async () => {
+            await truffleAssert.fails(
+                userActions.exitswapPoolAmountIn(
+                    POOL,
+                    MKR,
+                    toWei('2'),
+                    toWei('1'),
+                ),
+                truffleAssert.ErrorType.REVERT,
+                'ERR_LIMIT_OUT',
+            );
+        });
+
+        it('allows exitswapExternAmountOut from user', async () => {
+            const bpool = await BPool.at(POOL);
+
+            const initialDaiBalance = await dai.balanceOf(user);
+            const initialShareBalance = await bpool.balanceOf(user);
+
+            await bpool.approve(USER_PROXY, MAX, { from: user });
+
+            await userActions.exitswapExternAmountOut(
+                POOL,
+                DAI,
+                toWei('10'),
+                toWei('5'),
+            );
+
+            const daiBalance = await dai.balanceOf(user);
+            const shareBalance = await bpool.balanceOf(user);
+            const proxyShareBalance = await bpool.balanceOf(USER_PROXY);
+
+            assert.equal(fromWei(daiBalance.sub(initialDaiBalance)), '10');
+            assert.isBelow(parseFloat(fromWei(initialShareBalance.sub(shareBalance))), 5);
+            assert.isAbove(parseFloat(fromWei(initialShareBalance.sub(shareBalance))), 0);
+            assert.equal(proxyShareBalance, 0);
+        });
+
+        it('does not allow exitswapExternAmountOut above maximum pool amount in', async () => {
+            await truffleAssert.fails(
+                userActions.exitswapExternAmountOut(
+                    POOL,
+                    DAI,
+                    toWei('10'),
+                    toWei('0.1'),
+                ),
+                truffleAssert.ErrorType.REVERT,
+                'ERR_LIMIT_IN',
+            );
         });
     });
 });
@@ -1,10 +1,12 @@
+const truffleAssert = require('truffle-assertions');
+const { createClient } = require('../lib/client');
+
 const TToken = artifacts.require('TToken');
 const TTokenFactory = artifacts.require('TTokenFactory');
 const BFactory = artifacts.require('BFactory');
 const CRPFactory = artifacts.require('CRPFactory');
 const BActions = artifacts.require('BActions');
 const DSProxyFactory = artifacts.require('DSProxyFactory');
-const DSProxy = artifacts.require('DSProxy');
 const BPool = artifacts.require('BPool');
 const ConfigurableRightsPool = artifacts.require('ConfigurableRightsPool');
 
@@ -24,9 +26,9 @@ contract('BActions', async (accounts) => {
         let CRP_FACTORY;
         let tokenFactory;
         let proxyFactory;
-        let creatorProxy;
+        let creatorActions;
         let CREATOR_PROXY;
-        let userProxy;
+        let userActions;
         let USER_PROXY;
         let POOL;
         let UNDERLYING_POOL;
@@ -68,10 +70,14 @@ contract('BActions', async (accounts) => {
 
             CREATOR_PROXY = await proxyFactory.build.call({ from: creator });
             await proxyFactory.build({ from: creator });
-            creatorProxy = await DSProxy.at(CREATOR_PROXY);
+            creatorActions = createClient(web3, {
+                proxy: CREATOR_PROXY, target: BACTIONS, abi: BActions.abi, from: creator,
+            });
             USER_PROXY = await proxyFactory.build.call({ from: user });
             await proxyFactory.build({ from: user });
-            userProxy = await DSProxy.at(USER_PROXY);
+            userActions = createClient(web3, {
+                proxy: USER_PROXY, target: BACTIONS, abi: BActions.abi, from: user,
+            });
 
             await dai.approve(CREATOR_PROXY, MAX);
             await mkr.approve(CREATOR_PROXY, MAX);
@@ -103,26 +109,13 @@ contract('BActions', async (accounts) => {
                 canChangeCap: false,
             };
 
-            const createSmartPoolInterface = BActions.abi
-                .find((iface) => iface.name === 'createSmartPool');
-
-            const params = [
+            ({ result: POOL } = await creatorActions.createSmartPool(
                 CRP_FACTORY,
                 FACTORY,
                 poolParams,
                 crpParams,
                 rights,
-            ];
-
-            const functionCall = web3.eth.abi
-                .encodeFunctionCall(createSmartPoolInterface, params);
-
-            const poolAddress = await creatorProxy.methods['execute(address,bytes)'].call(
-                BACTIONS, functionCall,
-            );
-            POOL = `0x${poolAddress.slice(-40)}`;
-
-            await creatorProxy.methods['execute(address,bytes)'](BACTIONS, functionCall);
+            ));
 
             const crp = await ConfigurableRightsPool.at(POOL);
             UNDERLYING_POOL = await crp.bPool();
@@ -214,20 +207,16 @@ contract('BActions', async (accounts) => {
         it('allows joining from creator', async () => {
             const crp = await ConfigurableRightsPool.at(POOL);
 
-            const joinInterface = BActions.abi.find((iface) => iface.name === 'joinSmartPool');
-            const params = [
-                POOL,
-                toWei('40'),
-                [toWei('80'), toWei('0.2'), toWei('0.8')],
-            ];
-
             const initialDaiBalance = await dai.balanceOf(creator);
             const initialMkrBalance = await mkr.balanceOf(creator);
             const initialWethBalance = await weth.balanceOf(creator);
             const initialShareBalance = await crp.balanceOf(creator);
 
-            const functionCall = web3.eth.abi.encodeFunctionCall(joinInterface, params);
-            await creatorProxy.methods['execute(address,bytes)'](BACTIONS, functionCall);
+            await creatorActions.joinSmartPool(
+                POOL,
+                toWei('40'),
+                [toWei('80'), toWei('0.2'), toWei('0.8')],
+            );
 
             const daiBalance = await dai.balanceOf(creator);
             const mkrBalance = await mkr.balanceOf(creator);
@@ -243,22 +232,16 @@ contract('BActions', async (accounts) => {
         it('allows joining from user', async () => {
             const crp = await ConfigurableRightsPool.at(POOL);
 
-            const joinInterface = BActions.abi.find((iface) => iface.name === 'joinSmartPool');
-            const params = [
-                POOL,
-                toWei('80'),
-                [toWei('200'), toWei('0.5'), toWei('2')],
-            ];
-
             const initialDaiBalance = await dai.balanceOf(user);
             const initialMkrBalance = await mkr.balanceOf(user);
             const initialWethBalance = await weth.balanceOf(user);
             const initialShareBalance = await crp.balanceOf(user);
 
-            const functionCall = web3.eth.abi.encodeFunctionCall(joinInterface, params);
-            await userProxy.methods['execute(address,bytes)'](BACTIONS, functionCall, {
-                from: user,
-            });
+            await userActions.joinSmartPool(
+                POOL,
+                toWei('80'),
+                [toWei('200'), toWei('0.5'), toWei('2')],
+            );
 
             const daiBalance = await dai.balanceOf(user);
             const mkrBalance = await mkr.balanceOf(user);
@@ -274,35 +257,168 @@ contract('BActions', async (accounts) => {
         it('allows joinswap from user', async () => {
             const crp = await ConfigurableRightsPool.at(POOL);
 
-            const joinswapExternAmountInInterface = BActions.abi
-                .find((iface) => iface.name === 'joinswapExternAmountIn');
-            const params = [
+            const initialDaiBalance = await dai.balanceOf(user);
+            const initialMkrBalance = await mkr.balanceOf(user);
+            const initialWethBalance = await weth.balanceOf(user);
+            const initialShareBalance = await crp.balanceOf(user);
+
+            await userActions.joinswapExternAmountIn(
                 POOL,
                 MKR,
                 toWei('0.3'),
                 toWei('14'),
-            ];
+            );
+
+            const daiBalance = await dai.balanceOf(user);
+            const mkrBalance = await mkr.balanceOf(user);
+            const wethBalance = await weth.balanceOf(user);
+            const shareBalance = await crp.balanceOf(user);
+
+            assert.equal(fromWei(daiBalance), fromWei(initialDaiBalance));
+            assert.equal(parseFloat(fromWei(initialMkrBalance.sub(mkrBalance))), 0.3);
+            assert.equal(fromWei(wethBalance), fromWei(initialWethBalance));
+            assert.isAtLeast(parseFloat(fromWei(shareBalance.sub(initialShareBalance))), 14);
+        });
+
+        it('allows exit from user', async () => {
+            const crp = await ConfigurableRightsPool.at(POOL);
 
             const initialDaiBalance = await dai.balanceOf(user);
             const initialMkrBalance = await mkr.balanceOf(user);
             const initialWethBalance = await weth.balanceOf(user);
             const initialShareBalance = await crp.balanceOf(user);
 
-            const functionCall = web3.eth.abi
-                .encodeFunctionCall(joinswapExternAmountInInterface, params);
-            await userProxy.methods['execute(address,bytes)'](BACTIONS, functionCall, {
-                from: user,
-            });
+            await crp.approve(USER_PROXY, MAX, { from: user });
+
+            await userActions.exitSmartPool(
+                POOL,
+                toWei('40'),
+                [toWei('0'), toWei('0'), toWei('0')],
+            );
 
             const daiBalance = await dai.balanceOf(user);
             const mkrBalance = await mkr.balanceOf(user);
             const wethBalance = await weth.balanceOf(user);
             const shareBalance = await crp.balanceOf(user);
 
+            assert.isAbove(parseFloat(fromWei(daiBalance.sub(initialDaiBalance))), 0);
+            assert.isAbove(parseFloat(fromWei(mkrBalance.sub(initialMkrBalance))), 0);
+            assert.isAbove(parseFloat(fromWei(wethBalance.sub(initialWethBalance))), 0);
+            assert.equal(fromWei(initialShareBalance.sub(shareBalance)), '40');
+
+            const proxyShareBalance = await crp.balanceOf(USER_PROXY);
+            assert.equal(proxyShareBalance, 0);
+        });
+
+        it('does not allow exit below minimum amounts out', async () => {
+            await truffleAssert.fails(
+                userActions.exitSmartPool(
+                    POOL,
+                    toWei('10'),
+                    [toWei('0'), toWei('0'), toWei('5')],
+                ),
+                truffleAssert.ErrorType.REVERT,
+                'ERR_LIMIT_OUT',
+            );
+        });
+
+        it('allows joinswapPoolAmountOut from user', async () => {
+            const crp = await ConfigurableRightsPool.at(POOL);
+
+            const initialWethBalance = await weth.balanceOf(user);
+            const initialShareBalance = await crp.balanceOf(user);
+
+            await userActions.joinswapPoolAmountOut(
+                POOL,
+                WETH,
+                toWei('1'),
+                toWei('1'),
+            );
+
+            const wethBalance = await weth.balanceOf(user);
+            const shareBalance = await crp.balanceOf(user);
+            const proxyWethBalance = await weth.balanceOf(USER_PROXY);
+
+            assert.isBelow(parseFloat(fromWei(initialWethBalance.sub(wethBalance))), 1);
+            assert.isAbove(parseFloat(fromWei(initialWethBalance.sub(wethBalance))), 0);
+            assert.equal(fromWei(shareBalance.sub(initialShareBalance)), '1');
+            assert.equal(proxyWethBalance, 0);
+        });
+
+        it('allows exitswapPoolAmountIn from user', async () => {
+            const crp = await ConfigurableRightsPool.at(POOL);
+
+            const initialDaiBalance = await dai.balanceOf(user);
+            const initialMkrBalance = await mkr.balanceOf(user);
+            const initialShareBalance = await crp.balanceOf(user);
+
+            await crp.approve(USER_PROXY, MAX, { from: user });
+
+            await userActions.exitswapPoolAmountIn(
+                POOL,
+                MKR,
+                toWei('2'),
+                toWei('0.01'),
+            );
+
+            const daiBalance = await dai.balanceOf(user);
+            const mkrBalance = await mkr.balanceOf(user);
+            const shareBalance = await crp.balanceOf(user);
+
             assert.equal(fromWei(daiBalance), fromWei(initialDaiBalance));
-            assert.equal(parseFloat(fromWei(initialMkrBalance.sub(mkrBalance))), 0.3);
-            assert.equal(fromWei(wethBalance), fromWei(initialWethBalance));
-            assert.isAtLeast(parseFloat(fromWei(shareBalance.sub(initialShareBalance))), 14);
+            assert.isAtLeast(parseFloat(fromWei(mkrBalance.sub(initialMkrBalance))), 0.01);
+            assert.equal(fromWei(initialShareBalance.sub(shareBalance)), '2');
+        });
+
+        it('does not allow exitswapPoolAmountIn below minimum amount out', async () => {
+            await truffleAssert.fails(
+                userActions.exitswapPoolAmountIn(
+                    POOL,
+                    MKR,
+                    toWei('2'),
+                    toWei('1'),
+                ),
+                truffleAssert.ErrorType.REVERT,
+                'ERR_LIMIT_OUT',
+            );
+        });
+
+        it('allows exitswapExternAmountOut from user', async () => {
+            const crp = await ConfigurableRightsPool.at(POOL);
+
+            const initialDaiBalance = await dai.balanceOf(user);
+            const initialShareBalance = await crp.balanceOf(user);
+
+            await crp.approve(USER_PROXY, MAX, { from: user });
+
+            await userActions.exitswapExternAmountOut(
+                POOL,
+                DAI,
+                toWei('10'),
+                toWei('5'),
+            );
+
+            const daiBalance = await dai.balanceOf(user);
+            const shareBalance = await crp.balanceOf(user);
+            const proxyShareBalance = await crp.balanceOf(USER_PROXY);
+
+            assert.equal(fromWei(daiBalance.sub(initialDaiBalance)), '10');
+            assert.isBelow(parseFloat(fromWei(initialShareBalance.sub(shareBalance))), 5);
+            assert.isAbove(parseFloat(fromWei(initialShareBalance.sub(shareBalance))), 0);
+            assert.equal(proxyShareBalance, 0);
+        });
+
+        it('does not allow exitswapExternAmountOut above maximum pool amount in', async () => {
+            await truffleAssert.fails(
+                userActions.exitswapExternAmountOut(
+                    POOL,
+                    DAI,
+                    toWei('10'),
+                    toWei('0.1'),
+                ),
+                truffleAssert.ErrorType.REVERT,
+                'ERR_LIMIT_IN',
+            );
         });
     });
 });
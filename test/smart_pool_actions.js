@@ -1,5 +1,6 @@
 const truffleAssert = require('truffle-assertions');
-const util = require('util');
+const { createClient } = require('../lib/client');
+const { waitNBlocks, createSmartPool } = require('./helpers');
 
 const TToken = artifacts.require('TToken');
 const TTokenFactory = artifacts.require('TTokenFactory');
@@ -7,21 +8,9 @@ const BFactory = artifacts.require('BFactory');
 const CRPFactory = artifacts.require('CRPFactory');
 const BActions = artifacts.require('BActions');
 const DSProxyFactory = artifacts.require('DSProxyFactory');
-const DSProxy = artifacts.require('DSProxy');
 const BPool = artifacts.require('BPool');
 const ConfigurableRightsPool = artifacts.require('ConfigurableRightsPool');
 
-async function waitNBlocks(n) {
-    const send = util.promisify(web3.currentProvider.send);
-    await Promise.all(
-        [...Array(n).keys()].map((i) => send({
-            jsonrpc: '2.0',
-            method: 'evm_mine',
-            id: i,
-        })),
-    );
-}
-
 contract('BActions', async (accounts) => {
     const creator = accounts[0];
     const user = accounts[1];
@@ -38,9 +27,9 @@ contract('BActions', async (accounts) => {
         let CRP_FACTORY;
         let tokenFactory;
         let proxyFactory;
-        let creatorProxy;
+        let creatorActions;
         let CREATOR_PROXY;
-        let userProxy;
+        let userActions;
         let USER_PROXY;
         let POOL;
         let UNDERLYING_POOL;
@@ -82,10 +71,14 @@ contract('BActions', async (accounts) => {
 
             CREATOR_PROXY = await proxyFactory.build.call({ from: creator });
             await proxyFactory.build({ from: creator });
-            creatorProxy = await DSProxy.at(CREATOR_PROXY);
+            creatorActions = createClient(web3, {
+                proxy: CREATOR_PROXY, target: BACTIONS, abi: BActions.abi, from: creator,
+            });
             USER_PROXY = await proxyFactory.build.call({ from: user });
             await proxyFactory.build({ from: user });
-            userProxy = await DSProxy.at(USER_PROXY);
+            userActions = createClient(web3, {
+                proxy: USER_PROXY, target: BACTIONS, abi: BActions.abi, from: user,
+            });
 
             await dai.approve(CREATOR_PROXY, MAX);
             await mkr.approve(CREATOR_PROXY, MAX);
@@ -117,107 +110,91 @@ contract('BActions', async (accounts) => {
                 canChangeCap: true,
             };
 
-            const createSmartPoolInterface = BActions.abi
-                .find((iface) => iface.name === 'createSmartPool');
-
-            const params = [
+            ({ result: POOL } = await creatorActions.createSmartPool(
                 CRP_FACTORY,
                 FACTORY,
                 poolParams,
                 crpParams,
                 rights,
-            ];
-
-            const functionCall = web3.eth.abi
-                .encodeFunctionCall(createSmartPoolInterface, params);
-
-            const poolAddress = await creatorProxy.methods['execute(address,bytes)'].call(
-                BACTIONS, functionCall,
-            );
-            POOL = `0x${poolAddress.slice(-40)}`;
-
-            await creatorProxy.methods['execute(address,bytes)'](BACTIONS, functionCall);
+            ));
 
             const crp = await ConfigurableRightsPool.at(POOL);
             UNDERLYING_POOL = await crp.bPool();
         });
 
         it('does not allow joining', async () => {
-            const joinInterface = BActions.abi.find((iface) => iface.name === 'joinSmartPool');
-            const params = [
-                POOL,
-                toWei('40'),
-                [toWei('80'), toWei('0.2'), toWei('0.8')],
-            ];
-
-            const functionCall = web3.eth.abi.encodeFunctionCall(joinInterface, params);
             await truffleAssert.fails(
-                creatorProxy.methods['execute(address,bytes)'](BACTIONS, functionCall),
+                creatorActions.joinSmartPool(
+                    POOL,
+                    toWei('40'),
+                    [toWei('80'), toWei('0.2'), toWei('0.8')],
+                ),
                 truffleAssert.ErrorType.REVERT,
                 'ERR_NOT_ON_WHITELIST',
             );
         });
 
         it('does not allow joinswap', async () => {
-            const joinswapInterface = BActions.abi
-                .find((iface) => iface.name === 'joinswapExternAmountIn');
-            const params = [
-                POOL,
-                MKR,
-                toWei('0.3'),
-                toWei('7'),
-            ];
-
-            const functionCall = web3.eth.abi.encodeFunctionCall(joinswapInterface, params);
             await truffleAssert.fails(
-                creatorProxy.methods['execute(address,bytes)'](BACTIONS, functionCall),
+                creatorActions.joinswapExternAmountIn(
+                    POOL,
+                    MKR,
+                    toWei('0.3'),
+                    toWei('7'),
+                ),
                 truffleAssert.ErrorType.REVERT,
                 'ERR_NOT_ON_WHITELIST',
             );
         });
 
-        it('does not allow changing params by user', async () => {
-            const setPublicSwapInterface = BActions.abi
-                .find((iface) => iface.name === 'setPublicSwap');
-            let params = [
+        it('allows exiting without being whitelisted', async () => {
+            const crp = await ConfigurableRightsPool.at(POOL);
+
+            const isCreatorListed = await crp.canProvideLiquidity(CREATOR_PROXY);
+            assert.isFalse(isCreatorListed);
+
+            const initialDaiBalance = await dai.balanceOf(creator);
+            const initialShareBalance = await crp.balanceOf(creator);
+
+            await crp.approve(CREATOR_PROXY, MAX);
+
+            await creatorActions.exitSmartPool(
                 POOL,
-                false,
-            ];
+                toWei('50'),
+                [toWei('0'), toWei('0'), toWei('0')],
+            );
 
-            let functionCall = web3.eth.abi
-                .encodeFunctionCall(setPublicSwapInterface, params);
+            const daiBalance = await dai.balanceOf(creator);
+            const shareBalance = await crp.balanceOf(creator);
+
+            assert.equal(parseFloat(fromWei(daiBalance.sub(initialDaiBalance))), 100);
+            assert.equal(fromWei(initialShareBalance.sub(shareBalance)), '50');
+        });
+
+        it('does not allow changing params by user', async () => {
             await truffleAssert.fails(
-                userProxy.methods['execute(address,bytes)'](BACTIONS, functionCall, { from: user }),
+                userActions.setPublicSwap(
+                    POOL,
+                    false,
+                ),
                 truffleAssert.ErrorType.REVERT,
                 'ERR_NOT_CONTROLLER',
             );
 
-            const setSwapFeeInterface = BActions.abi
-                .find((iface) => iface.name === 'setSwapFee');
-            params = [
-                POOL,
-                toWei('0.01'),
-            ];
-
-            functionCall = web3.eth.abi
-                .encodeFunctionCall(setSwapFeeInterface, params);
             await truffleAssert.fails(
-                userProxy.methods['execute(address,bytes)'](BACTIONS, functionCall, { from: user }),
+                userActions.setSwapFee(
+                    POOL,
+                    toWei('0.01'),
+                ),
                 truffleAssert.ErrorType.REVERT,
                 'ERR_NOT_CONTROLLER',
             );
 
-            const setControllerInterface = BActions.abi
-                .find((iface) => iface.name === 'setController');
-            params = [
-                POOL,
-                USER_PROXY,
-            ];
-
-            functionCall = web3.eth.abi
-                .encodeFunctionCall(setControllerInterface, params);
             await truffleAssert.fails(
-                userProxy.methods['execute(address,bytes)'](BACTIONS, functionCall, { from: user }),
+                userActions.setController(
+                    POOL,
+                    USER_PROXY,
+                ),
                 truffleAssert.ErrorType.REVERT,
                 'ERR_NOT_CONTROLLER',
             );
@@ -229,16 +206,10 @@ contract('BActions', async (accounts) => {
             const initialPublicSwap = await bpool.isPublicSwap();
             assert.isTrue(initialPublicSwap, true);
 
-            const setPublicSwapInterface = BActions.abi
-                .find((iface) => iface.name === 'setPublicSwap');
-            const params = [
+            await creatorActions.setPublicSwap(
                 POOL,
                 false,
-            ];
-
-            const functionCall = web3.eth.abi
-                .encodeFunctionCall(setPublicSwapInterface, params);
-            await creatorProxy.methods['execute(address,bytes)'](BACTIONS, functionCall);
+            );
 
             const publicSwap = await bpool.isPublicSwap();
             assert.isFalse(publicSwap, false);
@@ -250,16 +221,10 @@ contract('BActions', async (accounts) => {
             const initialSwapFee = await bpool.getSwapFee();
             assert.equal(initialSwapFee, toWei('0.0015'));
 
-            const setSwapFeeInterface = BActions.abi
-                .find((iface) => iface.name === 'setSwapFee');
-            const params = [
+            await creatorActions.setSwapFee(
                 POOL,
                 toWei('0.01'),
-            ];
-
-            const functionCall = web3.eth.abi
-                .encodeFunctionCall(setSwapFeeInterface, params);
-            await creatorProxy.methods['execute(address,bytes)'](BACTIONS, functionCall);
+            );
 
             const swapFee = await bpool.getSwapFee();
             assert.equal(swapFee.toString(), toWei('0.01'));
@@ -271,16 +236,10 @@ contract('BActions', async (accounts) => {
             const initialController = await crp.getController();
             assert.equal(initialController, CREATOR_PROXY);
 
-            const setControllerInterface = BActions.abi
-                .find((iface) => iface.name === 'setController');
-            const params = [
+            await creatorActions.setController(
                 POOL,
                 USER_PROXY,
-            ];
-
-            const functionCall = web3.eth.abi
-                .encodeFunctionCall(setControllerInterface, params);
-            await creatorProxy.methods['execute(address,bytes)'](BACTIONS, functionCall);
+            );
 
             const controller = await crp.getController();
             assert.equal(controller.toString(), USER_PROXY);
@@ -290,33 +249,21 @@ contract('BActions', async (accounts) => {
             const crp = await ConfigurableRightsPool.at(POOL);
             const bpool = await BPool.at(UNDERLYING_POOL);
 
-            const setCapInterface = BActions.abi
-                .find((iface) => iface.name === 'setCap');
-            let params = [
+            await creatorActions.setCap(
                 POOL,
                 toWei('300'),
-            ];
+            );
 
-            let functionCall = web3.eth.abi
-                .encodeFunctionCall(setCapInterface, params);
-            await creatorProxy.methods['execute(address,bytes)'](BACTIONS, functionCall);
+            const initialWeight = await bpool.getDenormalizedWeight(MKR);
+            const initialMkrBalance = await mkr.balanceOf(creator);
+            const initialShareBalance = await crp.balanceOf(creator);
 
-            const increaseWeightInterface = BActions.abi
-                .find((iface) => iface.name === 'increaseWeight');
-            params = [
+            await creatorActions.increaseWeight(
                 POOL,
                 MKR,
                 toWei('20'),
                 toWei('1'),
-            ];
-
-            const initialWeight = await bpool.getDenormalizedWeight(MKR);
-            const initialMkrBalance = await mkr.balanceOf(creator);
-            const initialShareBalance = await crp.balanceOf(creator);
-
-            functionCall = web3.eth.abi
-                .encodeFunctionCall(increaseWeightInterface, params);
-            await creatorProxy.methods['execute(address,bytes)'](BACTIONS, functionCall);
+            );
 
             const weight = await bpool.getDenormalizedWeight(MKR);
             const mkrBalance = await mkr.balanceOf(creator);
@@ -332,24 +279,18 @@ contract('BActions', async (accounts) => {
             const crp = await ConfigurableRightsPool.at(POOL);
             const bpool = await BPool.at(UNDERLYING_POOL);
 
-            const decreaseWeightInterface = BActions.abi
-                .find((iface) => iface.name === 'decreaseWeight');
-            const params = [
-                POOL,
-                DAI,
-                toWei('2'),
-                toWei('40'),
-            ];
-
             const initialWeight = await bpool.getDenormalizedWeight(DAI);
             const initialDaiBalance = await dai.balanceOf(creator);
             const initialShareBalance = await crp.balanceOf(creator);
 
             await crp.approve(CREATOR_PROXY, MAX);
 
-            const functionCall = web3.eth.abi
-                .encodeFunctionCall(decreaseWeightInterface, params);
-            await creatorProxy.methods['execute(address,bytes)'](BACTIONS, functionCall);
+            await creatorActions.decreaseWeight(
+                POOL,
+                DAI,
+                toWei('2'),
+                toWei('40'),
+            );
 
             const weight = await bpool.getDenormalizedWeight(DAI);
             const daiBalance = await dai.balanceOf(creator);
@@ -378,17 +319,12 @@ contract('BActions', async (accounts) => {
             const startBlock = currentBlock + 10;
             const endBlock = startBlock + 10;
 
-            const updateWeightsGraduallyInterface = BActions.abi
-                .find((iface) => iface.name === 'updateWeightsGradually');
-            const params = [
+            await creatorActions.updateWeightsGradually(
                 POOL,
                 newWeights,
                 startBlock,
                 endBlock,
-            ];
-            const functionCall = web3.eth.abi
-                .encodeFunctionCall(updateWeightsGraduallyInterface, params);
-            await creatorProxy.methods['execute(address,bytes)'](BACTIONS, functionCall);
+            );
 
             // Wait until update complete
             await waitNBlocks(20);
@@ -410,16 +346,10 @@ contract('BActions', async (accounts) => {
             const initialCap = await crp.bspCap();
             assert.equal(initialCap, toWei('200'));
 
-            const setCapInterface = BActions.abi
-                .find((iface) => iface.name === 'setCap');
-            const params = [
+            await creatorActions.setCap(
                 POOL,
                 toWei('500'),
-            ];
-
-            const functionCall = web3.eth.abi
-                .encodeFunctionCall(setCapInterface, params);
-            await creatorProxy.methods['execute(address,bytes)'](BACTIONS, functionCall);
+            );
 
             const cap = await crp.bspCap();
             assert.equal(cap, toWei('500'));
@@ -440,43 +370,28 @@ contract('BActions', async (accounts) => {
             const initialShareBalance = await crp.balanceOf(creator);
 
             // Increase cap
-            const setCapInterface = BActions.abi
-                .find((iface) => iface.name === 'setCap');
-            let params = [
+            await creatorActions.setCap(
                 POOL,
                 toWei('500'),
-            ];
-            let functionCall = web3.eth.abi
-                .encodeFunctionCall(setCapInterface, params);
-            await creatorProxy.methods['execute(address,bytes)'](BACTIONS, functionCall);
+            );
 
             // Commit
-            const commitAddTokenInterface = BActions.abi
-                .find((iface) => iface.name === 'commitAddToken');
-            params = [
+            await creatorActions.commitAddToken(
                 POOL,
                 BAL,
                 toWei('5'),
                 toWei('10'),
-            ];
-            functionCall = web3.eth.abi
-                .encodeFunctionCall(commitAddTokenInterface, params);
-            await creatorProxy.methods['execute(address,bytes)'](BACTIONS, functionCall);
+            );
 
             // Wait to pass timelock
             await waitNBlocks(10);
 
             // Apply
-            const applyAddTokenInterface = BActions.abi
-                .find((iface) => iface.name === 'applyAddToken');
-            params = [
+            await creatorActions.applyAddToken(
                 POOL,
                 BAL,
                 toWei('5'),
-            ];
-            functionCall = web3.eth.abi
-                .encodeFunctionCall(applyAddTokenInterface, params);
-            await creatorProxy.methods['execute(address,bytes)'](BACTIONS, functionCall);
+            );
 
             const tokens = await bpool.getCurrentTokens();
             const balBalance = await bal.balanceOf(creator);
@@ -488,6 +403,29 @@ contract('BActions', async (accounts) => {
             assert.equal(parseInt(fromWei(shareBalance.sub(initialShareBalance)), 10), 50);
         });
 
+        it('checks the committed token and refunds the excess when adding it', async () => {
+            const bpool = await BPool.at(UNDERLYING_POOL);
+
+            await tokenFactory.build(toHex('BAL'), toHex('BAL'), 18);
+            const BAL = await tokenFactory.get.call(toHex('BAL'));
+            const bal = await TToken.at(BAL);
+            await bal.mint(creator, toWei('8'));
+            await bal.approve(CREATOR_PROXY, MAX);
+
+            await creatorActions.setCap(POOL, toWei('500'));
+            await creatorActions.commitAddToken(POOL, BAL, toWei('5'), toWei('10'));
+            await waitNBlocks(10);
+
+            await truffleAssert.reverts(creatorActions.applyAddToken(POOL, DAI, toWei('5')), 'ERR_NOT_COMMITTED');
+            await truffleAssert.reverts(creatorActions.applyAddToken(POOL, BAL, toWei('4')), 'ERR_LIMIT_IN');
+
+            const { actions } = await creatorActions.applyAddToken(POOL, BAL, toWei('8'));
+            assert.equal(await bpool.getBalance(BAL), toWei('5'));
+            assert.equal(await bal.balanceOf(creator), toWei('3'));
+            assert.equal(await bal.balanceOf(CREATOR_PROXY), '0');
+            assert.equal(actions[0].tokenAmountIn, toWei('5'));
+        });
+
         it('allows removing token from the pool', async () => {
             const bpool = await BPool.at(UNDERLYING_POOL);
             const crp = await ConfigurableRightsPool.at(POOL);
@@ -496,19 +434,13 @@ contract('BActions', async (accounts) => {
             const initialDaiBalance = await dai.balanceOf(creator);
             const initialShareBalance = await crp.balanceOf(creator);
 
-            const removeTokenInterface = BActions.abi
-                .find((iface) => iface.name === 'removeToken');
-            const params = [
+            await crp.approve(CREATOR_PROXY, MAX);
+
+            await creatorActions.removeToken(
                 POOL,
                 DAI,
                 toWei('50'),
-            ];
-
-            await crp.approve(CREATOR_PROXY, MAX);
-
-            const functionCall = web3.eth.abi
-                .encodeFunctionCall(removeTokenInterface, params);
-            await creatorProxy.methods['execute(address,bytes)'](BACTIONS, functionCall);
+            );
 
             const tokens = await bpool.getCurrentTokens();
             const daiBalance = await dai.balanceOf(creator);
@@ -528,23 +460,15 @@ contract('BActions', async (accounts) => {
             assert.equal(initialIsCreatorListed, false);
             assert.equal(initialIsUserListed, false);
 
-            const whitelistLPInterface = BActions.abi
-                .find((iface) => iface.name === 'whitelistLiquidityProvider');
-            let params = [
+            await creatorActions.whitelistLiquidityProvider(
                 POOL,
                 CREATOR_PROXY,
-            ];
-            let functionCall = web3.eth.abi
-                .encodeFunctionCall(whitelistLPInterface, params);
-            await creatorProxy.methods['execute(address,bytes)'](BACTIONS, functionCall);
+            );
 
-            params = [
+            await creatorActions.whitelistLiquidityProvider(
                 POOL,
                 USER_PROXY,
-            ];
-            functionCall = web3.eth.abi
-                .encodeFunctionCall(whitelistLPInterface, params);
-            await creatorProxy.methods['execute(address,bytes)'](BACTIONS, functionCall);
+            );
 
             const isCreatorListed = await crp.canProvideLiquidity(CREATOR_PROXY);
             const isUserListed = await crp.canProvideLiquidity(USER_PROXY);
@@ -555,27 +479,46 @@ contract('BActions', async (accounts) => {
         it('allows removing provider from the list', async () => {
             const crp = await ConfigurableRightsPool.at(POOL);
 
-            const whitelistLPInterface = BActions.abi
-                .find((iface) => iface.name === 'whitelistLiquidityProvider');
-            const params = [
-                POOL,
-                CREATOR_PROXY,
-            ];
-            let functionCall = web3.eth.abi
-                .encodeFunctionCall(whitelistLPInterface, params);
-            await creatorProxy.methods['execute(address,bytes)'](BACTIONS, functionCall);
+            await creatorActions.whitelistLiquidityProvider(POOL, CREATOR_PROXY);
 
             const initialIsListed = await crp.canProvideLiquidity(CREATOR_PROXY);
             assert.equal(initialIsListed, true);
 
-            const removeWhitelistedLPInterface = BActions.abi
-                .find((iface) => iface.name === 'removeWhitelistedLiquidityProvider');
-            functionCall = web3.eth.abi
-                .encodeFunctionCall(removeWhitelistedLPInterface, params);
-            await creatorProxy.methods['execute(address,bytes)'](BACTIONS, functionCall);
+            await creatorActions.removeWhitelistedLiquidityProvider(POOL, CREATOR_PROXY);
 
             const isListed = await crp.canProvideLiquidity(CREATOR_PROXY);
             assert.equal(isListed, false);
         });
+
+        it('adds and removes providers in bulk, skipping no-ops', async () => {
+            const crp = await ConfigurableRightsPool.at(POOL);
+            const OTHER = accounts[2];
+
+            await creatorActions.whitelistLiquidityProvider(POOL, CREATOR_PROXY);
+            await creatorActions.whitelistLiquidityProviders(POOL, [CREATOR_PROXY, USER_PROXY, USER_PROXY]);
+            assert.equal(await crp.canProvideLiquidity(CREATOR_PROXY), true);
+            assert.equal(await crp.canProvideLiquidity(USER_PROXY), true);
+
+            await creatorActions.removeWhitelistedLiquidityProviders(POOL, [USER_PROXY, OTHER, USER_PROXY]);
+            assert.equal(await crp.canProvideLiquidity(CREATOR_PROXY), true);
+            assert.equal(await crp.canProvideLiquidity(USER_PROXY), false);
+        });
+
+        it('needs the whitelist right for bulk changes, even when there is nothing to change', async () => {
+            const OPEN_POOL = await createSmartPool(creatorActions, {
+                tokens: [DAI, MKR],
+                balances: [toWei('50'), toWei('0.5')],
+                weights: [toWei('10'), toWei('10')],
+            });
+
+            await truffleAssert.reverts(
+                creatorActions.whitelistLiquidityProviders(OPEN_POOL, []),
+                'ERR_CANNOT_WHITELIST_LPS',
+            );
+            await truffleAssert.reverts(
+                creatorActions.removeWhitelistedLiquidityProviders(OPEN_POOL, []),
+                'ERR_CANNOT_WHITELIST_LPS',
+            );
+        });
     });
 });
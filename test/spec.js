@@ -0,0 +1,336 @@
+const truffleAssert = require('truffle-assertions');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run } = require('../lib/cli');
+const {
+    parseSpec, plan, formatPlan, apply,
+} = require('../lib/spec');
+const { waitNBlocks, fundTokens, buildProxy } = require('./helpers');
+
+const BFactory = artifacts.require('BFactory');
+const CRPFactory = artifacts.require('CRPFactory');
+const BPool = artifacts.require('BPool');
+const ConfigurableRightsPool = artifacts.require('ConfigurableRightsPool');
+
+contract('Pool specs', async (accounts) => {
+    const admin = accounts[0];
+    const { toWei, toBN } = web3.utils;
+
+    const MAX = web3.utils.toTwosComplement(-1);
+
+    let USER_PROXY;
+    let userActions;
+    let dai; let mkr; let weth; let usdc;
+    let DAI; let MKR; let WETH; let USDC;
+
+    before(async () => {
+        ({ proxy: USER_PROXY, actions: userActions } = await buildProxy(admin));
+        [dai, mkr, weth, usdc] = await fundTokens(admin, USER_PROXY, {
+            DAI: toWei('10000'), MKR: toWei('100'), WETH: toWei('100'), USDC: ['10000000000', 6],
+        });
+        [DAI, MKR, WETH, USDC] = [dai, mkr, weth, usdc].map((token) => token.address);
+    });
+
+    describe('Spec files', () => {
+        it('parses YAML and JSON', async () => {
+            const yaml = parseSpec([
+                'pool: "0x0000000000000000000000000000000000000001"',
+                'tokens:',
+                '  DAI: { balance: "400", weight: 50 }',
+                '  MKR: { balance: 1, weight: 50 }',
+                'swapFee: 0.3%',
+                'whitelist:',
+                '  - "0x0000000000000000000000000000000000000002"',
+            ].join('\n'));
+            assert.deepEqual(yaml.tokens.MKR, { balance: 1, weight: 50 });
+            assert.equal(yaml.swapFee, '0.3%');
+            assert.deepEqual(yaml.whitelist, ['0x0000000000000000000000000000000000000002']);
+
+            const json = parseSpec(JSON.stringify({ pool: yaml.pool, tokens: yaml.tokens }), 'json');
+            assert.deepEqual(json.tokens, yaml.tokens);
+        });
+
+        it('rejects specs without a pool or tokens', async () => {
+            assert.throws(() => parseSpec('tokens: {}'), 'Spec must name a pool');
+            assert.throws(() => parseSpec('pool: "0x01"'), 'Spec must list the pool tokens');
+        });
+    });
+
+    describe('BPool', () => {
+        let POOL;
+        let bpool;
+
+        before(async () => {
+            ({ result: POOL } = await userActions.create(
+                BFactory.address,
+                [DAI, MKR],
+                [toWei('400'), toWei('1')],
+                [toWei('5'), toWei('5')],
+                toWei('0.003'),
+                false,
+            ));
+            bpool = await BPool.at(POOL);
+        });
+
+        it('has nothing to do when the pool matches', async () => {
+            const planned = await plan(web3, {
+                pool: POOL,
+                tokens: { DAI: { balance: '400', weight: 50 }, MKR: { balance: '1', weight: 50 } },
+                swapFee: '0.003',
+                publicSwap: true,
+            });
+            assert.deepEqual(planned.steps, []);
+            assert.deepEqual(formatPlan(planned), [`${POOL} matches the spec`]);
+            assert.isUndefined(await apply(userActions, planned));
+        });
+
+        it('sets tokens, swap fee and public swap in one transaction', async () => {
+            const spec = {
+                pool: POOL,
+                symbols: { USDC },
+                tokens: {
+                    DAI: { balance: '500', weight: 40 },
+                    MKR: { balance: '1', weight: 40 },
+                    USDC: { balance: '10', weight: 20 },
+                },
+                swapFee: '1%',
+                publicSwap: false,
+            };
+            const planned = await plan(web3, spec);
+            assert.deepEqual(planned.steps, [
+                {
+                    action: 'setTokens',
+                    args: [
+                        POOL,
+                        [DAI, MKR, USDC],
+                        [toWei('500'), toWei('1'), '10000000'],
+                        [toWei('4'), toWei('4'), toWei('2')],
+                    ],
+                },
+                { action: 'setSwapFee', args: [POOL, toWei('0.01')] },
+                { action: 'setPublicSwap', args: [POOL, false] },
+            ]);
+            assert.equal(
+                formatPlan(planned)[1],
+                `setSwapFee(${POOL}, ${toWei('0.01')})`,
+            );
+
+            const nonce = await web3.eth.getTransactionCount(admin);
+            await apply(userActions, planned);
+            assert.equal(await web3.eth.getTransactionCount(admin), nonce + 1);
+
+            assert.equal(await bpool.getBalance(DAI), toWei('500'));
+            assert.equal(await bpool.getBalance(USDC), '10000000');
+            assert.equal(await bpool.getDenormalizedWeight(MKR), toWei('4'));
+            assert.equal(await bpool.getSwapFee(), toWei('0.01'));
+            assert.isFalse(await bpool.isPublicSwap());
+            assert.deepEqual((await plan(web3, spec)).steps, []);
+        });
+
+        it('unbinds tokens left out of the spec', async () => {
+            const before = await usdc.balanceOf(admin);
+            const planned = await plan(web3, {
+                pool: POOL,
+                tokens: { DAI: { balance: '500', weight: 50 }, MKR: { balance: '1', weight: 50 } },
+            });
+            assert.deepEqual(planned.steps, [{
+                action: 'setTokens',
+                args: [POOL, [USDC, DAI, MKR], ['0', toWei('500'), toWei('1')], ['0', toWei('5'), toWei('5')]],
+            }]);
+
+            await apply(userActions, planned);
+            assert.isFalse(await bpool.isBound(USDC));
+            assert.equal((await usdc.balanceOf(admin)).sub(before), '10000000');
+        });
+
+        it('rejects weights that do not add up and unknown symbols', async () => {
+            await truffleAssert.fails(
+                plan(web3, {
+                    pool: POOL,
+                    tokens: { DAI: { balance: '1', weight: 60 }, MKR: { balance: '1', weight: 50 } },
+                }),
+                'Token weights add up to 110%, not 100%',
+            );
+            await truffleAssert.fails(
+                plan(web3, { pool: POOL, tokens: { BAT: { balance: '1', weight: 100 } } }),
+                'Unknown token BAT, add its address to symbols',
+            );
+        });
+
+        it('rejects changes to finalized pools and smart pool settings', async () => {
+            await userActions.finalize(POOL);
+            const spec = {
+                pool: POOL,
+                tokens: { DAI: { balance: '500', weight: 50 }, MKR: { balance: '1', weight: 50 } },
+                swapFee: '0.02',
+                cap: '100',
+            };
+            await truffleAssert.fails(plan(web3, spec), 'swapFee differs but the pool cannot change its swap fee');
+            await truffleAssert.fails(plan(web3, spec), 'cap only applies to smart pools');
+        });
+    });
+
+    describe('Smart pool', () => {
+        let CRP;
+        let crp;
+        let bpool;
+
+        const spec = () => ({
+            pool: CRP,
+            symbols: { WETH },
+            totalWeight: 12.5,
+            tokens: {
+                DAI: { balance: '400', weight: 40 },
+                MKR: { balance: '1', weight: 40 },
+                WETH: { balance: '4', weight: 20 },
+            },
+            swapFee: '0.5%',
+            rights: { canAddRemoveTokens: true, canWhitelistLPs: true },
+            cap: '1000',
+            whitelist: [accounts[3]],
+        });
+
+        before(async () => {
+            ({ result: CRP } = await userActions.createSmartPool(
+                CRPFactory.address,
+                BFactory.address,
+                {
+                    poolTokenSymbol: 'SPEC',
+                    poolTokenName: 'Spec Pool',
+                    constituentTokens: [DAI, MKR],
+                    tokenBalances: [toWei('400'), toWei('1')],
+                    tokenWeights: [toWei('5'), toWei('5')],
+                    swapFee: toWei('0.003'),
+                },
+                { initialSupply: toWei('100'), minimumWeightChangeBlockPeriod: 10, addTokenTimeLockInBlocks: 10 },
+                {
+                    canPauseSwapping: true,
+                    canChangeSwapFee: true,
+                    canChangeWeights: true,
+                    canAddRemoveTokens: true,
+                    canWhitelistLPs: true,
+                    canChangeCap: true,
+                },
+            ));
+            crp = await ConfigurableRightsPool.at(CRP);
+            bpool = await BPool.at(await crp.bPool());
+            await crp.approve(USER_PROXY, MAX);
+        });
+
+        it('checks rights', async () => {
+            await truffleAssert.fails(
+                plan(web3, { ...spec(), rights: { canChangeCap: false, canMint: true } }),
+                'rights.canChangeCap is true on chain, rights are set at creation',
+            );
+            await truffleAssert.fails(
+                plan(web3, { ...spec(), rights: { canMint: true } }),
+                'Unknown right canMint',
+            );
+        });
+
+        it('commits new tokens and applies settings', async () => {
+            const planned = await plan(web3, spec());
+            assert.isTrue(planned.smart);
+            assert.deepEqual(planned.steps, [
+                { action: 'setCap', args: [CRP, toWei('1000')] },
+                { action: 'setSwapFee', args: [CRP, toWei('0.005')] },
+                { action: 'whitelistLiquidityProvider', args: [CRP, accounts[3]] },
+                { action: 'commitAddToken', args: [CRP, WETH, toWei('4'), toWei('2.5')] },
+            ]);
+            assert.deepEqual(planned.notes, [
+                'WETH can be added 10 blocks after the commit, run apply again',
+                'Weights are changed once the tokens match the spec',
+            ]);
+
+            await apply(userActions, planned);
+            assert.equal(await crp.bspCap(), toWei('1000'));
+            assert.equal(await bpool.getSwapFee(), toWei('0.005'));
+            assert.isTrue(await crp.canProvideLiquidity(accounts[3]));
+            assert.isTrue((await crp.newToken()).isCommitted);
+        });
+
+        it('adds committed tokens after the timelock', async () => {
+            const pending = await plan(web3, spec());
+            const { commitBlock } = await crp.newToken();
+            assert.deepEqual(pending.steps, []);
+            assert.include(formatPlan(pending), `note: WETH can be added from block ${Number(commitBlock) + 10}`);
+
+            await waitNBlocks(10);
+            const planned = await plan(web3, spec());
+            assert.deepEqual(planned.steps, [{ action: 'applyAddToken', args: [CRP, WETH, toWei('4')] }]);
+
+            const before = await crp.balanceOf(admin);
+            await apply(userActions, planned);
+            assert.isTrue(await bpool.isBound(WETH));
+            assert.equal(await bpool.getDenormalizedWeight(WETH), toWei('2.5'));
+            assert.equal((await crp.balanceOf(admin)).sub(before), toWei('25'));
+            assert.deepEqual(formatPlan(await plan(web3, spec())), [`${CRP} matches the spec`]);
+        });
+
+        it('removes tokens with the exact pool amount', async () => {
+            const planned = await plan(web3, {
+                pool: CRP,
+                tokens: { DAI: { balance: '400', weight: 50 }, MKR: { balance: '1', weight: 50 } },
+            });
+            // 125 shares * 2.5 / 12.5
+            assert.deepEqual(planned.steps, [{ action: 'removeToken', args: [CRP, WETH, toWei('25')] }]);
+
+            const before = await crp.balanceOf(admin);
+            await apply(userActions, planned);
+            assert.isFalse(await bpool.isBound(WETH));
+            assert.equal(before.sub(await crp.balanceOf(admin)), toWei('25'));
+            assert.equal(await crp.balanceOf(USER_PROXY), 0);
+        });
+
+        it('updates weights gradually', async () => {
+            const spec2 = {
+                pool: CRP,
+                tokens: { DAI: { balance: '400', weight: 60 }, MKR: { balance: '1', weight: 40 } },
+                whitelist: { [accounts[3]]: false },
+            };
+            const planned = await plan(web3, spec2);
+            const block = await web3.eth.getBlockNumber();
+            assert.deepEqual(planned.steps, [
+                { action: 'removeWhitelistedLiquidityProvider', args: [CRP, accounts[3]] },
+                {
+                    action: 'updateWeightsGradually',
+                    args: [CRP, [toWei('6'), toWei('4')], String(block), String(block + 10)],
+                },
+            ]);
+
+            await apply(userActions, planned);
+            assert.isFalse(await crp.canProvideLiquidity(accounts[3]));
+            const pending = await plan(web3, spec2);
+            assert.deepEqual(pending.steps, []);
+            assert.deepEqual(pending.notes, [
+                `Weights are being updated until block ${block + 10}, poke them to finish`,
+            ]);
+        });
+
+        it('plans and applies spec files from the command line', async () => {
+            const file = path.join(os.tmpdir(), `bactions-spec-${Date.now()}.yml`);
+            fs.writeFileSync(file, `pool: "${CRP}"\ntokens:\n  DAI: { balance: 400, weight: 50 }\n`
+                + '  MKR: { balance: 1, weight: 50 }\ncap: unlimited\n');
+            const lines = [];
+            const options = {
+                web3,
+                artifacts: (name) => artifacts.require(name),
+                log: (line) => lines.push(line),
+            };
+
+            try {
+                await run(['spec', 'plan', file], options);
+                assert.deepEqual(lines.slice(0, 1), [`setCap(${CRP}, ${toBN(MAX)})`]);
+                assert.equal(await crp.bspCap(), toWei('1000'));
+
+                lines.length = 0;
+                await run(['spec', 'apply', file, '--proxy', USER_PROXY], options);
+                assert.isTrue(lines.some((line) => /^tx: 0x/.test(line)));
+                assert.equal(await crp.bspCap(), toBN(MAX).toString());
+            } finally {
+                fs.unlinkSync(file);
+            }
+        });
+    });
+});
@@ -0,0 +1,314 @@
+const truffleAssert = require('truffle-assertions');
+const { createClient } = require('../lib/client');
+
+const TToken = artifacts.require('TToken');
+const TTokenFactory = artifacts.require('TTokenFactory');
+const BFactory = artifacts.require('BFactory');
+const BActions = artifacts.require('BActions');
+const BSwaps = artifacts.require('BSwaps');
+const DSProxyFactory = artifacts.require('DSProxyFactory');
+const BPool = artifacts.require('BPool');
+
+contract('BSwaps', async (accounts) => {
+    const creator = accounts[0];
+    const user = accounts[1];
+    const { toHex, toWei } = web3.utils;
+
+    const MAX = web3.utils.toTwosComplement(-1);
+
+    describe('Swaps', () => {
+        let BACTIONS;
+        let BSWAPS;
+        let factory;
+        let FACTORY;
+        let tokenFactory;
+        let proxyFactory;
+        let creatorActions;
+        let CREATOR_PROXY;
+        let userSwaps;
+        let USER_PROXY;
+        let DAI_WETH_POOL;
+        let WETH_MKR_POOL;
+        let dai; let mkr; let weth;
+        let DAI; let MKR; let WETH;
+
+        async function createPool(tokens, balances, weights) {
+            const { result } = await creatorActions.create(
+                FACTORY,
+                tokens,
+                balances,
+                weights,
+                toWei('0.0015'),
+                true,
+            );
+            return result;
+        }
+
+        before(async () => {
+            proxyFactory = await DSProxyFactory.deployed();
+
+            BACTIONS = (await BActions.deployed()).address;
+            BSWAPS = (await BSwaps.deployed()).address;
+
+            tokenFactory = await TTokenFactory.deployed();
+            factory = await BFactory.deployed();
+            FACTORY = factory.address;
+
+            await tokenFactory.build(toHex('DAI'), toHex('DAI'), 18);
+            await tokenFactory.build(toHex('MKR'), toHex('MKR'), 18);
+            await tokenFactory.build(toHex('WETH'), toHex('WETH'), 18);
+
+            DAI = await tokenFactory.get.call(toHex('DAI'));
+            MKR = await tokenFactory.get.call(toHex('MKR'));
+            WETH = await tokenFactory.get.call(toHex('WETH'));
+
+            dai = await TToken.at(DAI);
+            mkr = await TToken.at(MKR);
+            weth = await TToken.at(WETH);
+
+            await dai.mint(creator, toWei('400'));
+            await mkr.mint(creator, toWei('2'));
+            await weth.mint(creator, toWei('8'));
+
+            await dai.mint(user, toWei('200'));
+
+            CREATOR_PROXY = await proxyFactory.build.call({ from: creator });
+            await proxyFactory.build({ from: creator });
+            creatorActions = createClient(web3, {
+                proxy: CREATOR_PROXY, target: BACTIONS, abi: BActions.abi, from: creator,
+            });
+            USER_PROXY = await proxyFactory.build.call({ from: user });
+            await proxyFactory.build({ from: user });
+            userSwaps = createClient(web3, {
+                proxy: USER_PROXY, target: BSWAPS, abi: BSwaps.abi, from: user,
+            });
+
+            await dai.approve(CREATOR_PROXY, MAX);
+            await mkr.approve(CREATOR_PROXY, MAX);
+            await weth.approve(CREATOR_PROXY, MAX);
+
+            await dai.approve(USER_PROXY, MAX, { from: user });
+            await weth.approve(USER_PROXY, MAX, { from: user });
+
+            DAI_WETH_POOL = await createPool(
+                [DAI, WETH],
+                [toWei('400'), toWei('4')],
+                [toWei('10'), toWei('10')],
+            );
+            WETH_MKR_POOL = await createPool(
+                [WETH, MKR],
+                [toWei('4'), toWei('2')],
+                [toWei('10'), toWei('10')],
+            );
+        });
+
+        it('allows swapExactAmountIn', async () => {
+            const bpool = await BPool.at(DAI_WETH_POOL);
+            const expectedAmountOut = await bpool.calcOutGivenIn(
+                await bpool.getBalance(DAI),
+                await bpool.getDenormalizedWeight(DAI),
+                await bpool.getBalance(WETH),
+                await bpool.getDenormalizedWeight(WETH),
+                toWei('10'),
+                await bpool.getSwapFee(),
+            );
+
+            const initialDaiBalance = await dai.balanceOf(user);
+            const initialWethBalance = await weth.balanceOf(user);
+
+            await userSwaps.swapExactAmountIn(
+                DAI_WETH_POOL,
+                DAI,
+                toWei('10'),
+                WETH,
+                toWei('0.05'),
+                MAX,
+            );
+
+            const daiBalance = await dai.balanceOf(user);
+            const wethBalance = await weth.balanceOf(user);
+
+            assert.equal(initialDaiBalance.sub(daiBalance).toString(), toWei('10'));
+            assert.equal(wethBalance.sub(initialWethBalance).toString(), expectedAmountOut.toString());
+        });
+
+        it('does not allow swapExactAmountIn below minimum amount out', async () => {
+            await truffleAssert.fails(
+                userSwaps.swapExactAmountIn(
+                    DAI_WETH_POOL,
+                    DAI,
+                    toWei('10'),
+                    WETH,
+                    toWei('1'),
+                    MAX,
+                ),
+                truffleAssert.ErrorType.REVERT,
+                'ERR_LIMIT_OUT',
+            );
+        });
+
+        it('does not allow swapExactAmountIn above maximum price', async () => {
+            await truffleAssert.fails(
+                userSwaps.swapExactAmountIn(
+                    DAI_WETH_POOL,
+                    DAI,
+                    toWei('10'),
+                    WETH,
+                    toWei('0'),
+                    toWei('50'),
+                ),
+                truffleAssert.ErrorType.REVERT,
+                'ERR_BAD_LIMIT_PRICE',
+            );
+        });
+
+        it('allows swapExactAmountOut and refunds unused input', async () => {
+            const bpool = await BPool.at(DAI_WETH_POOL);
+            const expectedAmountIn = await bpool.calcInGivenOut(
+                await bpool.getBalance(DAI),
+                await bpool.getDenormalizedWeight(DAI),
+                await bpool.getBalance(WETH),
+                await bpool.getDenormalizedWeight(WETH),
+                toWei('0.05'),
+                await bpool.getSwapFee(),
+            );
+
+            const initialDaiBalance = await dai.balanceOf(user);
+            const initialWethBalance = await weth.balanceOf(user);
+
+            await userSwaps.swapExactAmountOut(
+                DAI_WETH_POOL,
+                DAI,
+                toWei('20'),
+                WETH,
+                toWei('0.05'),
+                MAX,
+            );
+
+            const daiBalance = await dai.balanceOf(user);
+            const wethBalance = await weth.balanceOf(user);
+            const proxyDaiBalance = await dai.balanceOf(USER_PROXY);
+
+            assert.equal(initialDaiBalance.sub(daiBalance).toString(), expectedAmountIn.toString());
+            assert.equal(wethBalance.sub(initialWethBalance).toString(), toWei('0.05'));
+            assert.equal(proxyDaiBalance, 0);
+        });
+
+        it('does not allow swapExactAmountOut above maximum amount in', async () => {
+            await truffleAssert.fails(
+                userSwaps.swapExactAmountOut(
+                    DAI_WETH_POOL,
+                    DAI,
+                    toWei('1'),
+                    WETH,
+                    toWei('0.05'),
+                    MAX,
+                ),
+                truffleAssert.ErrorType.REVERT,
+                'ERR_LIMIT_IN',
+            );
+        });
+
+        it('allows multihop swapExactAmountIn', async () => {
+            const initialDaiBalance = await dai.balanceOf(user);
+            const initialWethBalance = await weth.balanceOf(user);
+            const initialMkrBalance = await mkr.balanceOf(user);
+
+            await userSwaps.multihopSwapExactAmountIn(
+                [DAI_WETH_POOL, WETH_MKR_POOL],
+                [DAI, WETH, MKR],
+                [MAX, MAX],
+                toWei('10'),
+                toWei('0.01'),
+            );
+
+            const daiBalance = await dai.balanceOf(user);
+            const wethBalance = await weth.balanceOf(user);
+            const mkrBalance = await mkr.balanceOf(user);
+            const proxyWethBalance = await weth.balanceOf(USER_PROXY);
+
+            assert.equal(initialDaiBalance.sub(daiBalance).toString(), toWei('10'));
+            assert.equal(wethBalance.toString(), initialWethBalance.toString());
+            assert.isTrue(mkrBalance.sub(initialMkrBalance).gte(web3.utils.toBN(toWei('0.01'))));
+            assert.equal(proxyWethBalance, 0);
+        });
+
+        it('does not allow multihop swapExactAmountIn below minimum amount out', async () => {
+            await truffleAssert.fails(
+                userSwaps.multihopSwapExactAmountIn(
+                    [DAI_WETH_POOL, WETH_MKR_POOL],
+                    [DAI, WETH, MKR],
+                    [MAX, MAX],
+                    toWei('10'),
+                    toWei('1'),
+                ),
+                truffleAssert.ErrorType.REVERT,
+                'ERR_LIMIT_OUT',
+            );
+        });
+
+        it('allows multihop swapExactAmountOut', async () => {
+            const initialDaiBalance = await dai.balanceOf(user);
+            const initialMkrBalance = await mkr.balanceOf(user);
+
+            const { result: amountIn } = await userSwaps.multihopSwapExactAmountOut(
+                [DAI_WETH_POOL, WETH_MKR_POOL],
+                [DAI, WETH, MKR],
+                [MAX, MAX],
+                toWei('20'),
+                toWei('0.01'),
+            );
+
+            const daiBalance = await dai.balanceOf(user);
+            const mkrBalance = await mkr.balanceOf(user);
+            const proxyDaiBalance = await dai.balanceOf(USER_PROXY);
+            const proxyWethBalance = await weth.balanceOf(USER_PROXY);
+
+            assert.equal(initialDaiBalance.sub(daiBalance).toString(), amountIn);
+            assert.equal(mkrBalance.sub(initialMkrBalance).toString(), toWei('0.01'));
+            assert.equal(proxyDaiBalance, 0);
+            assert.equal(proxyWethBalance, 0);
+        });
+
+        it('does not allow multihop swapExactAmountOut above maximum amount in', async () => {
+            await truffleAssert.fails(
+                userSwaps.multihopSwapExactAmountOut(
+                    [DAI_WETH_POOL, WETH_MKR_POOL],
+                    [DAI, WETH, MKR],
+                    [MAX, MAX],
+                    toWei('1'),
+                    toWei('0.01'),
+                ),
+                truffleAssert.ErrorType.REVERT,
+                'ERR_LIMIT_IN',
+            );
+        });
+
+        it('does not allow multihop swapExactAmountOut through the same pool twice', async () => {
+            await truffleAssert.reverts(
+                userSwaps.multihopSwapExactAmountOut(
+                    [DAI_WETH_POOL, DAI_WETH_POOL],
+                    [DAI, WETH, DAI],
+                    [MAX, MAX],
+                    toWei('20'),
+                    toWei('1'),
+                ),
+                'ERR_REPEATED_POOL',
+            );
+        });
+
+        it('does not allow mismatched path', async () => {
+            await truffleAssert.fails(
+                userSwaps.multihopSwapExactAmountIn(
+                    [DAI_WETH_POOL, WETH_MKR_POOL],
+                    [DAI, MKR],
+                    [MAX, MAX],
+                    toWei('10'),
+                    toWei('0'),
+                ),
+                truffleAssert.ErrorType.REVERT,
+                'ERR_LENGTH_MISMATCH',
+            );
+        });
+    });
+});
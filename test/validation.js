@@ -0,0 +1,171 @@
+const truffleAssert = require('truffle-assertions');
+const { createClient } = require('../lib/client');
+
+const TToken = artifacts.require('TToken');
+const TTokenFactory = artifacts.require('TTokenFactory');
+const BFactory = artifacts.require('BFactory');
+const CRPFactory = artifacts.require('CRPFactory');
+const BActions = artifacts.require('BActions');
+const BSwaps = artifacts.require('BSwaps');
+const DSProxyFactory = artifacts.require('DSProxyFactory');
+const BPool = artifacts.require('BPool');
+
+contract('BActions', async (accounts) => {
+    const admin = accounts[0];
+    const { toHex, toWei } = web3.utils;
+
+    const MAX = web3.utils.toTwosComplement(-1);
+
+    describe('Pool validation', () => {
+        let factory;
+        let FACTORY;
+        let crpFactory;
+        let CRP_FACTORY;
+        let ROGUE_FACTORY;
+        let bactions;
+        let BACTIONS;
+        let USER_PROXY;
+        let userActions;
+        let userSwaps;
+        let POOL;
+        let ROGUE_POOL;
+        let dai; let mkr;
+        let DAI; let MKR;
+
+        const poolParams = (tokens) => ({
+            poolTokenSymbol: 'TEST',
+            poolTokenName: 'Test Pool',
+            constituentTokens: tokens,
+            tokenBalances: [toWei('40'), toWei('1')],
+            tokenWeights: [toWei('5'), toWei('5')],
+            swapFee: toWei('0.003'),
+        });
+        const crpParams = {
+            initialSupply: toWei('100'),
+            minimumWeightChangeBlockPeriod: 10,
+            addTokenTimeLockInBlocks: 10,
+        };
+        const rights = {
+            canPauseSwapping: false,
+            canChangeSwapFee: false,
+            canChangeWeights: false,
+            canAddRemoveTokens: false,
+            canWhitelistLPs: false,
+            canChangeCap: false,
+        };
+
+        before(async () => {
+            bactions = await BActions.deployed();
+            BACTIONS = bactions.address;
+            factory = await BFactory.deployed();
+            FACTORY = factory.address;
+            crpFactory = await CRPFactory.deployed();
+            CRP_FACTORY = crpFactory.address;
+
+            const tokens = await TTokenFactory.deployed();
+            await tokens.build(toHex('DAI'), toHex('DAI'), 18);
+            await tokens.build(toHex('MKR'), toHex('MKR'), 18);
+            DAI = await tokens.get.call(toHex('DAI'));
+            MKR = await tokens.get.call(toHex('MKR'));
+            dai = await TToken.at(DAI);
+            mkr = await TToken.at(MKR);
+
+            await dai.mint(admin, toWei('1000'));
+            await mkr.mint(admin, toWei('20'));
+
+            const proxyFactory = await DSProxyFactory.deployed();
+            USER_PROXY = await proxyFactory.build.call();
+            await proxyFactory.build();
+            userActions = createClient(web3, {
+                proxy: USER_PROXY, target: BACTIONS, abi: BActions.abi, from: admin,
+            });
+            userSwaps = createClient(web3, {
+                proxy: USER_PROXY, target: (await BSwaps.deployed()).address, abi: BSwaps.abi, from: admin,
+            });
+
+            await dai.approve(USER_PROXY, MAX);
+            await mkr.approve(USER_PROXY, MAX);
+
+            ({ result: POOL } = await userActions.create(
+                FACTORY, [DAI, MKR], [toWei('40'), toWei('1')], [toWei('5'), toWei('5')], toWei('0.003'), true,
+            ));
+
+            // A genuine BPool, but deployed by a factory BActions does not know about
+            const rogueFactory = await BFactory.new();
+            ROGUE_FACTORY = rogueFactory.address;
+            ROGUE_POOL = await rogueFactory.newBPool.call();
+            await rogueFactory.newBPool();
+            const roguePool = await BPool.at(ROGUE_POOL);
+            await dai.approve(ROGUE_POOL, MAX);
+            await mkr.approve(ROGUE_POOL, MAX);
+            await roguePool.bind(DAI, toWei('40'), toWei('5'));
+            await roguePool.bind(MKR, toWei('1'), toWei('5'));
+            await roguePool.finalize();
+        });
+
+        it('exposes the trusted factories', async () => {
+            assert.equal(await bactions.trustedBFactory(), FACTORY);
+            assert.equal(await bactions.trustedCrpFactory(), CRP_FACTORY);
+        });
+
+        it('rejects pool creation through an unknown factory', async () => {
+            await truffleAssert.reverts(
+                userActions.create(
+                    ROGUE_FACTORY, [DAI, MKR], [toWei('40'), toWei('1')], [toWei('5'), toWei('5')], toWei('0.003'),
+                    true,
+                ),
+                'ERR_UNKNOWN_BFACTORY',
+            );
+        });
+
+        it('rejects smart pool creation through unknown factories', async () => {
+            await truffleAssert.reverts(
+                userActions.createSmartPool(FACTORY, FACTORY, poolParams([DAI, MKR]), crpParams, rights),
+                'ERR_UNKNOWN_CRP_FACTORY',
+            );
+
+            await truffleAssert.reverts(
+                userActions.createSmartPool(CRP_FACTORY, ROGUE_FACTORY, poolParams([DAI, MKR]), crpParams, rights),
+                'ERR_UNKNOWN_BFACTORY',
+            );
+        });
+
+        it('rejects joining a pool from an unknown factory', async () => {
+            await truffleAssert.reverts(
+                userActions.joinPool(ROGUE_POOL, toWei('1'), [MAX, MAX]),
+                'ERR_UNKNOWN_POOL',
+            );
+
+            await truffleAssert.reverts(
+                userActions.joinswapExternAmountIn(ROGUE_POOL, DAI, toWei('1'), 0),
+                'ERR_UNKNOWN_POOL',
+            );
+        });
+
+        it('rejects a BPool where a smart pool is expected', async () => {
+            await truffleAssert.reverts(
+                userActions.joinSmartPool(POOL, toWei('1'), [MAX, MAX]),
+                'ERR_UNKNOWN_CRP',
+            );
+        });
+
+        it('rejects swaps routed through an unknown pool', async () => {
+            await truffleAssert.reverts(
+                userSwaps.swapExactAmountIn(ROGUE_POOL, DAI, toWei('1'), MKR, 0, MAX),
+                'ERR_UNKNOWN_POOL',
+            );
+
+            await truffleAssert.reverts(
+                userSwaps.multihopSwapExactAmountIn([POOL, ROGUE_POOL], [DAI, MKR, DAI], [MAX, MAX], toWei('1'), 0),
+                'ERR_UNKNOWN_POOL',
+            );
+        });
+
+        it('still works with pools from the trusted factory', async () => {
+            await userActions.joinPool(POOL, toWei('1'), [toWei('1'), toWei('0.1')]);
+
+            const bpool = await BPool.at(POOL);
+            assert.equal(await bpool.balanceOf(admin), toWei('101'));
+        });
+    });
+});
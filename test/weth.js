@@ -0,0 +1,255 @@
+const truffleAssert = require('truffle-assertions');
+const { createClient } = require('../lib/client');
+
+const TToken = artifacts.require('TToken');
+const TTokenFactory = artifacts.require('TTokenFactory');
+const WETH9 = artifacts.require('WETH9');
+const BFactory = artifacts.require('BFactory');
+const CRPFactory = artifacts.require('CRPFactory');
+const BActions = artifacts.require('BActions');
+const DSProxyFactory = artifacts.require('DSProxyFactory');
+const BPool = artifacts.require('BPool');
+const ConfigurableRightsPool = artifacts.require('ConfigurableRightsPool');
+
+contract('BActions', async (accounts) => {
+    const creator = accounts[0];
+    const user = accounts[1];
+    const { toHex, toWei, toBN } = web3.utils;
+
+    const MAX = web3.utils.toTwosComplement(-1);
+
+    describe('Native ETH', () => {
+        let bactions;
+        let BACTIONS;
+        let factory;
+        let FACTORY;
+        let crpFactory;
+        let CRP_FACTORY;
+        let tokenFactory;
+        let proxyFactory;
+        let creatorActions;
+        let CREATOR_PROXY;
+        let userActions;
+        let USER_PROXY;
+        let POOL;
+        let SMART_POOL;
+        let dai; let weth;
+        let DAI; let WETH;
+
+        before(async () => {
+            proxyFactory = await DSProxyFactory.deployed();
+
+            bactions = await BActions.deployed();
+            BACTIONS = bactions.address;
+
+            factory = await BFactory.deployed();
+            FACTORY = factory.address;
+
+            crpFactory = await CRPFactory.deployed();
+            CRP_FACTORY = crpFactory.address;
+
+            weth = await WETH9.deployed();
+            WETH = weth.address;
+
+            tokenFactory = await TTokenFactory.deployed();
+            await tokenFactory.build(toHex('DAI'), toHex('DAI'), 18);
+            DAI = await tokenFactory.get.call(toHex('DAI'));
+            dai = await TToken.at(DAI);
+
+            await dai.mint(creator, toWei('1000'));
+            await dai.mint(user, toWei('1000'));
+
+            CREATOR_PROXY = await proxyFactory.build.call({ from: creator });
+            await proxyFactory.build({ from: creator });
+            creatorActions = createClient(web3, {
+                proxy: CREATOR_PROXY, target: BACTIONS, abi: BActions.abi, from: creator,
+            });
+            USER_PROXY = await proxyFactory.build.call({ from: user });
+            await proxyFactory.build({ from: user });
+            userActions = createClient(web3, {
+                proxy: USER_PROXY, target: BACTIONS, abi: BActions.abi, from: user,
+            });
+
+            await dai.approve(CREATOR_PROXY, MAX);
+            await dai.approve(USER_PROXY, MAX, { from: user });
+        });
+
+        it('is configured with WETH', async () => {
+            const bactionsWeth = await bactions.weth();
+            assert.equal(bactionsWeth, WETH);
+        });
+
+        it('wraps ETH on pool creation', async () => {
+            const initialEthBalance = toBN(await web3.eth.getBalance(creator));
+
+            ({ result: POOL } = await creatorActions.create(
+                FACTORY,
+                [DAI, WETH],
+                [toWei('400'), toWei('2')],
+                [toWei('10'), toWei('10')],
+                toWei('0.0015'),
+                true,
+                { value: toWei('3'), gasPrice: 0 },
+            ));
+
+            const ethBalance = toBN(await web3.eth.getBalance(creator));
+            const bpool = await BPool.at(POOL);
+            const poolWethBalance = await bpool.getBalance(WETH);
+            const shareBalance = await bpool.balanceOf(creator);
+
+            assert.equal(initialEthBalance.sub(ethBalance).toString(), toWei('2'));
+            assert.equal(poolWethBalance, toWei('2'));
+            assert.equal(shareBalance, toWei('100'));
+            assert.equal(await web3.eth.getBalance(CREATOR_PROXY), 0);
+            assert.equal(await weth.balanceOf(CREATOR_PROXY), 0);
+        });
+
+        it('wraps ETH on join and refunds the rest as ETH', async () => {
+            const bpool = await BPool.at(POOL);
+
+            const initialEthBalance = toBN(await web3.eth.getBalance(user));
+
+            await userActions.joinPool(
+                POOL,
+                toWei('10'),
+                [toWei('50'), toWei('1')],
+                { value: toWei('1'), gasPrice: 0 },
+            );
+
+            const ethBalance = toBN(await web3.eth.getBalance(user));
+            const shareBalance = await bpool.balanceOf(user);
+
+            assert.equal(initialEthBalance.sub(ethBalance).toString(), toWei('0.2'));
+            assert.equal(shareBalance, toWei('10'));
+            assert.equal(await weth.balanceOf(user), 0);
+            assert.equal(await web3.eth.getBalance(USER_PROXY), 0);
+            assert.equal(await weth.balanceOf(USER_PROXY), 0);
+        });
+
+        it('wraps ETH on joinswap', async () => {
+            const bpool = await BPool.at(POOL);
+
+            const initialEthBalance = toBN(await web3.eth.getBalance(user));
+            const initialShareBalance = await bpool.balanceOf(user);
+
+            await userActions.joinswapExternAmountIn(
+                POOL,
+                WETH,
+                toWei('0.1'),
+                toWei('1'),
+                { value: toWei('0.1'), gasPrice: 0 },
+            );
+
+            const ethBalance = toBN(await web3.eth.getBalance(user));
+            const shareBalance = await bpool.balanceOf(user);
+
+            assert.equal(initialEthBalance.sub(ethBalance).toString(), toWei('0.1'));
+            assert.isTrue(shareBalance.sub(initialShareBalance).gte(toBN(toWei('1'))));
+        });
+
+        it('unwraps WETH on exit', async () => {
+            const bpool = await BPool.at(POOL);
+
+            const initialEthBalance = toBN(await web3.eth.getBalance(user));
+            const initialDaiBalance = await dai.balanceOf(user);
+
+            await bpool.approve(USER_PROXY, MAX, { from: user });
+
+            await userActions.exitPool(
+                POOL,
+                toWei('5'),
+                [toWei('0'), toWei('0')],
+                { gasPrice: 0 },
+            );
+
+            const ethBalance = toBN(await web3.eth.getBalance(user));
+            const daiBalance = await dai.balanceOf(user);
+
+            assert.isTrue(ethBalance.gt(initialEthBalance));
+            assert.isTrue(daiBalance.gt(initialDaiBalance));
+            assert.equal(await weth.balanceOf(user), 0);
+            assert.equal(await weth.balanceOf(USER_PROXY), 0);
+        });
+
+        it('unwraps WETH on single asset exit', async () => {
+            const initialEthBalance = toBN(await web3.eth.getBalance(user));
+
+            await userActions.exitswapExternAmountOut(
+                POOL,
+                WETH,
+                toWei('0.01'),
+                toWei('1'),
+                { gasPrice: 0 },
+            );
+
+            const ethBalance = toBN(await web3.eth.getBalance(user));
+
+            assert.equal(ethBalance.sub(initialEthBalance).toString(), toWei('0.01'));
+        });
+
+        it('does not allow sending less ETH than needed', async () => {
+            await truffleAssert.fails(
+                userActions.joinPool(
+                    POOL,
+                    toWei('10'),
+                    [toWei('50'), toWei('1')],
+                    { value: toWei('0.5') },
+                ),
+                truffleAssert.ErrorType.REVERT,
+                'ERR_INSUFFICIENT_VALUE',
+            );
+        });
+
+        it('wraps ETH on smart pool creation and join', async () => {
+            const poolParams = {
+                poolTokenSymbol: 'ETHP',
+                poolTokenName: 'ETH Pool',
+                constituentTokens: [DAI, WETH],
+                tokenBalances: [toWei('400'), toWei('2')],
+                tokenWeights: [toWei('10'), toWei('10')],
+                swapFee: toWei('0.0015'),
+            };
+            const crpParams = {
+                initialSupply: toWei('100'),
+                minimumWeightChangeBlockPeriod: 10,
+                addTokenTimeLockInBlocks: 10,
+            };
+            const rights = {
+                canPauseSwapping: false,
+                canChangeSwapFee: false,
+                canChangeWeights: false,
+                canAddRemoveTokens: false,
+                canWhitelistLPs: false,
+                canChangeCap: false,
+            };
+
+            ({ result: SMART_POOL } = await creatorActions.createSmartPool(
+                CRP_FACTORY,
+                FACTORY,
+                poolParams,
+                crpParams,
+                rights,
+                { value: toWei('2') },
+            ));
+
+            const crp = await ConfigurableRightsPool.at(SMART_POOL);
+            const bpool = await BPool.at(await crp.bPool());
+            assert.equal(await bpool.getBalance(WETH), toWei('2'));
+
+            const initialEthBalance = toBN(await web3.eth.getBalance(user));
+
+            await userActions.joinSmartPool(
+                SMART_POOL,
+                toWei('10'),
+                [toWei('50'), toWei('1')],
+                { value: toWei('1'), gasPrice: 0 },
+            );
+
+            const ethBalance = toBN(await web3.eth.getBalance(user));
+
+            assert.equal(initialEthBalance.sub(ethBalance).toString(), toWei('0.2'));
+            assert.equal(await crp.balanceOf(user), toWei('10'));
+            assert.equal(await web3.eth.getBalance(USER_PROXY), 0);
+        });
+    });
+});
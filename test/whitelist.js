@@ -0,0 +1,160 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const truffleAssert = require('truffle-assertions');
+const { createClient } = require('../lib/client');
+const {
+    parseProviders, planWhitelist, syncWhitelist, formatWhitelistPlan,
+} = require('../lib/whitelist');
+const { run } = require('../lib/cli');
+
+const TToken = artifacts.require('TToken');
+const TTokenFactory = artifacts.require('TTokenFactory');
+const BFactory = artifacts.require('BFactory');
+const CRPFactory = artifacts.require('CRPFactory');
+const BActions = artifacts.require('BActions');
+const DSProxyFactory = artifacts.require('DSProxyFactory');
+const ConfigurableRightsPool = artifacts.require('ConfigurableRightsPool');
+
+contract('Whitelist sync', async (accounts) => {
+    const admin = accounts[0];
+    const [, A, B, C, D] = accounts;
+    const { toHex, toWei } = web3.utils;
+
+    const MAX = web3.utils.toTwosComplement(-1);
+
+    describe('Provider lists', () => {
+        it('reads CSV lists', async () => {
+            const csv = `provider,listed\n${A}\n\n# leaving\n${B.toLowerCase()}, false\n${C},true # late\n`;
+            assert.deepEqual(parseProviders(csv), [[A, true], [B.toLowerCase(), false], [C, true]]);
+        });
+
+        it('reads JSON lists', async () => {
+            assert.deepEqual(parseProviders(JSON.stringify([A, B]), 'json'), [[A, true], [B, true]]);
+            const list = JSON.stringify({ [A]: true, [B]: false });
+            assert.deepEqual(parseProviders(list, 'json'), [[A, true], [B, false]]);
+        });
+
+        it('rejects malformed entries', async () => {
+            assert.throws(() => parseProviders(`${A}\n0x1234\n`), 'line 2: 0x1234 is not an address');
+            assert.throws(() => parseProviders(`${A},yes\n`), 'line 1: expected true or false, got yes');
+            assert.throws(() => parseProviders('["bob"]', 'json'), 'entry 1: bob is not an address');
+        });
+    });
+
+    describe('Syncing', () => {
+        let bactions;
+        let USER_PROXY;
+        let CRP;
+        let crp;
+        let DAI; let MKR;
+
+        async function createCrp(canWhitelistLPs) {
+            const { result } = await bactions.createSmartPool(
+                CRPFactory.address,
+                BFactory.address,
+                {
+                    poolTokenSymbol: 'LIST',
+                    poolTokenName: 'Listed Pool',
+                    constituentTokens: [DAI, MKR],
+                    tokenBalances: [toWei('100'), toWei('1')],
+                    tokenWeights: [toWei('10'), toWei('10')],
+                    swapFee: toWei('0.003'),
+                },
+                { initialSupply: toWei('100'), minimumWeightChangeBlockPeriod: 10, addTokenTimeLockInBlocks: 10 },
+                {
+                    canPauseSwapping: false,
+                    canChangeSwapFee: false,
+                    canChangeWeights: false,
+                    canAddRemoveTokens: false,
+                    canWhitelistLPs,
+                    canChangeCap: false,
+                },
+            );
+            return result;
+        }
+
+        before(async () => {
+            const tokenFactory = await TTokenFactory.deployed();
+            const proxyFactory = await DSProxyFactory.deployed();
+            USER_PROXY = await proxyFactory.build.call();
+            await proxyFactory.build();
+            bactions = createClient(web3, {
+                proxy: USER_PROXY, target: BActions.address, abi: BActions.abi, from: admin,
+            });
+
+            await tokenFactory.build(toHex('DAI'), toHex('DAI'), 18);
+            await tokenFactory.build(toHex('MKR'), toHex('MKR'), 18);
+            DAI = await tokenFactory.get.call(toHex('DAI'));
+            MKR = await tokenFactory.get.call(toHex('MKR'));
+            const dai = await TToken.at(DAI);
+            const mkr = await TToken.at(MKR);
+            await dai.mint(admin, toWei('1000'));
+            await mkr.mint(admin, toWei('10'));
+            await dai.approve(USER_PROXY, MAX);
+            await mkr.approve(USER_PROXY, MAX);
+
+            CRP = await createCrp(true);
+            crp = await ConfigurableRightsPool.at(CRP);
+            await bactions.whitelistLiquidityProvider(CRP, B);
+        });
+
+        it('plans the providers to add and remove', async () => {
+            const diff = await planWhitelist(web3, CRP, [[A, true], [B, false], [C, false], [D.toLowerCase(), true]]);
+            assert.deepEqual(diff, { add: [A, D], remove: [B], unchanged: [C] });
+            assert.deepEqual(formatWhitelistPlan(diff), [
+                `+ ${A}`, `+ ${D}`, `- ${B}`, '2 to add, 1 to remove, 1 unchanged',
+            ]);
+
+            const { receipt } = await syncWhitelist(bactions, CRP, diff);
+            assert.isTrue(receipt.status);
+            assert.isTrue(await crp.canProvideLiquidity(A));
+            assert.isFalse(await crp.canProvideLiquidity(B));
+            assert.isTrue(await crp.canProvideLiquidity(D));
+
+            const synced = await planWhitelist(web3, CRP, [[A, true], [B, false], [D, true]]);
+            assert.deepEqual(synced, { add: [], remove: [], unchanged: [A, B, D] });
+            assert.isUndefined(await syncWhitelist(bactions, CRP, synced));
+        });
+
+        it('needs a pool with a whitelist', async () => {
+            const OPEN_CRP = await createCrp(false);
+            await truffleAssert.reverts(
+                bactions.whitelistLiquidityProviders(OPEN_CRP, [A]),
+                'ERR_CANNOT_WHITELIST_LPS',
+            );
+            await truffleAssert.reverts(
+                bactions.removeWhitelistedLiquidityProviders(OPEN_CRP, [A]),
+                'ERR_CANNOT_WHITELIST_LPS',
+            );
+        });
+
+        it('syncs list files from the command line', async () => {
+            const file = path.join(os.tmpdir(), `bactions-whitelist-${Date.now()}.csv`);
+            fs.writeFileSync(file, `${A},false\n${B}\n${C}\n`);
+            const lines = [];
+            const options = {
+                web3,
+                artifacts: (name) => artifacts.require(name),
+                log: (line) => lines.push(line),
+            };
+
+            try {
+                await run(['crp', 'sync-whitelist', CRP, file, '--proxy', USER_PROXY, '--dry-run'], options);
+                assert.deepEqual(lines, [
+                    `+ ${B}`, `+ ${C}`, `- ${A}`, '2 to add, 1 to remove, 0 unchanged', 'multicall (dry run)',
+                ]);
+                assert.isFalse(await crp.canProvideLiquidity(B));
+
+                lines.length = 0;
+                await run(['crp', 'sync-whitelist', CRP, file, '--proxy', USER_PROXY], options);
+                assert.match(lines[4], /^tx: 0x/);
+                assert.isFalse(await crp.canProvideLiquidity(A));
+                assert.isTrue(await crp.canProvideLiquidity(B));
+                assert.isTrue(await crp.canProvideLiquidity(C));
+            } finally {
+                fs.unlinkSync(file);
+            }
+        });
+    });
+});
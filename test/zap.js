@@ -0,0 +1,360 @@
+const truffleAssert = require('truffle-assertions');
+const { createClient } = require('../lib/client');
+
+const TToken = artifacts.require('TToken');
+const TTokenFactory = artifacts.require('TTokenFactory');
+const BFactory = artifacts.require('BFactory');
+const CRPFactory = artifacts.require('CRPFactory');
+const BActions = artifacts.require('BActions');
+const BZaps = artifacts.require('BZaps');
+const DSProxyFactory = artifacts.require('DSProxyFactory');
+const BPool = artifacts.require('BPool');
+const ConfigurableRightsPool = artifacts.require('ConfigurableRightsPool');
+
+contract('BZaps', async (accounts) => {
+    const admin = accounts[0];
+    const { toHex, toWei, toBN } = web3.utils;
+
+    const MAX = web3.utils.toTwosComplement(-1);
+    const ZERO = '0x0000000000000000000000000000000000000000';
+
+    let FACTORY;
+    let CRP_FACTORY;
+    let USER_PROXY;
+    let userActions;
+    let userZaps;
+    let tokens;
+    let dai; let mkr; let weth;
+    let DAI; let MKR; let WETH;
+
+    async function balances(pool) {
+        return Promise.all([dai, mkr, weth, pool].map((t) => t.balanceOf(admin)));
+    }
+
+    async function assertNothingLeft() {
+        const left = await Promise.all([dai, mkr, weth].map((t) => t.balanceOf(USER_PROXY)));
+        left.forEach((balance) => assert.equal(balance, 0));
+    }
+
+    async function createSharedPool(
+        tokenList = [DAI, MKR, WETH], balanceList = ['400', '1', '4'], weights = [5, 5, 10],
+    ) {
+        const { result } = await userActions.create(
+            FACTORY,
+            tokenList,
+            balanceList.map((b) => toWei(b)),
+            weights.map((w) => toWei(String(w))),
+            toWei('0.003'),
+            true,
+        );
+        return result;
+    }
+
+    async function createSmartPool(canWhitelistLPs) {
+        const { result } = await userActions.createSmartPool(
+            CRP_FACTORY,
+            FACTORY,
+            {
+                poolTokenSymbol: 'ZAP',
+                poolTokenName: 'Zap Pool',
+                constituentTokens: [DAI, MKR, WETH],
+                tokenBalances: [toWei('400'), toWei('1'), toWei('4')],
+                tokenWeights: [toWei('5'), toWei('5'), toWei('10')],
+                swapFee: toWei('0.003'),
+            },
+            { initialSupply: toWei('100'), minimumWeightChangeBlockPeriod: 10, addTokenTimeLockInBlocks: 10 },
+            {
+                canPauseSwapping: false,
+                canChangeSwapFee: false,
+                canChangeWeights: false,
+                canAddRemoveTokens: false,
+                canWhitelistLPs,
+                canChangeCap: false,
+            },
+        );
+        return result;
+    }
+
+    before(async () => {
+        FACTORY = (await BFactory.deployed()).address;
+        CRP_FACTORY = (await CRPFactory.deployed()).address;
+
+        tokens = await TTokenFactory.deployed();
+        await tokens.build(toHex('DAI'), toHex('DAI'), 18);
+        await tokens.build(toHex('MKR'), toHex('MKR'), 18);
+        await tokens.build(toHex('WETH'), toHex('WETH'), 18);
+        DAI = await tokens.get.call(toHex('DAI'));
+        MKR = await tokens.get.call(toHex('MKR'));
+        WETH = await tokens.get.call(toHex('WETH'));
+        dai = await TToken.at(DAI);
+        mkr = await TToken.at(MKR);
+        weth = await TToken.at(WETH);
+
+        await dai.mint(admin, toWei('1000000'));
+        await mkr.mint(admin, toWei('1000'));
+        await weth.mint(admin, toWei('1000'));
+
+        const proxyFactory = await DSProxyFactory.deployed();
+        USER_PROXY = await proxyFactory.build.call();
+        await proxyFactory.build();
+        userActions = createClient(web3, {
+            proxy: USER_PROXY, target: (await BActions.deployed()).address, abi: BActions.abi, from: admin,
+        });
+        userZaps = createClient(web3, {
+            proxy: USER_PROXY, target: (await BZaps.deployed()).address, abi: BZaps.abi, from: admin,
+        });
+
+        await dai.approve(USER_PROXY, MAX);
+        await mkr.approve(USER_PROXY, MAX);
+        await weth.approve(USER_PROXY, MAX);
+    });
+
+    describe('Zap join', () => {
+        let SHARED_POOL;
+        let SMART_POOL;
+
+        before(async () => {
+            SHARED_POOL = await createSharedPool();
+            SMART_POOL = await createSmartPool(false);
+        });
+
+        it('joins a shared pool with uneven amounts in any order', async () => {
+            const bpool = await BPool.at(SHARED_POOL);
+            const initial = await balances(bpool);
+
+            const { result: poolAmountOut } = await userZaps.zapJoin(
+                SHARED_POOL, [WETH, MKR, DAI], [toWei('2'), toWei('0.1'), toWei('100')], toWei('10'),
+            );
+
+            const [daiBalance, mkrBalance, wethBalance, shareBalance] = await balances(bpool);
+            assert.equal(initial[0].sub(daiBalance), toWei('100'));
+            assert.equal(initial[1].sub(mkrBalance), toWei('0.1'));
+            assert.equal(initial[2].sub(wethBalance), toWei('2'));
+            assert.equal(shareBalance.sub(initial[3]), poolAmountOut);
+            assert.isTrue(toBN(poolAmountOut).gt(toBN(toWei('10'))));
+            await assertNothingLeft();
+        });
+
+        it('refunds what single sided joins cannot take', async () => {
+            const bpool = await BPool.at(SHARED_POOL);
+            const daiPoolBalance = await bpool.getBalance(DAI);
+            const initial = await balances(bpool);
+
+            const { result: poolAmountOut } = await userZaps.zapJoin(SHARED_POOL, [DAI], [toWei('2000')], 0);
+
+            const [daiBalance, , , shareBalance] = await balances(bpool);
+            // BPool MAX_IN_RATIO is half the pool balance
+            assert.equal(initial[0].sub(daiBalance).toString(), daiPoolBalance.addn(1).divn(2).toString());
+            assert.equal(shareBalance.sub(initial[3]), poolAmountOut);
+            await assertNothingLeft();
+        });
+
+        it('joins a smart pool with uneven amounts', async () => {
+            const crp = await BPool.at(SMART_POOL);
+            const initial = await balances(crp);
+
+            const { result: poolAmountOut } = await userZaps.zapJoin(
+                SMART_POOL, [DAI, MKR, WETH], [toWei('40'), toWei('0.2'), toWei('0.4')], toWei('10'),
+            );
+
+            const [daiBalance, mkrBalance, wethBalance, shareBalance] = await balances(crp);
+            // Dust too small to mint a share is refunded
+            assert.isTrue(toBN(toWei('40')).sub(initial[0].sub(daiBalance)).lten(1000));
+            assert.equal(initial[1].sub(mkrBalance), toWei('0.2'));
+            assert.equal(initial[2].sub(wethBalance), toWei('0.4'));
+            assert.equal(shareBalance.sub(initial[3]), poolAmountOut);
+            assert.isTrue(toBN(poolAmountOut).gt(toBN(toWei('10'))));
+            await assertNothingLeft();
+        });
+
+        it('reverts below the minimum share count', async () => {
+            await truffleAssert.reverts(
+                userZaps.zapJoin(
+                    SHARED_POOL, [DAI, MKR, WETH], [toWei('40'), toWei('0.1'), toWei('0.4')], toWei('100'),
+                ),
+                'ERR_LIMIT_OUT',
+            );
+        });
+
+        it('rejects tokens outside the pool', async () => {
+            await tokens.build(toHex('ZRX'), toHex('ZRX'), 18);
+            const ZRX = await tokens.get.call(toHex('ZRX'));
+
+            await truffleAssert.reverts(
+                userZaps.zapJoin(SHARED_POOL, [DAI, ZRX], [toWei('40'), toWei('1')], 0),
+                'ERR_NOT_BOUND',
+            );
+            await truffleAssert.reverts(
+                userZaps.zapJoin(DAI, [DAI], [toWei('40')], 0),
+                'ERR_UNKNOWN_POOL',
+            );
+        });
+    });
+
+    describe('Zap in', () => {
+        let SHARED_POOL;
+        let SMART_POOL;
+        let MKR_POOL;
+        let WETH_POOL;
+
+        // Shares a plain joinswapExternAmountIn of DAI would mint
+        async function joinswapShares(POOL, amount) {
+            const pool = await BPool.at(POOL);
+            const smart = POOL === SMART_POOL;
+            const bpool = await BPool.at(smart ? await (await ConfigurableRightsPool.at(POOL)).bPool() : POOL);
+            return bpool.calcPoolOutGivenSingleIn(
+                await bpool.getBalance(DAI),
+                await bpool.getDenormalizedWeight(DAI),
+                await pool.totalSupply(),
+                await bpool.getTotalDenormalizedWeight(),
+                amount,
+                await bpool.getSwapFee(),
+            );
+        }
+
+        before(async () => {
+            SHARED_POOL = await createSharedPool();
+            SMART_POOL = await createSmartPool(false);
+            // Deeper pools at the same prices
+            MKR_POOL = await createSharedPool([DAI, MKR], ['40000', '100'], [5, 5]);
+            WETH_POOL = await createSharedPool([DAI, WETH], ['40000', '200'], [5, 5]);
+        });
+
+        it('swaps through the pool itself', async () => {
+            const bpool = await BPool.at(SHARED_POOL);
+            const initial = await balances(bpool);
+            const expected = await joinswapShares(SHARED_POOL, toWei('20'));
+
+            const { result: poolAmountOut } = await userZaps.zapIn(SHARED_POOL, DAI, toWei('20'), [], 0);
+
+            const [, mkrBalance, wethBalance, shareBalance] = await balances(bpool);
+            assert.equal(mkrBalance, initial[1].toString());
+            assert.equal(wethBalance, initial[2].toString());
+            assert.equal(shareBalance.sub(initial[3]), poolAmountOut);
+            // Same pool and fees, so on par with a single sided join
+            assert.isTrue(toBN(poolAmountOut).gt(expected.muln(999).divn(1000)));
+            await assertNothingLeft();
+        });
+
+        it('gets more shares than a single sided join through deeper pools', async () => {
+            const bpool = await BPool.at(SHARED_POOL);
+            const initial = await balances(bpool);
+            const expected = await joinswapShares(SHARED_POOL, toWei('150'));
+
+            const { result: poolAmountOut } = await userZaps.zapIn(
+                SHARED_POOL, DAI, toWei('150'), [ZERO, MKR_POOL, WETH_POOL], 0,
+            );
+
+            const [, , , shareBalance] = await balances(bpool);
+            assert.equal(shareBalance.sub(initial[3]), poolAmountOut);
+            assert.isTrue(toBN(poolAmountOut).gt(expected));
+            await assertNothingLeft();
+        });
+
+        it('zaps into a smart pool', async () => {
+            const crp = await BPool.at(SMART_POOL);
+            const initial = await balances(crp);
+            const expected = await joinswapShares(SMART_POOL, toWei('150'));
+
+            const { result: poolAmountOut } = await userZaps.zapIn(
+                SMART_POOL, DAI, toWei('150'), [ZERO, MKR_POOL, WETH_POOL], 0,
+            );
+
+            const [, , , shareBalance] = await balances(crp);
+            assert.equal(shareBalance.sub(initial[3]), poolAmountOut);
+            assert.isTrue(toBN(poolAmountOut).gt(expected));
+            await assertNothingLeft();
+        });
+
+        it('reverts below the minimum share count', async () => {
+            await truffleAssert.reverts(
+                userZaps.zapIn(SHARED_POOL, DAI, toWei('20'), [], toWei('100')),
+                'ERR_LIMIT_OUT',
+            );
+        });
+
+        it('rejects unknown swap pools', async () => {
+            await truffleAssert.reverts(
+                userZaps.zapIn(SHARED_POOL, DAI, toWei('20'), [ZERO, MKR_POOL], 0),
+                'ERR_LENGTH_MISMATCH',
+            );
+            await truffleAssert.reverts(
+                userZaps.zapIn(SHARED_POOL, DAI, toWei('20'), [ZERO, DAI, ZERO], 0),
+                'ERR_UNKNOWN_POOL',
+            );
+        });
+    });
+
+    describe('Zap out', () => {
+        let SHARED_POOL;
+        let WHITELIST_POOL;
+        let MKR_POOL;
+        let WETH_POOL;
+
+        before(async () => {
+            SHARED_POOL = await createSharedPool();
+            WHITELIST_POOL = await createSmartPool(true);
+            MKR_POOL = await createSharedPool([DAI, MKR], ['40000', '100'], [5, 5]);
+            WETH_POOL = await createSharedPool([DAI, WETH], ['40000', '200'], [5, 5]);
+
+            await (await BPool.at(SHARED_POOL)).approve(USER_PROXY, MAX);
+            await (await BPool.at(WHITELIST_POOL)).approve(USER_PROXY, MAX);
+        });
+
+        it('exits into a single token through the pool itself', async () => {
+            const bpool = await BPool.at(SHARED_POOL);
+            const initial = await balances(bpool);
+
+            const { result: tokenAmountOut } = await userZaps.zapOut(SHARED_POOL, toWei('10'), DAI, [], 0);
+
+            const [daiBalance, mkrBalance, wethBalance, shareBalance] = await balances(bpool);
+            assert.equal(daiBalance.sub(initial[0]), tokenAmountOut);
+            assert.equal(mkrBalance, initial[1].toString());
+            assert.equal(wethBalance, initial[2].toString());
+            assert.equal(initial[3].sub(shareBalance), toWei('10'));
+            await assertNothingLeft();
+        });
+
+        it('gets more than a single sided exit through deeper pools', async () => {
+            const bpool = await BPool.at(SHARED_POOL);
+            const expected = await bpool.calcSingleOutGivenPoolIn(
+                await bpool.getBalance(DAI),
+                await bpool.getDenormalizedWeight(DAI),
+                await bpool.totalSupply(),
+                await bpool.getTotalDenormalizedWeight(),
+                toWei('20'),
+                await bpool.getSwapFee(),
+            );
+
+            const { result: tokenAmountOut } = await userZaps.zapOut(
+                SHARED_POOL, toWei('20'), DAI, [ZERO, MKR_POOL, WETH_POOL], expected.toString(),
+            );
+
+            assert.isTrue(toBN(tokenAmountOut).gt(expected));
+            await assertNothingLeft();
+        });
+
+        it('exits a smart pool with an LP whitelist', async () => {
+            const crp = await BPool.at(WHITELIST_POOL);
+            const initial = await balances(crp);
+
+            const { result: tokenAmountOut } = await userZaps.zapOut(
+                WHITELIST_POOL, toWei('10'), WETH, [], toWei('0.3'),
+            );
+
+            const [daiBalance, mkrBalance, wethBalance, shareBalance] = await balances(crp);
+            assert.equal(daiBalance, initial[0].toString());
+            assert.equal(mkrBalance, initial[1].toString());
+            assert.equal(wethBalance.sub(initial[2]), tokenAmountOut);
+            assert.equal(initial[3].sub(shareBalance), toWei('10'));
+            await assertNothingLeft();
+        });
+
+        it('reverts below the minimum amount out', async () => {
+            await truffleAssert.reverts(
+                userZaps.zapOut(SHARED_POOL, toWei('10'), DAI, [], toWei('100')),
+                'ERR_LIMIT_OUT',
+            );
+        });
+    });
+});